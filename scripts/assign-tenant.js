@@ -0,0 +1,84 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import Contract from "../src/models/contract.model.js";
+import { Circuit } from "../src/models/circuit.model.js";
+import Relay from "../src/models/relay.model.js";
+
+// Give circuits, contract records and relays from before authentication
+// (tenant null) to a tenant; with authentication enabled nobody can reach
+// them otherwise. Contract records of a Circuit follow the circuit's tenant
+// when it has one. Pass --dry-run to only print the counts.
+//
+//   npm run migrate:tenant -- --tenant acme
+
+// Load environment variables
+dotenv.config();
+
+const DRY_RUN = process.argv.includes("--dry-run");
+const tenantIndex = process.argv.indexOf("--tenant");
+const tenant = tenantIndex === -1 ? null : process.argv[tenantIndex + 1];
+
+if (!tenant) {
+  console.error("Usage: assign-tenant.js --tenant <tenant> [--dry-run]");
+  process.exit(1);
+}
+
+const unowned = { tenant: null };
+
+const assign = async () => {
+  // Contract records of circuits that already have a tenant
+  let followed = 0;
+  for await (const circuit of Circuit.find(
+    { tenant: { $ne: null } },
+    {
+      tenant: 1,
+    }
+  ).cursor()) {
+    const filter = { circuitId: String(circuit._id), ...unowned };
+    followed += await Contract.countDocuments(filter);
+    if (!DRY_RUN) {
+      await Contract.updateMany(filter, { tenant: circuit.tenant });
+    }
+  }
+
+  const counts = {
+    circuits: await Circuit.countDocuments(unowned),
+    contracts: await Contract.countDocuments(unowned),
+    relays: await Relay.countDocuments(unowned),
+  };
+  if (!DRY_RUN) {
+    await Circuit.updateMany(unowned, { tenant });
+    await Contract.updateMany(unowned, { tenant });
+    // Relays follow their wrapper's record
+    for await (const relay of Relay.find(unowned).cursor()) {
+      const wrapper = await Contract.findOne(
+        { circuitId: relay.circuitId, chainId: relay.chainId },
+        { tenant: 1 }
+      );
+      await Relay.updateOne(
+        { _id: relay._id },
+        { tenant: wrapper?.tenant || tenant }
+      );
+    }
+  }
+
+  console.log(
+    `${
+      DRY_RUN ? "[dry run] " : ""
+    }${followed} contracts given their circuit's tenant; ${
+      counts.circuits
+    } circuits, ${counts.contracts} contracts and ${
+      counts.relays
+    } relays given to ${tenant}`
+  );
+};
+
+try {
+  await mongoose.connect(process.env.MONGO_URI);
+  await assign();
+} catch (error) {
+  console.error("Tenant assignment failed:", error);
+  process.exitCode = 1;
+} finally {
+  await mongoose.connection.close();
+}
@@ -0,0 +1,44 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import { ROLES } from "../src/models/apiKey.model.js";
+import { createApiKey } from "../src/services/auth.service.js";
+
+// Create an API key from the command line, e.g. the first admin key of a
+// tenant (later keys can be created with POST /api/auth/keys):
+//
+//   npm run apikey:create -- --tenant acme --role admin --name ops
+//
+// The key is printed once and cannot be recovered.
+
+// Load environment variables
+dotenv.config();
+
+const option = (name) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? undefined : process.argv[index + 1];
+};
+
+const tenant = option("tenant");
+const role = option("role") || "admin";
+const name = option("name") || null;
+
+if (!tenant || !ROLES.includes(role)) {
+  console.error(
+    `Usage: create-api-key.js --tenant <tenant> [--role ${ROLES.join(
+      "|"
+    )}] [--name <name>]`
+  );
+  process.exit(1);
+}
+
+try {
+  await mongoose.connect(process.env.MONGO_URI);
+  const { key, record } = await createApiKey({ tenant, role, name });
+  console.log(`Created ${role} key ${record._id} for tenant ${tenant}:`);
+  console.log(key);
+} catch (error) {
+  console.error("Error creating API key:", error.message);
+  process.exitCode = 1;
+} finally {
+  await mongoose.connection.close();
+}
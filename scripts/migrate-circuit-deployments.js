@@ -0,0 +1,146 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import Contract from "../src/models/contract.model.js";
+import { Circuit } from "../src/models/circuit.model.js";
+import CircuitService from "../src/services/circuit.service.js";
+
+// Backfill Circuit.deployments (and Circuit.artifacts.deployment) from the
+// existing Contract records. Records whose circuitId is not a Circuit are
+// skipped. Contract records from before versioning become version 1, and
+// their one-per-chain unique index is replaced by the per-version one.
+// Safe to run more than once: entries are matched by contract id and
+// overwritten. Pass --dry-run to only print what would change.
+
+// Load environment variables
+dotenv.config();
+
+const DRY_RUN = process.argv.includes("--dry-run");
+
+// Index of the pre-versioning schema, which allows one record per chain
+const UNVERSIONED_INDEX = "circuitId_1_chainId_1";
+
+// Contract status -> deployment status; a pending record that has sent
+// transactions was being deployed
+const deploymentStatus = (contract) => {
+  if (contract.status === "pending") {
+    return contract.transactions.length ? "deploying" : "queued";
+  }
+  if (contract.status === "deployed" && contract.supersededAt) {
+    return "superseded";
+  }
+  return contract.status;
+};
+
+const migrateContractVersions = async () => {
+  const indexes = await Contract.collection.indexes();
+  if (indexes.some((index) => index.name === UNVERSIONED_INDEX)) {
+    console.log(`Drop index ${UNVERSIONED_INDEX}`);
+    if (!DRY_RUN) {
+      await Contract.collection.dropIndex(UNVERSIONED_INDEX);
+    }
+  }
+
+  const unversioned = { version: { $exists: false } };
+  console.log(
+    `Set version 1 on ${await Contract.countDocuments(unversioned)} contracts`
+  );
+  if (!DRY_RUN) {
+    await Contract.updateMany(unversioned, {
+      $set: { version: 1, active: true, activateOnDeploy: true },
+    });
+    await Contract.createIndexes();
+  }
+};
+
+const toDeployment = (contract) => ({
+  contractId: contract._id,
+  chainId: contract.chainId,
+  network: contract.network,
+  version: contract.version,
+  active: contract.status === "deployed" && contract.active !== false,
+  status: deploymentStatus(contract),
+  jobId: null,
+  address: contract.contractAddress,
+  txHash: contract.txHash,
+  blockNumber: contract.blockNumber,
+  error: contract.error,
+  deployedAt: contract.deployedAt,
+  updatedAt: contract.updatedAt || new Date(),
+});
+
+const migrate = async () => {
+  const circuitService = new CircuitService();
+  const counts = { added: 0, updated: 0, skipped: 0, synced: 0 };
+  // circuitId -> its active deployment
+  const active = new Map();
+
+  for await (const contract of Contract.find().cursor()) {
+    const circuit = mongoose.isValidObjectId(contract.circuitId)
+      ? await Circuit.findById(contract.circuitId, { deployments: 1 })
+      : null;
+    if (!circuit) {
+      counts.skipped++;
+      continue;
+    }
+
+    const deployment = toDeployment(contract);
+    const exists = circuit.deployments.some((entry) =>
+      entry.contractId.equals(contract._id)
+    );
+    console.log(
+      `${exists ? "Update" : "Add"} ${circuit._id} chain ${
+        deployment.chainId
+      }: ${deployment.status}`
+    );
+
+    if (!DRY_RUN) {
+      if (exists) {
+        await Circuit.updateOne(
+          { _id: circuit._id, "deployments.contractId": contract._id },
+          { $set: { "deployments.$": deployment } }
+        );
+      } else {
+        await Circuit.updateOne(
+          { _id: circuit._id },
+          { $push: { deployments: deployment } }
+        );
+      }
+    }
+    counts[exists ? "updated" : "added"]++;
+
+    const current = active.get(String(circuit._id));
+    if (
+      deployment.active &&
+      (!current || deployment.deployedAt > current.deployedAt)
+    ) {
+      active.set(String(circuit._id), deployment);
+    }
+  }
+
+  // artifacts.deployment follows the active deployment last deployed
+  for (const [circuitId, deployment] of active) {
+    if (!DRY_RUN) {
+      await circuitService.syncArtifactsDeployment(circuitId, deployment);
+    }
+    counts.synced++;
+  }
+
+  console.log(
+    `${DRY_RUN ? "[dry run] " : ""}${counts.added} added, ${
+      counts.updated
+    } updated, ${counts.skipped} contracts without a circuit, ${
+      counts.synced
+    } circuits synced`
+  );
+};
+
+try {
+  await mongoose.connect(process.env.MONGO_URI);
+  await migrateContractVersions();
+  await migrate();
+} catch (error) {
+  console.error("Migration failed:", error);
+  process.exitCode = 1;
+} finally {
+  await mongoose.connection.close();
+}
@@ -0,0 +1,90 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import Contract from "../src/models/contract.model.js";
+import { getChain, getDefaultChain } from "../src/config/chains.js";
+
+// Bring Contract records from before multi-chain support onto the chain
+// registry: drop their one-record-per-circuit unique index, which refuses a
+// second chain's record, and give records without a chain the chain they
+// were deployed on (the default chain, or --chain). Records with a chainId
+// but no network get the registry's name for it. Safe to run more than
+// once. Pass --dry-run to only print what would change.
+//
+//   npm run migrate:chains -- --chain polygon
+
+// Load environment variables
+dotenv.config();
+
+const DRY_RUN = process.argv.includes("--dry-run");
+const chainIndex = process.argv.indexOf("--chain");
+
+// Index of the single-chain schema, which allows one record per circuitId
+const SINGLE_CHAIN_INDEX = "circuitId_1";
+
+const dropSingleChainIndex = async () => {
+  const indexes = await Contract.collection.indexes();
+  if (indexes.some((index) => index.name === SINGLE_CHAIN_INDEX)) {
+    console.log(`Drop index ${SINGLE_CHAIN_INDEX}`);
+    if (!DRY_RUN) {
+      await Contract.collection.dropIndex(SINGLE_CHAIN_INDEX);
+    }
+  }
+};
+
+const backfillChains = async (chain) => {
+  const counts = { chain: 0, network: 0, unknown: 0 };
+
+  const withoutChain = { chainId: { $exists: false } };
+  counts.chain = await Contract.countDocuments(withoutChain);
+  if (!DRY_RUN) {
+    await Contract.updateMany(withoutChain, {
+      $set: { chainId: chain.chainId, network: chain.name },
+    });
+  }
+
+  const withoutNetwork = { chainId: { $exists: true }, network: null };
+  for (const chainId of await Contract.distinct("chainId", withoutNetwork)) {
+    const filter = { ...withoutNetwork, chainId };
+    const count = await Contract.countDocuments(filter);
+
+    let known;
+    try {
+      known = getChain(chainId);
+    } catch (error) {
+      console.warn(`Chain ${chainId} is not in the registry; skipped`);
+      counts.unknown += count;
+      continue;
+    }
+
+    if (!DRY_RUN) {
+      await Contract.updateMany(filter, {
+        $set: { network: known.name },
+      });
+    }
+    counts.network += count;
+  }
+
+  console.log(
+    `${DRY_RUN ? "[dry run] " : ""}${counts.chain} contracts put on ${
+      chain.name
+    } (${chain.chainId}), ${counts.network} given their network name, ${
+      counts.unknown
+    } on unknown chains`
+  );
+};
+
+try {
+  const chain =
+    chainIndex === -1
+      ? getDefaultChain()
+      : getChain(process.argv[chainIndex + 1]);
+
+  await mongoose.connect(process.env.MONGO_URI);
+  await dropSingleChainIndex();
+  await backfillChains(chain);
+} catch (error) {
+  console.error("Migration failed:", error);
+  process.exitCode = 1;
+} finally {
+  await mongoose.connection.close();
+}
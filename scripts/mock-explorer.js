@@ -0,0 +1,138 @@
+import express from "express";
+import crypto from "crypto";
+import dotenv from "dotenv";
+
+// Local stand-in for an Etherscan-compatible explorer API and Sourcify, for
+// exercising source verification without a public explorer. Submissions are
+// checked for the fields the real services require, reported as pending for
+// MOCK_EXPLORER_PENDING_POLLS status checks, then as verified (or failed when
+// MOCK_EXPLORER_FAIL=true). No bytecode is compared.
+
+// Load environment variables
+dotenv.config();
+
+const PORT = process.env.MOCK_EXPLORER_PORT || 8701;
+const PENDING_POLLS = Number(process.env.MOCK_EXPLORER_PENDING_POLLS) || 1;
+const FAIL = process.env.MOCK_EXPLORER_FAIL === "true";
+
+// guid -> { address, pendingPolls }
+const submissions = new Map();
+const verified = new Set();
+
+const app = express();
+app.use(express.json({ limit: "20mb" }));
+app.use(express.urlencoded({ extended: false, limit: "20mb" }));
+
+const ok = (res, result) => res.json({ status: "1", message: "OK", result });
+const notOk = (res, result) =>
+  res.json({ status: "0", message: "NOTOK", result });
+
+const verifySourceCode = (params, res) => {
+  const required = [
+    "apikey",
+    "sourceCode",
+    "contractaddress",
+    "contractname",
+    "compilerversion",
+  ];
+  const missing = required.filter((field) => !params[field]);
+  if (missing.length) {
+    return notOk(res, `Missing ${missing.join(", ")}`);
+  }
+
+  let input;
+  try {
+    input = JSON.parse(params.sourceCode);
+  } catch (error) {
+    return notOk(res, "sourceCode is not valid Standard JSON input");
+  }
+
+  const [sourceName] = params.contractname.split(":");
+  if (!input.sources || !input.sources[sourceName]) {
+    return notOk(res, `Source ${sourceName} not found in the input`);
+  }
+
+  const address = params.contractaddress.toLowerCase();
+  if (verified.has(address)) {
+    return notOk(res, "Contract source code already verified");
+  }
+
+  const guid = crypto.randomBytes(25).toString("hex");
+  submissions.set(guid, { address, pendingPolls: PENDING_POLLS });
+  console.log(
+    `verifysourcecode ${params.contractname} at ${address} (chain ${params.chainid}) -> ${guid}`
+  );
+  return ok(res, guid);
+};
+
+const checkVerifyStatus = (params, res) => {
+  const submission = submissions.get(params.guid);
+  if (!submission) {
+    return notOk(res, "Unknown GUID");
+  }
+
+  if (submission.pendingPolls > 0) {
+    submission.pendingPolls -= 1;
+    return notOk(res, "Pending in queue");
+  }
+
+  if (FAIL) {
+    return notOk(res, "Fail - Unable to verify");
+  }
+
+  verified.add(submission.address);
+  return ok(res, "Pass - Verified");
+};
+
+// Etherscan-style API; parameters may come in the query or a form body
+app.all("/api", (req, res) => {
+  const params = { ...req.query, ...req.body };
+
+  if (params.module !== "contract") {
+    return notOk(res, `Unsupported module ${params.module}`);
+  }
+  if (params.action === "verifysourcecode") {
+    return verifySourceCode(params, res);
+  }
+  if (params.action === "checkverifystatus") {
+    return checkVerifyStatus(params, res);
+  }
+  return notOk(res, `Unsupported action ${params.action}`);
+});
+
+// Sourcify's /verify: metadata plus every source it lists
+app.post("/verify", (req, res) => {
+  const { address, chain, files = {} } = req.body;
+  if (!address || !chain) {
+    return res.status(400).json({ error: "address and chain are required" });
+  }
+
+  let metadata;
+  try {
+    metadata = JSON.parse(files["metadata.json"]);
+  } catch (error) {
+    return res.status(400).json({ error: "metadata.json is missing" });
+  }
+
+  const missing = Object.keys(metadata.sources || {}).filter(
+    (name) => files[name] === undefined
+  );
+  if (missing.length) {
+    return res
+      .status(400)
+      .json({ error: `Missing sources: ${missing.join(", ")}` });
+  }
+
+  if (FAIL) {
+    return res.status(400).json({ error: "Bytecode does not match" });
+  }
+
+  console.log(`Sourcify verify ${address} (chain ${chain})`);
+  res.json({ result: [{ address, chainId: chain, status: "perfect" }] });
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock explorer listening on port ${PORT}`);
+  console.log(`Etherscan API: http://127.0.0.1:${PORT}/api`);
+  console.log(`Sourcify: http://127.0.0.1:${PORT}`);
+});
@@ -0,0 +1,79 @@
+import express from "express";
+import { ethers } from "ethers";
+import dotenv from "dotenv";
+
+// Local stand-in for the remote signer service. It implements the same HTTP
+// interface as the production signer (see src/services/remote.signer.js) but
+// keeps the key in memory. Never use it outside development.
+
+// Load environment variables
+dotenv.config();
+
+const PORT = process.env.REMOTE_SIGNER_STUB_PORT || 8700;
+const AUTH_TOKEN = process.env.REMOTE_SIGNER_TOKEN || null;
+
+const wallet = process.env.REMOTE_SIGNER_STUB_KEY
+  ? new ethers.Wallet(process.env.REMOTE_SIGNER_STUB_KEY)
+  : ethers.Wallet.createRandom();
+
+const app = express();
+app.use(express.json({ limit: "1mb" }));
+
+// Bearer token check, only when a token is configured
+app.use((req, res, next) => {
+  if (AUTH_TOKEN && req.headers.authorization !== `Bearer ${AUTH_TOKEN}`) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+  next();
+});
+
+app.get("/address", (req, res) => {
+  res.json({ address: wallet.address });
+});
+
+app.post("/sign-transaction", async (req, res) => {
+  try {
+    const { chainId, unsignedTransaction } = req.body;
+    const tx = ethers.Transaction.from(unsignedTransaction);
+
+    if (chainId && tx.chainId !== BigInt(chainId)) {
+      return res.status(400).json({ error: "chainId mismatch" });
+    }
+
+    console.log(
+      `Signing tx nonce=${tx.nonce} to=${tx.to || "(create)"} chainId=${
+        tx.chainId
+      }`
+    );
+    const signedTransaction = await wallet.signTransaction(tx);
+    res.json({ signedTransaction });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.post("/sign-message", async (req, res) => {
+  try {
+    const signature = await wallet.signMessage(
+      ethers.getBytes(req.body.message)
+    );
+    res.json({ signature });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.post("/sign-typed-data", async (req, res) => {
+  try {
+    const { domain, types, value } = req.body;
+    const signature = await wallet.signTypedData(domain, types, value);
+    res.json({ signature });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.listen(PORT, () => {
+  console.log(`Remote signer stub listening on port ${PORT}`);
+  console.log(`Signer address: ${wallet.address}`);
+});
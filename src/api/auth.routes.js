@@ -0,0 +1,171 @@
+import express from "express";
+import mongoose from "mongoose";
+import ApiKey, { ROLES } from "../models/apiKey.model.js";
+import { createApiKey, signJwt } from "../services/auth.service.js";
+import { requireRole } from "../middleware/auth.js";
+const router = express.Router();
+
+// Key listing without the hash
+const keySummary = (record) => ({
+  id: record._id,
+  tenant: record.tenant,
+  role: record.role,
+  name: record.name,
+  prefix: record.prefix,
+  lastUsedAt: record.lastUsedAt,
+  revokedAt: record.revokedAt,
+  createdAt: record.createdAt,
+});
+
+// Authentication must be enabled for these routes to mean anything
+const requireAuth = (req, res, next) => {
+  if (!req.auth) {
+    return res.status(404).json({
+      success: false,
+      error: "Authentication is disabled",
+    });
+  }
+  next();
+};
+
+// GET /auth/me - The caller's tenant and role
+router.get("/auth/me", requireAuth, (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: req.auth,
+  });
+});
+
+// POST /auth/token - Exchange an API key for a short-lived JWT with the same tenant and role
+router.post("/auth/token", requireAuth, (req, res) => {
+  try {
+    if (req.auth.method !== "api-key") {
+      return res.status(400).json({
+        success: false,
+        error: "Tokens are issued for API keys only",
+      });
+    }
+
+    const { token, expiresAt } = signJwt(req.auth);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        token,
+        expiresAt,
+        tenant: req.auth.tenant,
+        role: req.auth.role,
+      },
+    });
+  } catch (error) {
+    console.error("Error in /auth/token endpoint:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      message: error.message,
+    });
+  }
+});
+
+// GET /auth/keys - List the tenant's API keys
+router.get(
+  "/auth/keys",
+  requireAuth,
+  requireRole("admin"),
+  async (req, res) => {
+    try {
+      const keys = await ApiKey.find({ tenant: req.auth.tenant }).sort({
+        createdAt: -1,
+      });
+
+      res.status(200).json({
+        success: true,
+        data: keys.map(keySummary),
+      });
+    } catch (error) {
+      console.error("Error in /auth/keys endpoint:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+        message: error.message,
+      });
+    }
+  }
+);
+
+// POST /auth/keys - Create an API key for the tenant; the key is only returned here
+router.post(
+  "/auth/keys",
+  requireAuth,
+  requireRole("admin"),
+  async (req, res) => {
+    try {
+      const { role, name } = req.body;
+
+      if (!ROLES.includes(role)) {
+        return res.status(400).json({
+          success: false,
+          error: `role must be one of ${ROLES.join(", ")}`,
+        });
+      }
+
+      const { key, record } = await createApiKey({
+        tenant: req.auth.tenant,
+        role,
+        name: name || null,
+      });
+
+      res.status(201).json({
+        success: true,
+        data: { key, ...keySummary(record) },
+      });
+    } catch (error) {
+      console.error("Error in /auth/keys endpoint:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+        message: error.message,
+      });
+    }
+  }
+);
+
+// DELETE /auth/keys/:keyId - Revoke one of the tenant's API keys
+router.delete(
+  "/auth/keys/:keyId",
+  requireAuth,
+  requireRole("admin"),
+  async (req, res) => {
+    try {
+      const { keyId } = req.params;
+
+      const record = mongoose.isValidObjectId(keyId)
+        ? await ApiKey.findOneAndUpdate(
+            { _id: keyId, tenant: req.auth.tenant, revokedAt: null },
+            { revokedAt: new Date() },
+            { new: true }
+          )
+        : null;
+      if (!record) {
+        return res.status(404).json({
+          success: false,
+          error: `API key ${keyId} not found`,
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: keySummary(record),
+      });
+    } catch (error) {
+      console.error("Error in /auth/keys/:keyId endpoint:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+        message: error.message,
+      });
+    }
+  }
+);
+
+export default router;
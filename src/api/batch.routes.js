@@ -0,0 +1,364 @@
+import express from "express";
+import mongoose from "mongoose";
+import Batch, { BATCH_STATUSES } from "../models/batch.model.js";
+import { Circuit } from "../models/circuit.model.js";
+import BatchService, { batchSummary } from "../services/batch.service.js";
+import ProofService, { PROOF_SYSTEMS } from "../services/proof.service.js";
+import { getTemplate, resolveTemplateParams } from "../templates/index.js";
+import {
+  resolveRequestChain,
+  validateRequestSigner,
+  validateRequestCompiler,
+} from "./request.validators.js";
+import { requireRole, tenantScope, requestTenant } from "../middleware/auth.js";
+const router = express.Router();
+
+const DEPLOY_MODES = ["create", "create2"];
+
+// Items (verifiers and wrappers, on every chain) one batch may deploy
+const MAX_BATCH_ITEMS = parseInt(process.env.DEPLOY_BATCH_MAX_ITEMS) || 100;
+
+// Target chains of a batch request: `chains` (chain ids or network names),
+// or chainId/network as for single deployments. Answers 400 when one is
+// unknown.
+const resolveBatchChains = (source, res) => {
+  if (source.chains === undefined) {
+    const chain = resolveRequestChain(source, res);
+    return chain ? [chain] : null;
+  }
+
+  if (!Array.isArray(source.chains) || !source.chains.length) {
+    res.status(400).json({
+      success: false,
+      error: "chains must be a non-empty array of chain ids or network names",
+    });
+    return null;
+  }
+
+  const chains = [];
+  for (const entry of source.chains) {
+    const chain = resolveRequestChain({ chainId: entry }, res);
+    if (!chain) return null;
+    if (!chains.some(({ chainId }) => chainId === chain.chainId)) {
+      chains.push(chain);
+    }
+  }
+  return chains;
+};
+
+// Wrappers of a batch request, each in front of one of its circuits'
+// verifiers on every chain. Template params are checked against the
+// circuit's vkey here when it is known, and against the verifier once it is
+// deployed. Throws when a wrapper is invalid.
+const resolveBatchWrappers = async (wrappers, circuitIds, chain) => {
+  if (wrappers === undefined) {
+    return [];
+  }
+  if (!Array.isArray(wrappers)) {
+    throw new Error("wrappers must be an array");
+  }
+
+  const proofService = new ProofService();
+  const resolved = [];
+  for (const wrapper of wrappers) {
+    const {
+      circuitId,
+      template: templateName,
+      version,
+      params = {},
+      nPublic,
+      proofSystem,
+    } = wrapper || {};
+
+    if (!circuitIds.includes(circuitId)) {
+      throw new Error(
+        `Wrappers must be in front of one of circuitIds (got ${circuitId})`
+      );
+    }
+
+    const template = templateName && getTemplate(templateName, version);
+    if (!template) {
+      throw new Error(
+        `Unknown template: ${templateName}${version ? `@${version}` : ""}`
+      );
+    }
+    if (template.deprecated) {
+      throw new Error(
+        `${template.name}@${template.version} is deprecated: ${template.deprecated}`
+      );
+    }
+
+    if (nPublic !== undefined && (!Number.isInteger(nPublic) || nPublic < 1)) {
+      throw new Error("nPublic must be a positive integer");
+    }
+    if (proofSystem !== undefined && !PROOF_SYSTEMS.includes(proofSystem)) {
+      throw new Error(`proofSystem must be one of ${PROOF_SYSTEMS.join(", ")}`);
+    }
+
+    const counts = await proofService.publicSignalCounts(chain, { circuitId });
+    const known = nPublic ?? counts.vkey;
+    if (known) {
+      resolveTemplateParams(template, params, { nPublic: known });
+    } else if (!params || typeof params !== "object" || Array.isArray(params)) {
+      throw new Error("params must be an object");
+    }
+
+    resolved.push({
+      circuitId,
+      template: template.name,
+      version: template.version,
+      params,
+      nPublic: nPublic ?? null,
+      proofSystem: proofSystem ?? null,
+    });
+  }
+  return resolved;
+};
+
+// The caller's batch, or null when there is no such batch
+const findBatch = (req, batchId) =>
+  mongoose.isValidObjectId(batchId)
+    ? Batch.findOne({ _id: batchId, ...tenantScope(req) })
+    : null;
+
+const batchNotFound = (res, batchId) =>
+  res.status(404).json({
+    success: false,
+    error: `Batch ${batchId} not found`,
+  });
+
+// POST /deploy/batch - Deploy the verifiers of several circuits, and wrappers
+// in front of them, on one or more chains, tracked as one batch
+router.post("/deploy/batch", requireRole("deployer"), async (req, res) => {
+  try {
+    const { signer, deployMode, compiler } = req.body;
+
+    if (
+      !Array.isArray(req.body.circuitIds) ||
+      !req.body.circuitIds.length ||
+      !req.body.circuitIds.every((id) => typeof id === "string" && id)
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: "circuitIds must be a non-empty array of circuit ids",
+      });
+    }
+    const circuitIds = [...new Set(req.body.circuitIds)];
+
+    if (deployMode && !DEPLOY_MODES.includes(deployMode)) {
+      return res.status(400).json({
+        success: false,
+        error: `deployMode must be one of ${DEPLOY_MODES.join(", ")}`,
+      });
+    }
+
+    const chains = resolveBatchChains(req.body, res);
+    if (!chains) return;
+    if (!validateRequestSigner(signer, res)) return;
+    if (!validateRequestCompiler(compiler, res)) return;
+
+    // Every circuit must exist for the caller
+    const circuits = await Circuit.find(
+      {
+        _id: { $in: circuitIds.filter((id) => mongoose.isValidObjectId(id)) },
+        ...tenantScope(req),
+      },
+      { _id: 1 }
+    );
+    const missing = circuitIds.filter(
+      (id) => !circuits.some((circuit) => String(circuit._id) === id)
+    );
+    if (missing.length) {
+      return res.status(404).json({
+        success: false,
+        error: `Circuits not found: ${missing.join(", ")}`,
+      });
+    }
+
+    let wrappers;
+    try {
+      wrappers = await resolveBatchWrappers(
+        req.body.wrappers,
+        circuitIds,
+        chains[0]
+      );
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    const items = (circuitIds.length + wrappers.length) * chains.length;
+    if (items > MAX_BATCH_ITEMS) {
+      return res.status(400).json({
+        success: false,
+        error: `A batch may deploy at most ${MAX_BATCH_ITEMS} contracts (${items} requested)`,
+      });
+    }
+
+    const batch = await new BatchService().createBatch({
+      tenant: requestTenant(req),
+      circuitIds,
+      chains,
+      wrappers,
+      signer: signer || null,
+      compiler: compiler || null,
+      deployMode: deployMode || null,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Batch deployment queued successfully",
+      data: batchSummary(batch),
+    });
+  } catch (error) {
+    console.error("Error in /deploy/batch endpoint:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      message: error.message,
+    });
+  }
+});
+
+// GET /deploy/batch - List the tenant's batches, newest first
+router.get("/deploy/batch", requireRole("read-only"), async (req, res) => {
+  try {
+    const { status, limit = 50, page = 1 } = req.query;
+
+    const query = { ...tenantScope(req) };
+    if (status) {
+      if (!BATCH_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          error: `status must be one of ${BATCH_STATUSES.join(", ")}`,
+        });
+      }
+      query.status = status;
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const batches = await Batch.find(query)
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip(skip);
+
+    const total = await Batch.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        batches: batches.map((batch) => batchSummary(batch, { items: false })),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit)),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Error in /deploy/batch endpoint:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      message: error.message,
+    });
+  }
+});
+
+// GET /deploy/batch/:batchId - A batch's status, summary and items
+router.get(
+  "/deploy/batch/:batchId",
+  requireRole("read-only"),
+  async (req, res) => {
+    try {
+      const { batchId } = req.params;
+
+      const batch = await findBatch(req, batchId);
+      if (!batch) {
+        return batchNotFound(res, batchId);
+      }
+
+      res.status(200).json({
+        success: true,
+        data: batchSummary(batch),
+      });
+    } catch (error) {
+      console.error("Error in /deploy/batch/:batchId endpoint:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+        message: error.message,
+      });
+    }
+  }
+);
+
+// POST /deploy/batch/:batchId/retry - Queue a batch's failed items again:
+// the given ones, or all of them
+router.post(
+  "/deploy/batch/:batchId/retry",
+  requireRole("deployer"),
+  async (req, res) => {
+    try {
+      const { batchId } = req.params;
+      const { items } = req.body;
+
+      if (
+        items !== undefined &&
+        (!Array.isArray(items) ||
+          !items.length ||
+          !items.every((id) => typeof id === "string"))
+      ) {
+        return res.status(400).json({
+          success: false,
+          error: "items must be a non-empty array of item ids",
+        });
+      }
+
+      const found = await findBatch(req, batchId);
+      if (!found) {
+        return batchNotFound(res, batchId);
+      }
+
+      const unknown = (items || []).filter(
+        (id) => !mongoose.isValidObjectId(id) || !found.items.id(id)
+      );
+      if (unknown.length) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown items: ${unknown.join(", ")}`,
+        });
+      }
+
+      const { batch, error } = await new BatchService().retry(
+        found,
+        items || null
+      );
+      if (error) {
+        return res.status(409).json({
+          success: false,
+          error,
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: "Batch items queued again",
+        data: batchSummary(batch),
+      });
+    } catch (error) {
+      console.error("Error in /deploy/batch/:batchId/retry endpoint:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+        message: error.message,
+      });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,212 @@
+import express from "express";
+import ProofService, {
+  OFFCHAIN_PROTOCOLS,
+  validateProof,
+} from "../services/proof.service.js";
+import CircuitService from "../services/circuit.service.js";
+import { resolveRequestChain } from "./request.validators.js";
+import { requireRole, tenantScope, ownsCircuit } from "../middleware/auth.js";
+const router = express.Router();
+
+// 404 for unknown circuits and circuits of other tenants alike
+const circuitNotFound = (res, circuitId) =>
+  res.status(404).json({
+    success: false,
+    error: `Circuit ${circuitId} not found`,
+  });
+
+// POST /circuits/:circuitId/verify-proof - Check a proof against the deployed verifier (read-only)
+router.post(
+  "/circuits/:circuitId/verify-proof",
+  requireRole("read-only"),
+  async (req, res) => {
+    try {
+      const { circuitId } = req.params;
+      const { proof } = req.body;
+      // snarkjs writes public signals to public.json; accept either name
+      const publicSignals = req.body.publicSignals ?? req.body.public;
+
+      const chain = resolveRequestChain(req.body, res);
+      if (!chain) return;
+      if (!(await ownsCircuit(req, circuitId))) {
+        return circuitNotFound(res, circuitId);
+      }
+
+      const proofService = new ProofService();
+      const verifier = await proofService.findVerifier(
+        circuitId,
+        chain,
+        tenantScope(req)
+      );
+      if (!verifier) {
+        return res.status(404).json({
+          success: false,
+          error: `No deployed verifier for circuitId ${circuitId} on ${chain.name}`,
+        });
+      }
+
+      const invalid = validateProof(
+        verifier.proofSystem || "groth16",
+        proof,
+        publicSignals
+      );
+      if (invalid) {
+        return res.status(400).json({
+          success: false,
+          error: invalid,
+        });
+      }
+
+      const expected = await proofService.expectedPublicSignals(verifier);
+      if (expected !== null && expected !== publicSignals.length) {
+        return res.status(400).json({
+          success: false,
+          error: `Verifier expects ${expected} public signals, got ${publicSignals.length}`,
+        });
+      }
+
+      const result = await proofService.verifyOnChain(
+        verifier,
+        chain,
+        proof,
+        publicSignals
+      );
+
+      res.status(200).json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      console.error("Error in /circuits/verify-proof endpoint:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+        message: error.message,
+      });
+    }
+  }
+);
+
+// POST /circuits/:circuitId/verify-proof/offchain - Check a proof against the circuit's verification key
+router.post(
+  "/circuits/:circuitId/verify-proof/offchain",
+  requireRole("read-only"),
+  async (req, res) => {
+    try {
+      const { circuitId } = req.params;
+      const { proof } = req.body;
+      const publicSignals = req.body.publicSignals ?? req.body.public;
+
+      const chain = resolveRequestChain(req.body, res);
+      if (!chain) return;
+      if (!(await ownsCircuit(req, circuitId))) {
+        return circuitNotFound(res, circuitId);
+      }
+
+      const proofService = new ProofService();
+      const vkey = await proofService.loadVerificationKey(
+        circuitId,
+        chain,
+        tenantScope(req)
+      );
+      if (!vkey) {
+        return res.status(404).json({
+          success: false,
+          error: `No verification key for circuitId ${circuitId}`,
+        });
+      }
+
+      if (!OFFCHAIN_PROTOCOLS.includes(vkey.protocol)) {
+        return res.status(501).json({
+          success: false,
+          error: `Off-chain verification of ${vkey.protocol} proofs is not supported yet`,
+        });
+      }
+
+      const invalid = validateProof(vkey.protocol, proof, publicSignals);
+      if (invalid) {
+        return res.status(400).json({
+          success: false,
+          error: invalid,
+        });
+      }
+
+      if (vkey.IC.length !== publicSignals.length + 1) {
+        return res.status(400).json({
+          success: false,
+          error: `Verification key expects ${
+            vkey.IC.length - 1
+          } public signals, got ${publicSignals.length}`,
+        });
+      }
+
+      const verifier = await proofService.findVerifier(
+        circuitId,
+        chain,
+        tenantScope(req)
+      );
+      const result = await proofService.verifyOffChain(
+        vkey,
+        proof,
+        publicSignals,
+        verifier,
+        chain
+      );
+
+      res.status(200).json({
+        success: true,
+        data: {
+          circuitId,
+          chainId: chain.chainId,
+          network: chain.name,
+          ...result,
+        },
+      });
+    } catch (error) {
+      console.error(
+        "Error in /circuits/verify-proof/offchain endpoint:",
+        error
+      );
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+        message: error.message,
+      });
+    }
+  }
+);
+
+// GET /circuits/:circuitId/deployments - A circuit's verifier deployments across chains
+router.get(
+  "/circuits/:circuitId/deployments",
+  requireRole("read-only"),
+  async (req, res) => {
+    try {
+      const { circuitId } = req.params;
+
+      const result = (await ownsCircuit(req, circuitId))
+        ? await new CircuitService().listDeployments(
+            circuitId,
+            tenantScope(req)
+          )
+        : null;
+      if (!result) {
+        return circuitNotFound(res, circuitId);
+      }
+
+      res.status(200).json({
+        success: true,
+        data: { circuitId, ...result },
+      });
+    } catch (error) {
+      console.error("Error in /circuits/deployments endpoint:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+        message: error.message,
+      });
+    }
+  }
+);
+
+export default router;
@@ -1,18 +1,123 @@
 import express from "express";
+import { ethers } from "ethers";
 import {
   addDeploymentJob,
+  addVerificationJob,
   getJobStatus,
   getQueueStats,
+  subscribeToJob,
 } from "../queue/deploy.queue.js";
 import Contract from "../models/contract.model.js";
 import { Circuit } from "../models/circuit.model.js";
 import DeployService from "../services/deploy.service.js";
+import { listChains } from "../config/chains.js";
+import { listSignerProfiles } from "../config/signers.js";
+import { getArtifact } from "../services/artifact.service.js";
+import { parseRemappings } from "../services/source.resolver.js";
+import { canVerify } from "../services/verification.service.js";
+import CircuitService from "../services/circuit.service.js";
+import { BUDGET_EXCEEDED } from "../services/usage.service.js";
+import WebhookService from "../services/webhook.service.js";
+import ProofService, { PROOF_SYSTEMS } from "../services/proof.service.js";
+import {
+  DEFAULT_WRAPPER_TEMPLATE,
+  getTemplate,
+  listTemplates,
+  resolveTemplateParams,
+} from "../templates/index.js";
+import {
+  resolveRequestChain,
+  validateRequestSigner,
+  validateRequestCompiler,
+  resolveRequestPublicSignals,
+  resolveRequestProofSystem,
+  resolveRequestVersion,
+  resolveRequestWebhooks,
+} from "./request.validators.js";
+import {
+  requireRole,
+  tenantScope,
+  requestTenant,
+  ownsCircuit,
+  heldByOtherTenant,
+} from "../middleware/auth.js";
 const router = express.Router();
 
+const DEPLOY_MODES = ["create", "create2"];
+
+// Comments sent on idle job streams so proxies keep them open
+const STREAM_KEEPALIVE_MS = 15000;
+
+// A circuit's contract record on a chain: the given version, or the latest
+const findContractVersion = (circuitId, chain, version, scope = {}) =>
+  Contract.findOne({
+    circuitId,
+    chainId: chain.chainId,
+    ...(version && { version }),
+    ...scope,
+  }).sort({ version: -1 });
+
+// 404 for a circuit of another tenant, as if it did not exist
+const circuitNotFound = (res, circuitId) =>
+  res.status(404).json({
+    success: false,
+    error: `Circuit ${circuitId} not found`,
+  });
+
+// 429 for a deployment addDeploymentJob refused for the tenant's budget. The
+// record it was for fails, so it can be retried once the budget resets.
+const budgetExceeded = async (res, error, contract) => {
+  await new DeployService().failQueuedRecord(contract, error.message);
+
+  return res.status(429).json({
+    success: false,
+    error: error.message,
+    data: error.budget,
+  });
+};
+
+// GET /chains - List the chains deployments can target
+router.get("/chains", requireRole("read-only"), (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: listChains().map(
+      ({
+        chainId,
+        name,
+        explorerUrl,
+        explorerApiUrl,
+        sourcify,
+        confirmations,
+        signer,
+        gasPolicy,
+        deployBudget,
+      }) => ({
+        chainId,
+        network: name,
+        explorerUrl,
+        explorerApiUrl,
+        sourcify,
+        confirmations,
+        signer,
+        gasPolicy,
+        deployBudget,
+      })
+    ),
+  });
+});
+
+// GET /signers - List configured signer profiles (names and types only)
+router.get("/signers", requireRole("read-only"), (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: listSignerProfiles(),
+  });
+});
+
 // POST /deploy - Enqueue a deployment job
-router.post("/deploy", async (req, res) => {
+router.post("/deploy", requireRole("deployer"), async (req, res) => {
   try {
-    const { circuitId } = req.body;
+    const { circuitId, signer, deployMode, compiler } = req.body;
 
     // Validate input
     if (!circuitId) {
@@ -22,8 +127,25 @@ router.post("/deploy", async (req, res) => {
       });
     }
 
+    if (deployMode && !DEPLOY_MODES.includes(deployMode)) {
+      return res.status(400).json({
+        success: false,
+        error: `deployMode must be one of ${DEPLOY_MODES.join(", ")}`,
+      });
+    }
+
+    const chain = resolveRequestChain(req.body, res);
+    if (!chain) return;
+    if (!validateRequestSigner(signer, res)) return;
+    if (!validateRequestCompiler(compiler, res)) return;
+    const webhooks = await resolveRequestWebhooks(req.body, res);
+    if (!webhooks) return;
+
     // Check if contract exists in MongoDB
-    const circuit = await Circuit.findOne({ _id: circuitId });
+    const circuit = await Circuit.findOne({
+      _id: circuitId,
+      ...tenantScope(req),
+    });
     if (!circuit) {
       return res.status(404).json({
         success: false,
@@ -31,49 +153,73 @@ router.post("/deploy", async (req, res) => {
       });
     }
 
-    const contract = await Contract.findOne({ circuitId });
-
-    if (!contract) {
-      // Create a new contract document if it doesn't exist
-      await Contract.create({
-        circuitId,
-        name: circuit.template, // or use another field if appropriate
-        sourceUrl: "", // You may want to fill this with a real URL if available
-        artifacts: {
-          wasm: circuit.artifacts?.wasm || "",
-          zkey: circuit.artifacts?.zkey || "",
-          vkey: circuit.artifacts?.vkey || "",
-          verifier: circuit.artifacts?.verifier || "",
-        },
-        constructorArgs: [],
-        status: "pending",
-      });
+    // The latest record on the chain, or a new one; a failed record is
+    // retried with the request's deploy mode and compiler settings
+    let contract;
+    let created;
+    try {
+      ({ contract, created } = await new DeployService().prepareVerifierRecord(
+        circuit,
+        chain,
+        { compiler, deployMode }
+      ));
+    } catch (error) {
+      if (/Unsupported proof protocol/.test(error.message)) {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+        });
+      }
+      throw error;
     }
 
-    if (contract) {
+    if (!created) {
       // Check if contract is already being processed or deployed
       if (contract.status === "pending") {
         return res.status(409).json({
           success: false,
-          error: `Contract with circuitId ${circuitId} is already being processed`,
+          error: `Contract with circuitId ${circuitId} is already being processed on ${chain.name}`,
         });
       }
 
       if (contract.status === "deployed") {
         return res.status(409).json({
           success: false,
-          error: `Contract with circuitId ${circuitId} is already deployed at ${contract.contractAddress}`,
+          error: `Contract with circuitId ${circuitId} is already deployed on ${chain.name} at ${contract.contractAddress}; use POST /api/deploy/redeploy for a new version`,
         });
       }
     }
 
+    // Tracked before enqueueing so the worker's updates always come after
+    await new CircuitService().trackDeployment(contract, "queued", {
+      jobId: null,
+      error: null,
+    });
+
+    // Registered before the job so they get its queued event
+    const subscribed = await new WebhookService().subscribe(contract, webhooks);
+
     // Add job to queue
-    const jobResult = await addDeploymentJob(circuitId);
+    let jobResult;
+    try {
+      jobResult = await addDeploymentJob(circuitId, {
+        chainId: chain.chainId,
+        network: chain.name,
+        signer,
+        version: contract.version,
+        tenant: requestTenant(req),
+      });
+    } catch (error) {
+      if (error.code === BUDGET_EXCEEDED) {
+        return budgetExceeded(res, error, contract);
+      }
+      throw error;
+    }
 
     res.status(200).json({
       success: true,
       message: "Deployment job queued successfully",
-      data: jobResult,
+      data: { ...jobResult, webhooks: subscribed },
     });
   } catch (error) {
     console.error("Error in /deploy endpoint:", error);
@@ -85,26 +231,121 @@ router.post("/deploy", async (req, res) => {
   }
 });
 
-// GET /deploy/status/:jobId - Get job status
-router.get("/deploy/status/:jobId", async (req, res) => {
+// POST /deploy/redeploy - Deploy a new version of a circuit's verifier
+router.post("/deploy/redeploy", requireRole("deployer"), async (req, res) => {
   try {
-    const { jobId } = req.params;
+    const { circuitId, signer, deployMode, compiler, activate } = req.body;
 
-    if (!jobId) {
+    if (!circuitId) {
       return res.status(400).json({
         success: false,
-        error: "jobId is required",
+        error: "circuitId is required",
       });
     }
 
-    const jobStatus = await getJobStatus(jobId);
+    if (deployMode && !DEPLOY_MODES.includes(deployMode)) {
+      return res.status(400).json({
+        success: false,
+        error: `deployMode must be one of ${DEPLOY_MODES.join(", ")}`,
+      });
+    }
+
+    if (activate !== undefined && typeof activate !== "boolean") {
+      return res.status(400).json({
+        success: false,
+        error: "activate must be a boolean",
+      });
+    }
+
+    const chain = resolveRequestChain(req.body, res);
+    if (!chain) return;
+    if (!validateRequestSigner(signer, res)) return;
+    if (!validateRequestCompiler(compiler, res)) return;
+    const webhooks = await resolveRequestWebhooks(req.body, res);
+    if (!webhooks) return;
+
+    const previous = await findContractVersion(
+      circuitId,
+      chain,
+      null,
+      tenantScope(req)
+    );
+    if (!previous) {
+      return res.status(404).json({
+        success: false,
+        error: `Contract with circuitId ${circuitId} not found on ${chain.name}; deploy it with POST /api/deploy first`,
+      });
+    }
+
+    if (previous.status === "pending") {
+      return res.status(409).json({
+        success: false,
+        error: `Version ${previous.version} of circuitId ${circuitId} is still being processed on ${chain.name}`,
+      });
+    }
+
+    let contract;
+    try {
+      contract = await new DeployService().createVersion(previous, chain, {
+        compiler,
+        deployMode,
+        activate,
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          error: `Version ${
+            previous.version + 1
+          } of circuitId ${circuitId} already exists on ${chain.name}`,
+        });
+      }
+      if (/Unsupported proof protocol/.test(error.message)) {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+        });
+      }
+      throw error;
+    }
+
+    await new CircuitService().trackDeployment(contract, "queued", {
+      jobId: null,
+      error: null,
+    });
+
+    // Registered before the job so they get its queued event
+    const subscribed = await new WebhookService().subscribe(contract, webhooks);
+
+    let jobResult;
+    try {
+      jobResult = await addDeploymentJob(circuitId, {
+        chainId: chain.chainId,
+        network: chain.name,
+        signer,
+        version: contract.version,
+        tenant: requestTenant(req),
+      });
+    } catch (error) {
+      if (error.code === BUDGET_EXCEEDED) {
+        return budgetExceeded(res, error, contract);
+      }
+      throw error;
+    }
 
     res.status(200).json({
       success: true,
-      data: jobStatus,
+      message: "Redeployment job queued successfully",
+      data: {
+        ...jobResult,
+        version: contract.version,
+        previousVersion: previous.version,
+        activateOnDeploy: contract.activateOnDeploy,
+        webhooks: subscribed,
+      },
     });
   } catch (error) {
-    console.error("Error in /deploy/status endpoint:", error);
+    console.error("Error in /deploy/redeploy endpoint:", error);
     res.status(500).json({
       success: false,
       error: "Internal server error",
@@ -113,10 +354,505 @@ router.get("/deploy/status/:jobId", async (req, res) => {
   }
 });
 
+// PUT /deploy/active-version - Choose the version used for proof verification and new wrappers
+router.put(
+  "/deploy/active-version",
+  requireRole("deployer"),
+  async (req, res) => {
+    try {
+      const { circuitId } = req.body;
+
+      if (!circuitId) {
+        return res.status(400).json({
+          success: false,
+          error: "circuitId is required",
+        });
+      }
+
+      const chain = resolveRequestChain(req.body, res);
+      if (!chain) return;
+      const version = resolveRequestVersion(req.body, res);
+      if (version === false) return;
+      if (version === null) {
+        return res.status(400).json({
+          success: false,
+          error: "version is required",
+        });
+      }
+
+      const contract = await findContractVersion(
+        circuitId,
+        chain,
+        version,
+        tenantScope(req)
+      );
+      if (!contract) {
+        return res.status(404).json({
+          success: false,
+          error: `Version ${version} of circuitId ${circuitId} not found on ${chain.name}`,
+        });
+      }
+
+      if (contract.status !== "deployed") {
+        return res.status(409).json({
+          success: false,
+          error: `Version ${version} of circuitId ${circuitId} is ${contract.status}, not deployed`,
+        });
+      }
+
+      const deployService = new DeployService();
+      const active = await deployService.activateVersion(contract);
+
+      res.status(200).json({
+        success: true,
+        message: `Version ${version} is now active`,
+        data: deployService.deploymentResult(active, chain),
+      });
+    } catch (error) {
+      console.error("Error in /deploy/active-version endpoint:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+        message: error.message,
+      });
+    }
+  }
+);
+
+// GET /deploy/versions/:circuitId - Deployment versions of a circuit on a chain
+router.get(
+  "/deploy/versions/:circuitId",
+  requireRole("read-only"),
+  async (req, res) => {
+    try {
+      const { circuitId } = req.params;
+
+      const chain = resolveRequestChain(req.query, res);
+      if (!chain) return;
+
+      const versions = await Contract.find(
+        { circuitId, chainId: chain.chainId, ...tenantScope(req) },
+        {
+          version: 1,
+          status: 1,
+          active: 1,
+          contractAddress: 1,
+          txHash: 1,
+          proofSystem: 1,
+          "artifacts.vkey": 1,
+          deployedAt: 1,
+          supersededAt: 1,
+          supersededBy: 1,
+          error: 1,
+        }
+      ).sort({ version: -1 });
+
+      if (versions.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: `Contract with circuitId ${circuitId} not found on ${chain.name}`,
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: {
+          circuitId,
+          chainId: chain.chainId,
+          network: chain.name,
+          activeVersion:
+            versions.find(
+              (contract) => contract.active && contract.status === "deployed"
+            )?.version ?? null,
+          versions,
+        },
+      });
+    } catch (error) {
+      console.error("Error in /deploy/versions endpoint:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+        message: error.message,
+      });
+    }
+  }
+);
+
+// GET /deploy/status/:jobId - Get job status
+router.get(
+  "/deploy/status/:jobId",
+  requireRole("read-only"),
+  async (req, res) => {
+    try {
+      const { jobId } = req.params;
+
+      if (!jobId) {
+        return res.status(400).json({
+          success: false,
+          error: "jobId is required",
+        });
+      }
+
+      let jobStatus = await getJobStatus(jobId);
+      // Jobs of other tenants are reported as missing
+      if (
+        req.auth &&
+        jobStatus.data &&
+        jobStatus.data.tenant !== req.auth.tenant
+      ) {
+        jobStatus = { status: "not_found" };
+      }
+
+      res.status(200).json({
+        success: true,
+        data: jobStatus,
+      });
+    } catch (error) {
+      console.error("Error in /deploy/status endpoint:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+        message: error.message,
+      });
+    }
+  }
+);
+
+// GET /deploy/status/:jobId/stream - A job's progress as Server-Sent Events,
+// followed by the progress of the verification job it queues. Events:
+// status (current state, first), progress, completed, failed and end.
+router.get(
+  "/deploy/status/:jobId/stream",
+  requireRole("read-only"),
+  async (req, res) => {
+    const { jobId } = req.params;
+    const followed = new Map();
+    const finished = new Set();
+    let keepalive = null;
+    let closed = false;
+
+    const send = (event, data) => {
+      if (!closed) {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      }
+    };
+
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(keepalive);
+      for (const unsubscribe of followed.values()) {
+        unsubscribe();
+      }
+      res.end();
+    };
+
+    // The stream ends once every followed job has finished
+    const finish = (id) => {
+      finished.add(id);
+      if ([...followed.keys()].every((key) => finished.has(key))) {
+        send("end", { jobIds: [...followed.keys()] });
+        close();
+      }
+    };
+
+    const follow = async (id) => {
+      if (followed.has(id) || closed) return;
+
+      followed.set(
+        id,
+        subscribeToJob(id, (type, value) => {
+          if (closed || finished.has(id)) return;
+          if (type === "progress") {
+            send("progress", { jobId: id, progress: value });
+            if (value?.verificationJobId) {
+              follow(String(value.verificationJobId)).catch(close);
+            }
+          } else if (type === "completed") {
+            send("completed", { jobId: id, result: value });
+            finish(id);
+          } else {
+            send("failed", { jobId: id, error: value });
+            finish(id);
+          }
+        })
+      );
+
+      // Read the state after subscribing, so no event falls in between
+      const status = await getJobStatus(id);
+      if (closed || finished.has(id)) return;
+      send("status", {
+        jobId: id,
+        status: status.status,
+        progress: status.progress ?? null,
+      });
+
+      if (status.progress?.verificationJobId) {
+        await follow(String(status.progress.verificationJobId));
+      }
+      if (status.status === "completed") {
+        send("completed", { jobId: id, result: status.result });
+        finish(id);
+      } else if (status.status === "failed") {
+        send("failed", { jobId: id, error: status.failedReason });
+        finish(id);
+      } else if (status.status === "not_found") {
+        finish(id);
+      }
+    };
+
+    try {
+      const jobStatus = await getJobStatus(jobId);
+      // Jobs of other tenants are reported as missing
+      if (
+        jobStatus.status === "not_found" ||
+        (req.auth && jobStatus.data?.tenant !== req.auth.tenant)
+      ) {
+        return res.status(404).json({
+          success: false,
+          error: `Job ${jobId} not found`,
+        });
+      }
+
+      res.set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+        // Stops nginx from buffering the stream
+        "X-Accel-Buffering": "no",
+      });
+      res.flushHeaders();
+
+      keepalive = setInterval(() => {
+        if (!closed) res.write(": keepalive\n\n");
+      }, STREAM_KEEPALIVE_MS);
+      req.on("close", close);
+
+      await follow(String(jobId));
+    } catch (error) {
+      console.error("Error in /deploy/status/:jobId/stream endpoint:", error);
+      if (res.headersSent) {
+        send("error", { error: error.message });
+        return close();
+      }
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+        message: error.message,
+      });
+    }
+  }
+);
+
 // GET /deploy/contract/:circuitId - Get contract status
-router.get("/deploy/contract/:circuitId", async (req, res) => {
+router.get(
+  "/deploy/contract/:circuitId",
+  requireRole("read-only"),
+  async (req, res) => {
+    try {
+      const { circuitId } = req.params;
+
+      if (!circuitId) {
+        return res.status(400).json({
+          success: false,
+          error: "circuitId is required",
+        });
+      }
+
+      const chain = resolveRequestChain(req.query, res);
+      if (!chain) return;
+      const version = resolveRequestVersion(req.query, res);
+      if (version === false) return;
+
+      const contract = await findContractVersion(
+        circuitId,
+        chain,
+        version,
+        tenantScope(req)
+      );
+
+      if (!contract) {
+        return res.status(404).json({
+          success: false,
+          error: `Contract with circuitId ${circuitId} not found on ${chain.name}`,
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: contract,
+      });
+    } catch (error) {
+      console.error("Error in /deploy/contract endpoint:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+        message: error.message,
+      });
+    }
+  }
+);
+
+// GET /deploy/contract/:circuitId/artifacts - Cached compiler output of a deployed contract
+router.get(
+  "/deploy/contract/:circuitId/artifacts",
+  requireRole("read-only"),
+  async (req, res) => {
+    try {
+      const { circuitId } = req.params;
+
+      const chain = resolveRequestChain(req.query, res);
+      if (!chain) return;
+      const version = resolveRequestVersion(req.query, res);
+      if (version === false) return;
+
+      const contract = await findContractVersion(
+        circuitId,
+        chain,
+        version,
+        tenantScope(req)
+      );
+
+      if (!contract) {
+        return res.status(404).json({
+          success: false,
+          error: `Contract with circuitId ${circuitId} not found on ${chain.name}`,
+        });
+      }
+
+      const artifact = contract.artifactKey
+        ? await getArtifact(contract.artifactKey)
+        : null;
+      if (!artifact) {
+        return res.status(404).json({
+          success: false,
+          error: `No compilation artifacts for circuitId ${circuitId} on ${chain.name}`,
+        });
+      }
+
+      const compiled =
+        artifact.contracts.find((c) => c.contractName === contract.name) ||
+        artifact.contracts[0];
+
+      res.status(200).json({
+        success: true,
+        data: {
+          key: artifact.key,
+          compilerSettings: artifact.compilerSettings,
+          sources: artifact.sources,
+          ...compiled.toObject(),
+        },
+      });
+    } catch (error) {
+      console.error("Error in /deploy/contract/artifacts endpoint:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+        message: error.message,
+      });
+    }
+  }
+);
+
+// POST /deploy/contract/:circuitId/verify-source - Verify a deployed contract's source on explorers
+router.post(
+  "/deploy/contract/:circuitId/verify-source",
+  requireRole("deployer"),
+  async (req, res) => {
+    try {
+      const { circuitId } = req.params;
+
+      const chain = resolveRequestChain(req.body, res);
+      if (!chain) return;
+
+      if (!canVerify(chain)) {
+        return res.status(400).json({
+          success: false,
+          error: `No explorer API key or Sourcify support configured for ${chain.name}`,
+        });
+      }
+
+      const version = resolveRequestVersion(req.body, res);
+      if (version === false) return;
+
+      const contract = await Contract.findOne({
+        circuitId,
+        chainId: chain.chainId,
+        status: "deployed",
+        ...(version && { version }),
+        ...tenantScope(req),
+      }).sort({ version: -1 });
+
+      if (!contract) {
+        return res.status(404).json({
+          success: false,
+          error: `No deployed contract with circuitId ${circuitId} on ${chain.name}`,
+        });
+      }
+
+      const jobResult = await addVerificationJob(circuitId, {
+        chainId: chain.chainId,
+        network: chain.name,
+        version: contract.version,
+        tenant: requestTenant(req),
+        delay: 0,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Verification job queued successfully",
+        data: jobResult,
+      });
+    } catch (error) {
+      console.error("Error in /deploy/contract/verify-source endpoint:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+        message: error.message,
+      });
+    }
+  }
+);
+
+// GET /deploy/predict-address/:circuitId - Predict the CREATE2 address
+router.get(
+  "/deploy/predict-address/:circuitId",
+  requireRole("read-only"),
+  async (req, res) => {
+    try {
+      const { circuitId } = req.params;
+
+      const chain = resolveRequestChain(req.query, res);
+      if (!chain) return;
+      if (!(await ownsCircuit(req, circuitId))) {
+        return circuitNotFound(res, circuitId);
+      }
+
+      const deployService = new DeployService();
+      const prediction = await deployService.predictCreate2Address(
+        circuitId,
+        chain
+      );
+
+      res.status(200).json({
+        success: true,
+        data: prediction,
+      });
+    } catch (error) {
+      console.error("Error in /deploy/predict-address endpoint:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+        message: error.message,
+      });
+    }
+  }
+);
+
+// POST /deploy/estimate - Dry-run a deployment: gas, fees and cost, no broadcast
+router.post("/deploy/estimate", requireRole("read-only"), async (req, res) => {
   try {
-    const { circuitId } = req.params;
+    const { circuitId, signer, deployMode, compiler } = req.body;
 
     if (!circuitId) {
       return res.status(400).json({
@@ -125,21 +861,35 @@ router.get("/deploy/contract/:circuitId", async (req, res) => {
       });
     }
 
-    const contract = await Contract.findOne({ circuitId });
-
-    if (!contract) {
-      return res.status(404).json({
+    if (deployMode && !DEPLOY_MODES.includes(deployMode)) {
+      return res.status(400).json({
         success: false,
-        error: `Contract with circuitId ${circuitId} not found`,
+        error: `deployMode must be one of ${DEPLOY_MODES.join(", ")}`,
       });
     }
 
+    const chain = resolveRequestChain(req.body, res);
+    if (!chain) return;
+    if (!validateRequestSigner(signer, res)) return;
+    if (!validateRequestCompiler(compiler, res)) return;
+
+    if (!(await ownsCircuit(req, circuitId))) {
+      return circuitNotFound(res, circuitId);
+    }
+
+    const deployService = new DeployService();
+    const estimate = await deployService.estimateDeployment(circuitId, chain, {
+      signer,
+      deployMode,
+      compiler,
+    });
+
     res.status(200).json({
       success: true,
-      data: contract,
+      data: estimate,
     });
   } catch (error) {
-    console.error("Error in /deploy/contract endpoint:", error);
+    console.error("Error in /deploy/estimate endpoint:", error);
     res.status(500).json({
       success: false,
       error: "Internal server error",
@@ -149,33 +899,40 @@ router.get("/deploy/contract/:circuitId", async (req, res) => {
 });
 
 // GET /deploy/queue/stats - Get queue statistics
-router.get("/deploy/queue/stats", async (req, res) => {
-  try {
-    const stats = await getQueueStats();
+router.get(
+  "/deploy/queue/stats",
+  requireRole("read-only"),
+  async (req, res) => {
+    try {
+      const stats = await getQueueStats();
 
-    res.status(200).json({
-      success: true,
-      data: stats,
-    });
-  } catch (error) {
-    console.error("Error in /deploy/queue/stats endpoint:", error);
-    res.status(500).json({
-      success: false,
-      error: "Internal server error",
-      message: error.message,
-    });
+      res.status(200).json({
+        success: true,
+        data: stats,
+      });
+    } catch (error) {
+      console.error("Error in /deploy/queue/stats endpoint:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+        message: error.message,
+      });
+    }
   }
-});
+);
 
 // GET /deploy/contracts - List all contracts
-router.get("/deploy/contracts", async (req, res) => {
+router.get("/deploy/contracts", requireRole("read-only"), async (req, res) => {
   try {
-    const { status, limit = 50, page = 1 } = req.query;
+    const { status, chainId, limit = 50, page = 1 } = req.query;
 
-    const query = {};
+    const query = { ...tenantScope(req) };
     if (status) {
       query.status = status;
     }
+    if (chainId) {
+      query.chainId = parseInt(chainId);
+    }
 
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
@@ -209,7 +966,7 @@ router.get("/deploy/contracts", async (req, res) => {
 });
 
 // POST /deploy/contracts - Create a new contract (for testing)
-router.post("/deploy/contracts", async (req, res) => {
+router.post("/deploy/contracts", requireRole("deployer"), async (req, res) => {
   try {
     const {
       circuitId,
@@ -217,6 +974,9 @@ router.post("/deploy/contracts", async (req, res) => {
       sourceUrl,
       artifacts,
       constructorArgs = [],
+      compiler,
+      remappings,
+      proofSystem,
     } = req.body;
 
     // Validate required fields
@@ -227,6 +987,13 @@ router.post("/deploy/contracts", async (req, res) => {
       });
     }
 
+    if (proofSystem && !PROOF_SYSTEMS.includes(proofSystem)) {
+      return res.status(400).json({
+        success: false,
+        error: `proofSystem must be one of ${PROOF_SYSTEMS.join(", ")}`,
+      });
+    }
+
     // Validate artifacts if provided
     if (artifacts) {
       if (
@@ -247,20 +1014,51 @@ router.post("/deploy/contracts", async (req, res) => {
       });
     }
 
-    // Check if contract already exists
-    const existingContract = await Contract.findOne({ circuitId });
+    const chain = resolveRequestChain(req.body, res);
+    if (!chain) return;
+    if (!validateRequestCompiler(compiler, res)) return;
+
+    let parsedRemappings;
+    try {
+      parsedRemappings = parseRemappings(remappings || []);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    // A circuitId belongs to one tenant: its Circuit's, or the one whose
+    // records already use it on any chain
+    if (await heldByOtherTenant(req, circuitId)) {
+      return circuitNotFound(res, circuitId);
+    }
+
+    // Check if contract already exists on this chain
+    const existingContract = await Contract.findOne({
+      circuitId,
+      chainId: chain.chainId,
+    });
     if (existingContract) {
       return res.status(409).json({
         success: false,
-        error: `Contract with circuitId ${circuitId} already exists`,
+        error: `Contract with circuitId ${circuitId} already exists on ${chain.name}`,
       });
     }
 
     // Create new contract
     const contractData = {
       circuitId,
+      tenant: requestTenant(req),
+      chainId: chain.chainId,
+      network: chain.name,
       name,
       constructorArgs,
+      proofSystem: proofSystem || "groth16",
+      compiler: compiler || null,
+      remappings: parsedRemappings.map(
+        ({ prefix, target }) => `${prefix}=${target}`
+      ),
       status: "pending",
     };
 
@@ -292,75 +1090,315 @@ router.post("/deploy/contracts", async (req, res) => {
   }
 });
 
-router.get("/deploy/contracts/list", async (req, res) => {
-  const deployService = new DeployService();
-  try {
-    const contracts = await deployService.getListOfContracts();
+router.get(
+  "/deploy/contracts/list",
+  requireRole("read-only"),
+  async (req, res) => {
+    const deployService = new DeployService();
+    try {
+      const contracts = await deployService.getListOfContracts(
+        tenantScope(req)
+      );
+      res.status(200).json({
+        success: true,
+        data: contracts,
+      });
+    } catch (error) {
+      console.error("Error in /deploy/contracts/list endpoint:", error);
+    }
+  }
+);
+
+// POST /deploy/verify-contract - Deploy VerifyAtBlockChain contract
+router.post(
+  "/deploy/verify-contract",
+  requireRole("deployer"),
+  async (req, res) => {
+    try {
+      const { contractAddress, circuitId, signer, compiler } = req.body;
+
+      // Validate input
+      if (!contractAddress) {
+        return res.status(400).json({
+          success: false,
+          error: "contractAddress is required",
+        });
+      }
+
+      // Validate Ethereum address format
+      if (!contractAddress.match(/^0x[a-fA-F0-9]{40}$/)) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid Ethereum address format",
+        });
+      }
+
+      const chain = resolveRequestChain(req.body, res);
+      if (!chain) return;
+      if (!validateRequestSigner(signer, res)) return;
+      if (!validateRequestCompiler(compiler, res)) return;
+      const webhooks = await resolveRequestWebhooks(req.body, res);
+      if (!webhooks) return;
+      if (circuitId && !(await ownsCircuit(req, circuitId))) {
+        return circuitNotFound(res, circuitId);
+      }
+
+      const nPublic = await resolveRequestPublicSignals(
+        req.body,
+        chain,
+        contractAddress,
+        res
+      );
+      if (!nPublic) return;
+
+      const proofSystem = await resolveRequestProofSystem(
+        req.body,
+        chain,
+        contractAddress,
+        res
+      );
+      if (!proofSystem) return;
+
+      // Create a unique identifier for this verify contract deployment
+      const verifyContractId = `verify-${contractAddress.toLowerCase()}-${Date.now()}`;
+
+      // Create a new contract document for the VerifyAtBlockChain contract
+      const contract = await Contract.create({
+        circuitId: verifyContractId,
+        tenant: requestTenant(req),
+        chainId: chain.chainId,
+        network: chain.name,
+        name: "VerifyAtBlockChain",
+        sourceUrl: "", // We'll use embedded source code
+        artifacts: {
+          wasm: "", // Not applicable for this contract
+          zkey: "", // Not applicable for this contract
+          vkey: "", // Not applicable for this contract
+          verifier: "embedded", // Use embedded source code
+        },
+        constructorArgs: [contractAddress],
+        nPublic,
+        proofSystem,
+        wrapper: {
+          template: DEFAULT_WRAPPER_TEMPLATE,
+          version: getTemplate(DEFAULT_WRAPPER_TEMPLATE).version,
+          params: {},
+          verifierAddress: contractAddress,
+        },
+        compiler: compiler || null,
+        status: "pending",
+      });
+
+      // Registered before the job so they get its queued event
+      const subscribed = await new WebhookService().subscribe(
+        contract,
+        webhooks
+      );
+
+      // Add job to queue with a special job type
+      let jobResult;
+      try {
+        jobResult = await addDeploymentJob(verifyContractId, {
+          jobType: "deploy-verify-contract",
+          contractAddress,
+          chainId: chain.chainId,
+          network: chain.name,
+          signer,
+          tenant: requestTenant(req),
+        });
+      } catch (error) {
+        if (error.code === BUDGET_EXCEEDED) {
+          return budgetExceeded(res, error, contract);
+        }
+        throw error;
+      }
+
+      res.status(200).json({
+        success: true,
+        message: "VerifyAtBlockChain deployment job queued successfully",
+        data: {
+          ...jobResult,
+          contractAddress,
+          verifyContractId,
+          nPublic,
+          proofSystem,
+          webhooks: subscribed,
+        },
+      });
+    } catch (error) {
+      console.error("Error in /deploy/verify-contract endpoint:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+        message: error.message,
+      });
+    }
+  }
+);
+
+// GET /deploy/wrapper/templates - List the wrapper contract templates
+router.get(
+  "/deploy/wrapper/templates",
+  requireRole("read-only"),
+  (req, res) => {
     res.status(200).json({
       success: true,
-      data: contracts,
+      data: listTemplates(),
     });
-  } catch (error) {
-    console.error("Error in /deploy/contracts/list endpoint:", error);
   }
-});
+);
 
-// POST /deploy/verify-contract - Deploy VerifyAtBlockChain contract
-router.post("/deploy/verify-contract", async (req, res) => {
+// POST /deploy/wrapper - Deploy a wrapper contract from a template in front of
+// a verifier, given by address or as the deployed verifier of circuitId
+router.post("/deploy/wrapper", requireRole("deployer"), async (req, res) => {
   try {
-    const { contractAddress } = req.body;
+    const {
+      template: templateName,
+      version,
+      circuitId,
+      signer,
+      compiler,
+    } = req.body;
 
-    // Validate input
-    if (!contractAddress) {
+    if (!templateName) {
       return res.status(400).json({
         success: false,
-        error: "contractAddress is required",
+        error: "template is required",
       });
     }
 
-    // Validate Ethereum address format
-    if (!contractAddress.match(/^0x[a-fA-F0-9]{40}$/)) {
+    const template = getTemplate(templateName, version);
+    if (!template) {
       return res.status(400).json({
         success: false,
-        error: "Invalid Ethereum address format",
+        error: `Unknown template: ${templateName}${
+          version ? `@${version}` : ""
+        }`,
+      });
+    }
+    if (template.deprecated) {
+      return res.status(400).json({
+        success: false,
+        error: `${template.name}@${template.version} is deprecated: ${template.deprecated}`,
       });
     }
 
-    // Create a unique identifier for this verify contract deployment
-    const verifyContractId = `verify-${contractAddress.toLowerCase()}-${Date.now()}`;
+    const chain = resolveRequestChain(req.body, res);
+    if (!chain) return;
+    if (!validateRequestSigner(signer, res)) return;
+    if (!validateRequestCompiler(compiler, res)) return;
+    const webhooks = await resolveRequestWebhooks(req.body, res);
+    if (!webhooks) return;
+    if (circuitId && !(await ownsCircuit(req, circuitId))) {
+      return circuitNotFound(res, circuitId);
+    }
 
-    // Create a new contract document for the VerifyAtBlockChain contract
-    await Contract.create({
-      circuitId: verifyContractId,
-      name: "VerifyAtBlockChain",
-      sourceUrl: "", // We'll use embedded source code
-      artifacts: {
-        wasm: "", // Not applicable for this contract
-        zkey: "", // Not applicable for this contract
-        vkey: "", // Not applicable for this contract
-        verifier: "embedded", // Use embedded source code
-      },
-      constructorArgs: [contractAddress],
-      status: "pending",
-    });
+    let verifierAddress = req.body.verifierAddress;
+    if (verifierAddress) {
+      if (!ethers.isAddress(verifierAddress)) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid Ethereum address format",
+        });
+      }
+      verifierAddress = ethers.getAddress(verifierAddress);
+    } else if (circuitId) {
+      const verifier = await new ProofService().findVerifier(
+        circuitId,
+        chain,
+        tenantScope(req)
+      );
+      if (!verifier) {
+        return res.status(404).json({
+          success: false,
+          error: `No deployed verifier for circuitId ${circuitId} on ${chain.name}`,
+        });
+      }
+      verifierAddress = verifier.contractAddress;
+    } else {
+      return res.status(400).json({
+        success: false,
+        error: "verifierAddress or circuitId is required",
+      });
+    }
 
-    // Add job to queue with a special job type
-    const jobResult = await addDeploymentJob(verifyContractId, {
-      jobType: "deploy-verify-contract",
-      contractAddress,
-    });
+    const nPublic = await resolveRequestPublicSignals(
+      req.body,
+      chain,
+      verifierAddress,
+      res
+    );
+    if (!nPublic) return;
+
+    const proofSystem = await resolveRequestProofSystem(
+      req.body,
+      chain,
+      verifierAddress,
+      res
+    );
+    if (!proofSystem) return;
+
+    let params;
+    try {
+      params = resolveTemplateParams(template, req.body.params, { nPublic });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    const contract = await new DeployService().createWrapperRecord(
+      template,
+      chain,
+      {
+        verifierAddress,
+        nPublic,
+        proofSystem,
+        params,
+        tenant: requestTenant(req),
+        compiler,
+      }
+    );
+    const wrapperId = contract.circuitId;
+
+    // Registered before the job so they get its queued event
+    const subscribed = await new WebhookService().subscribe(contract, webhooks);
+
+    let jobResult;
+    try {
+      jobResult = await addDeploymentJob(wrapperId, {
+        jobType: "deploy-wrapper",
+        contractAddress: verifierAddress,
+        chainId: chain.chainId,
+        network: chain.name,
+        signer,
+        tenant: requestTenant(req),
+      });
+    } catch (error) {
+      if (error.code === BUDGET_EXCEEDED) {
+        return budgetExceeded(res, error, contract);
+      }
+      throw error;
+    }
 
     res.status(200).json({
       success: true,
-      message: "VerifyAtBlockChain deployment job queued successfully",
+      message: `${template.contractName} deployment job queued successfully`,
       data: {
         ...jobResult,
-        contractAddress,
-        verifyContractId,
+        wrapperId,
+        template: template.name,
+        version: template.version,
+        verifierAddress,
+        nPublic,
+        proofSystem,
+        params,
+        webhooks: subscribed,
       },
     });
   } catch (error) {
-    console.error("Error in /deploy/verify-contract endpoint:", error);
+    console.error("Error in /deploy/wrapper endpoint:", error);
     res.status(500).json({
       success: false,
       error: "Internal server error",
@@ -0,0 +1,277 @@
+import express from "express";
+import mongoose from "mongoose";
+import { ethers } from "ethers";
+import Contract from "../models/contract.model.js";
+import Relay from "../models/relay.model.js";
+import { addRelayJob } from "../queue/deploy.queue.js";
+import RelayService, {
+  resolveRelayPolicy,
+  relayPolicyError,
+} from "../services/relay.service.js";
+import { validateProof } from "../services/proof.service.js";
+import {
+  resolveRequestChain,
+  validateRequestSigner,
+} from "./request.validators.js";
+import { requireRole, tenantScope, ownsCircuit } from "../middleware/auth.js";
+const router = express.Router();
+
+// How long `wait: true` holds the request for the relay to be mined
+const RELAY_WAIT_TIMEOUT_MS =
+  Number(process.env.RELAY_WAIT_TIMEOUT_MS) || 60000;
+
+const POLICY_FIELDS = [
+  "enabled",
+  "maxRequests",
+  "windowMs",
+  "spendCap",
+  "spendWindowMs",
+];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Native token amount such as "0.5"
+const isEther = (value) => {
+  try {
+    return typeof value === "string" && ethers.parseEther(value) >= 0n;
+  } catch (error) {
+    return false;
+  }
+};
+
+// POST /relay/submit-proof - Submit a proof to a deployed wrapper, paid by the service's signer
+router.post(
+  "/relay/submit-proof",
+  requireRole("deployer"),
+  async (req, res) => {
+    try {
+      const { circuitId, proof, signer, wait } = req.body;
+      const publicSignals = req.body.publicSignals ?? req.body.public;
+
+      if (!circuitId) {
+        return res.status(400).json({
+          success: false,
+          error: "circuitId is required",
+        });
+      }
+
+      const chain = resolveRequestChain(req.body, res);
+      if (!chain) return;
+      if (!validateRequestSigner(signer, res)) return;
+      if (!(await ownsCircuit(req, circuitId))) {
+        return res.status(404).json({
+          success: false,
+          error: `No deployed wrapper for circuitId ${circuitId} on ${chain.name}`,
+        });
+      }
+
+      const relayService = new RelayService();
+      const { contract, template, error } = await relayService.findWrapper(
+        circuitId,
+        chain,
+        tenantScope(req)
+      );
+      if (error) {
+        return res.status(contract ? 400 : 404).json({
+          success: false,
+          error,
+        });
+      }
+
+      const invalid = validateProof(
+        contract.proofSystem || "groth16",
+        proof,
+        publicSignals
+      );
+      if (invalid) {
+        return res.status(400).json({
+          success: false,
+          error: invalid,
+        });
+      }
+
+      if (contract.nPublic && contract.nPublic !== publicSignals.length) {
+        return res.status(400).json({
+          success: false,
+          error: `Wrapper expects ${contract.nPublic} public signals, got ${publicSignals.length}`,
+        });
+      }
+
+      const prepared = await relayService.prepareRelay(
+        contract,
+        template,
+        chain,
+        proof,
+        publicSignals,
+        { signer }
+      );
+      if (prepared.revertReason) {
+        return res.status(422).json({
+          success: false,
+          error: "Proof submission would revert",
+          message: prepared.revertReason,
+        });
+      }
+
+      const { relay, limited } = await relayService.reserveRelay(
+        contract,
+        chain,
+        prepared,
+        publicSignals
+      );
+      if (limited) {
+        return res.status(429).json({
+          success: false,
+          error: limited,
+        });
+      }
+
+      const jobResult = await addRelayJob(relay._id.toString(), {
+        circuitId,
+        chainId: chain.chainId,
+        network: chain.name,
+      });
+      await Relay.findByIdAndUpdate(relay._id, {
+        jobId: String(jobResult.jobId),
+      });
+
+      let current = await Relay.findById(relay._id);
+      if (wait) {
+        const deadline = Date.now() + RELAY_WAIT_TIMEOUT_MS;
+        while (
+          ["queued", "pending"].includes(current.status) &&
+          Date.now() < deadline
+        ) {
+          await sleep(1000);
+          current = await Relay.findById(relay._id);
+        }
+      }
+
+      const result = relayService.relayResult(current);
+      const done = !["queued", "pending"].includes(result.status);
+      res.status(done ? 200 : 202).json({
+        success: true,
+        message: done
+          ? `Relay ${result.status}`
+          : "Relay job queued successfully",
+        data: result,
+      });
+    } catch (error) {
+      console.error("Error in /relay/submit-proof endpoint:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+        message: error.message,
+      });
+    }
+  }
+);
+
+// GET /relay/:relayId - Get the status, tx hash and ProofResult of a relay
+router.get("/relay/:relayId", requireRole("read-only"), async (req, res) => {
+  try {
+    const { relayId } = req.params;
+
+    const relay = mongoose.isValidObjectId(relayId)
+      ? await Relay.findOne({ _id: relayId, ...tenantScope(req) })
+      : null;
+    if (!relay) {
+      return res.status(404).json({
+        success: false,
+        error: `Relay ${relayId} not found`,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: new RelayService().relayResult(relay),
+    });
+  } catch (error) {
+    console.error("Error in /relay/:relayId endpoint:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      message: error.message,
+    });
+  }
+});
+
+// PUT /relay/policy/:circuitId - Set a wrapper's relay rate limit and spending cap
+router.put(
+  "/relay/policy/:circuitId",
+  requireRole("admin"),
+  async (req, res) => {
+    try {
+      const { circuitId } = req.params;
+
+      const chain = resolveRequestChain(req.body, res);
+      if (!chain) return;
+
+      const update = {};
+      for (const field of POLICY_FIELDS) {
+        const value = req.body[field];
+        if (value === undefined) continue;
+
+        const valid =
+          value === null ||
+          (field === "enabled" && typeof value === "boolean") ||
+          (field === "spendCap" && isEther(value)) ||
+          (field !== "enabled" &&
+            field !== "spendCap" &&
+            Number.isInteger(value) &&
+            value > 0);
+        if (!valid) {
+          return res.status(400).json({
+            success: false,
+            error: `Invalid ${field}: ${value}`,
+          });
+        }
+        const limited = relayPolicyError(field, value);
+        if (limited) {
+          return res.status(400).json({
+            success: false,
+            error: limited,
+          });
+        }
+        update[field] = value;
+      }
+
+      const contract = await Contract.findOne({
+        circuitId,
+        chainId: chain.chainId,
+        ...tenantScope(req),
+      });
+      if (!contract) {
+        return res.status(404).json({
+          success: false,
+          error: `Contract with circuitId ${circuitId} not found on ${chain.name}`,
+        });
+      }
+
+      // relayPolicy may be null, so it is replaced as a whole
+      contract.relayPolicy = {
+        ...(contract.relayPolicy?.toObject() || {}),
+        ...update,
+      };
+      await contract.save();
+
+      res.status(200).json({
+        success: true,
+        data: {
+          circuitId,
+          chainId: chain.chainId,
+          policy: resolveRelayPolicy(contract),
+        },
+      });
+    } catch (error) {
+      console.error("Error in /relay/policy endpoint:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+        message: error.message,
+      });
+    }
+  }
+);
+
+export default router;
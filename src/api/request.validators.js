@@ -0,0 +1,166 @@
+import { resolveChain } from "../config/chains.js";
+import { hasSignerProfile } from "../config/signers.js";
+import { resolveCompilerSettings } from "../services/compiler.service.js";
+import ProofService, { PROOF_SYSTEMS } from "../services/proof.service.js";
+import { parseWebhookRequest } from "../services/webhook.service.js";
+
+// Webhooks one deploy request may register
+const MAX_REQUEST_WEBHOOKS = 5;
+
+// Shared request checks for the API routes. Each answers 400 itself and
+// returns a falsy value when the request is invalid.
+
+// Resolve chainId/network from a request, answering 400 when it is unknown
+export const resolveRequestChain = (source, res) => {
+  try {
+    return resolveChain({ chainId: source.chainId, network: source.network });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+    return null;
+  }
+};
+
+// Reject a per-job signer that is not configured, answering 400
+export const validateRequestSigner = (signer, res) => {
+  if (signer && !hasSignerProfile(signer)) {
+    res.status(400).json({
+      success: false,
+      error: `Unknown signer: ${signer}`,
+    });
+    return false;
+  }
+  return true;
+};
+
+// Reject malformed compiler settings, answering 400
+export const validateRequestCompiler = (compiler, res) => {
+  try {
+    if (compiler !== undefined && typeof compiler !== "object") {
+      throw new Error("compiler must be an object");
+    }
+    resolveCompilerSettings(compiler);
+    return true;
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+    return false;
+  }
+};
+
+// Deployment version from a request (body or query string): null when not
+// given, false (after answering 400) when it is not a positive integer
+export const resolveRequestVersion = (source, res) => {
+  if (source.version === undefined || source.version === "") {
+    return null;
+  }
+
+  const version = Number(source.version);
+  if (!Number.isInteger(version) || version < 1) {
+    res.status(400).json({
+      success: false,
+      error: "version must be a positive integer",
+    });
+    return false;
+  }
+  return version;
+};
+
+// Webhooks of a deploy request (URLs or { url, secret, events }): [] when
+// not given, false (after answering 400) when one is invalid
+export const resolveRequestWebhooks = async (source, res) => {
+  if (source.webhooks === undefined) {
+    return [];
+  }
+
+  try {
+    if (
+      !Array.isArray(source.webhooks) ||
+      source.webhooks.length > MAX_REQUEST_WEBHOOKS
+    ) {
+      throw new Error(
+        `webhooks must be an array of at most ${MAX_REQUEST_WEBHOOKS} webhooks`
+      );
+    }
+    return await Promise.all(source.webhooks.map(parseWebhookRequest));
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+    return false;
+  }
+};
+
+// Number of public signals of the verifier a wrapper is generated for. The
+// circuit's vkey (circuitId), the verifier's ABI and an explicit nPublic must
+// agree; answers 400 when they don't or when none is known.
+export const resolveRequestPublicSignals = async (
+  source,
+  chain,
+  verifierAddress,
+  res
+) => {
+  const requested = source.nPublic;
+  if (
+    requested !== undefined &&
+    (!Number.isInteger(requested) || requested < 1)
+  ) {
+    res.status(400).json({
+      success: false,
+      error: "nPublic must be a positive integer",
+    });
+    return null;
+  }
+
+  const { nPublic, error } = await new ProofService().resolvePublicSignals(
+    chain,
+    { circuitId: source.circuitId, verifierAddress, requested }
+  );
+  if (error) {
+    res.status(400).json({
+      success: false,
+      error,
+    });
+    return null;
+  }
+
+  return nPublic;
+};
+
+// Proof system of the verifier a wrapper is generated for. The circuit's
+// vkey, the verifier's record and an explicit proofSystem must agree;
+// defaults to groth16 when none is known. Answers 400 on a mismatch.
+export const resolveRequestProofSystem = async (
+  source,
+  chain,
+  verifierAddress,
+  res
+) => {
+  const requested = source.proofSystem;
+  if (requested !== undefined && !PROOF_SYSTEMS.includes(requested)) {
+    res.status(400).json({
+      success: false,
+      error: `proofSystem must be one of ${PROOF_SYSTEMS.join(", ")}`,
+    });
+    return null;
+  }
+
+  const { proofSystem, error } = await new ProofService().resolveProofSystem(
+    chain,
+    { circuitId: source.circuitId, verifierAddress, requested }
+  );
+  if (error) {
+    res.status(400).json({
+      success: false,
+      error,
+    });
+    return null;
+  }
+
+  return proofSystem;
+};
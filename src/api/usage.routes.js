@@ -0,0 +1,73 @@
+import express from "express";
+import UsageService from "../services/usage.service.js";
+import { periodStart } from "../config/budgets.js";
+import { resolveRequestChain } from "./request.validators.js";
+import { requireRole, tenantScope, requestTenant } from "../middleware/auth.js";
+const router = express.Router();
+
+// A date query parameter, or `fallback` when absent; null when invalid
+const parseDate = (value, fallback) => {
+  if (value === undefined || value === "") {
+    return fallback;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// GET /usage - Deployment gas usage and cost for billing: totals per chain,
+// a per-deployment breakdown and the tenant's budgets
+router.get("/usage", requireRole("read-only"), async (req, res) => {
+  try {
+    const { limit = 50, page = 1 } = req.query;
+
+    let chain = null;
+    if (req.query.chainId !== undefined || req.query.network !== undefined) {
+      chain = resolveRequestChain(req.query, res);
+      if (!chain) return;
+    }
+
+    // The current UTC month by default
+    const now = new Date();
+    const from = parseDate(req.query.from, periodStart("monthly", now));
+    const to = parseDate(req.query.to, now);
+    if (!from || !to) {
+      return res.status(400).json({
+        success: false,
+        error: "from and to must be dates (e.g. 2024-05-01)",
+      });
+    }
+
+    const usageService = new UsageService();
+    const report = await usageService.report({
+      scope: tenantScope(req),
+      chainId: chain?.chainId,
+      from,
+      to,
+      page: Math.max(parseInt(page) || 1, 1),
+      limit: Math.min(Math.max(parseInt(limit) || 50, 1), 500),
+    });
+    const budgets = await usageService.budgets(requestTenant(req));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        tenant: requestTenant(req),
+        from,
+        to,
+        ...report,
+        budgets: chain
+          ? budgets.filter((budget) => budget.chainId === chain.chainId)
+          : budgets,
+      },
+    });
+  } catch (error) {
+    console.error("Error in /usage endpoint:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      message: error.message,
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,345 @@
+import express from "express";
+import mongoose from "mongoose";
+import {
+  Webhook,
+  WebhookDelivery,
+  WEBHOOK_EVENTS,
+} from "../models/webhook.model.js";
+import WebhookService, {
+  generateWebhookSecret,
+  parseWebhookRequest,
+  webhookSummary,
+} from "../services/webhook.service.js";
+import { requireRole, tenantScope, requestTenant } from "../middleware/auth.js";
+const router = express.Router();
+
+const DELIVERY_STATUSES = ["pending", "delivered", "failed"];
+
+// Deliveries replayed by one bulk replay at most
+const MAX_REPLAY = 500;
+
+// Delivery log filter from a request (query string or body); throws when a
+// filter is invalid
+const deliveryFilter = (req, source) => {
+  const filter = { ...tenantScope(req) };
+
+  if (source.event !== undefined) {
+    if (!WEBHOOK_EVENTS.includes(source.event)) {
+      throw new Error(`event must be one of ${WEBHOOK_EVENTS.join(", ")}`);
+    }
+    filter.event = source.event;
+  }
+  if (source.status !== undefined) {
+    if (!DELIVERY_STATUSES.includes(source.status)) {
+      throw new Error(`status must be one of ${DELIVERY_STATUSES.join(", ")}`);
+    }
+    filter.status = source.status;
+  }
+  if (source.webhookId !== undefined) {
+    if (!mongoose.isValidObjectId(source.webhookId)) {
+      throw new Error("webhookId is not a valid id");
+    }
+    filter.webhookId = source.webhookId;
+  }
+  if (source.circuitId !== undefined) {
+    filter.circuitId = String(source.circuitId);
+  }
+  if (source.chainId !== undefined) {
+    filter.chainId = parseInt(source.chainId);
+  }
+
+  for (const [name, operator] of [
+    ["since", "$gte"],
+    ["until", "$lt"],
+  ]) {
+    if (source[name] === undefined) continue;
+    const date = new Date(source[name]);
+    if (Number.isNaN(date.getTime())) {
+      throw new Error(`${name} must be a date (e.g. 2024-05-01T00:00:00Z)`);
+    }
+    filter.createdAt = { ...filter.createdAt, [operator]: date };
+  }
+
+  return filter;
+};
+
+// Delivery log entry without the payload
+const deliverySummary = (delivery) => ({
+  id: delivery._id,
+  webhookId: delivery.webhookId,
+  eventId: delivery.payload?.id,
+  event: delivery.event,
+  circuitId: delivery.circuitId,
+  chainId: delivery.chainId,
+  url: delivery.url,
+  status: delivery.status,
+  attempts: delivery.attempts,
+  responseStatus: delivery.responseStatus,
+  error: delivery.error,
+  lastAttemptAt: delivery.lastAttemptAt,
+  deliveredAt: delivery.deliveredAt,
+  createdAt: delivery.createdAt,
+});
+
+// GET /webhooks - List the tenant's webhooks (without their secrets)
+router.get("/webhooks", requireRole("admin"), async (req, res) => {
+  try {
+    const webhooks = await Webhook.find({
+      ...tenantScope(req),
+      contractId: null,
+    }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: webhooks.map(webhookSummary),
+    });
+  } catch (error) {
+    console.error("Error in /webhooks endpoint:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      message: error.message,
+    });
+  }
+});
+
+// POST /webhooks - Register a webhook for every deployment of the tenant;
+// the secret is only returned here
+router.post("/webhooks", requireRole("admin"), async (req, res) => {
+  try {
+    let webhook;
+    try {
+      webhook = await parseWebhookRequest(req.body);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    const created = await Webhook.create({
+      tenant: requestTenant(req),
+      url: webhook.url,
+      secret: webhook.secret || generateWebhookSecret(),
+      events: webhook.events,
+      description: req.body.description || null,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { ...webhookSummary(created), secret: created.secret },
+    });
+  } catch (error) {
+    console.error("Error in /webhooks endpoint:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      message: error.message,
+    });
+  }
+});
+
+// GET /webhooks/deliveries - The delivery log, newest first
+router.get(
+  "/webhooks/deliveries",
+  requireRole("read-only"),
+  async (req, res) => {
+    try {
+      const { limit = 50, page = 1 } = req.query;
+
+      let filter;
+      try {
+        filter = deliveryFilter(req, req.query);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+        });
+      }
+
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+      const deliveries = await WebhookDelivery.find(filter)
+        .sort({ createdAt: -1 })
+        .limit(parseInt(limit))
+        .skip(skip);
+      const total = await WebhookDelivery.countDocuments(filter);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          deliveries: deliveries.map(deliverySummary),
+          pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total,
+            pages: Math.ceil(total / parseInt(limit)),
+          },
+        },
+      });
+    } catch (error) {
+      console.error("Error in /webhooks/deliveries endpoint:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+        message: error.message,
+      });
+    }
+  }
+);
+
+// POST /webhooks/deliveries/replay - Send every delivery matching a filter
+// again, e.g. { "status": "failed", "since": "..." } after an outage
+router.post(
+  "/webhooks/deliveries/replay",
+  requireRole("deployer"),
+  async (req, res) => {
+    try {
+      let filter;
+      try {
+        filter = deliveryFilter(req, req.body);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+        });
+      }
+
+      // Oldest first, so events are sent again in their original order
+      const deliveries = await WebhookDelivery.find(filter)
+        .sort({ createdAt: 1 })
+        .limit(MAX_REPLAY);
+      const webhookService = new WebhookService();
+      for (const delivery of deliveries) {
+        await webhookService.replay(delivery);
+      }
+
+      res.status(200).json({
+        success: true,
+        message: `${deliveries.length} deliveries queued for replay`,
+        data: {
+          replayed: deliveries.map((delivery) => delivery._id),
+          truncated: deliveries.length === MAX_REPLAY,
+        },
+      });
+    } catch (error) {
+      console.error("Error in /webhooks/deliveries/replay endpoint:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+        message: error.message,
+      });
+    }
+  }
+);
+
+// Loads the tenant's delivery, answering 404 when there is none
+const findDelivery = async (req, res) => {
+  const { deliveryId } = req.params;
+  const delivery = mongoose.isValidObjectId(deliveryId)
+    ? await WebhookDelivery.findOne({ _id: deliveryId, ...tenantScope(req) })
+    : null;
+  if (!delivery) {
+    res.status(404).json({
+      success: false,
+      error: `Delivery ${deliveryId} not found`,
+    });
+  }
+  return delivery;
+};
+
+// GET /webhooks/deliveries/:deliveryId - One delivery with its payload
+router.get(
+  "/webhooks/deliveries/:deliveryId",
+  requireRole("read-only"),
+  async (req, res) => {
+    try {
+      const delivery = await findDelivery(req, res);
+      if (!delivery) return;
+
+      res.status(200).json({
+        success: true,
+        data: { ...deliverySummary(delivery), payload: delivery.payload },
+      });
+    } catch (error) {
+      console.error(
+        "Error in /webhooks/deliveries/:deliveryId endpoint:",
+        error
+      );
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+        message: error.message,
+      });
+    }
+  }
+);
+
+// POST /webhooks/deliveries/:deliveryId/replay - Send a delivery again
+router.post(
+  "/webhooks/deliveries/:deliveryId/replay",
+  requireRole("deployer"),
+  async (req, res) => {
+    try {
+      const delivery = await findDelivery(req, res);
+      if (!delivery) return;
+
+      const replayed = await new WebhookService().replay(delivery);
+
+      res.status(200).json({
+        success: true,
+        message: "Delivery queued for replay",
+        data: deliverySummary(replayed),
+      });
+    } catch (error) {
+      console.error(
+        "Error in /webhooks/deliveries/:deliveryId/replay endpoint:",
+        error
+      );
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+        message: error.message,
+      });
+    }
+  }
+);
+
+// DELETE /webhooks/:webhookId - Disable a webhook; its pending deliveries
+// fail and its log is kept
+router.delete(
+  "/webhooks/:webhookId",
+  requireRole("admin"),
+  async (req, res) => {
+    try {
+      const { webhookId } = req.params;
+
+      const webhook = mongoose.isValidObjectId(webhookId)
+        ? await Webhook.findOneAndUpdate(
+            { _id: webhookId, ...tenantScope(req), active: true },
+            { active: false },
+            { new: true }
+          )
+        : null;
+      if (!webhook) {
+        return res.status(404).json({
+          success: false,
+          error: `Webhook ${webhookId} not found`,
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: webhookSummary(webhook),
+      });
+    } catch (error) {
+      console.error("Error in /webhooks/:webhookId endpoint:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+        message: error.message,
+      });
+    }
+  }
+);
+
+export default router;
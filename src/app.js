@@ -4,6 +4,13 @@ import helmet from "helmet";
 import dotenv from "dotenv";
 import mongoose from "mongoose";
 import deployRoutes from "./api/deploy.routes.js";
+import circuitRoutes from "./api/circuit.routes.js";
+import relayRoutes from "./api/relay.routes.js";
+import authRoutes from "./api/auth.routes.js";
+import usageRoutes from "./api/usage.routes.js";
+import webhookRoutes from "./api/webhook.routes.js";
+import batchRoutes from "./api/batch.routes.js";
+import { AUTH_ENABLED, authenticate } from "./middleware/auth.js";
 
 // Load environment variables
 dotenv.config();
@@ -41,8 +48,22 @@ app.get("/health", (req, res) => {
   });
 });
 
+// Authentication for every API route; roles are checked per route
+if (!AUTH_ENABLED) {
+  console.warn(
+    "AUTH_ENABLED=false: the API is open to anyone who can reach it"
+  );
+}
+app.use("/api", authenticate);
+
 // API routes
+app.use("/api", authRoutes);
 app.use("/api", deployRoutes);
+app.use("/api", circuitRoutes);
+app.use("/api", relayRoutes);
+app.use("/api", usageRoutes);
+app.use("/api", webhookRoutes);
+app.use("/api", batchRoutes);
 
 // 404 handler
 app.use("*", (req, res) => {
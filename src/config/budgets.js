@@ -0,0 +1,75 @@
+import dotenv from "dotenv";
+import { ethers } from "ethers";
+
+// Load environment variables
+dotenv.config();
+
+export const BUDGET_PERIODS = ["daily", "monthly"];
+
+// Deployment gas budgets, in the chain's native token (e.g. "0.5"). Every
+// tenant gets the chain's `deployBudget` from the registry (CHAINS_CONFIG);
+// TENANT_BUDGETS_CONFIG overrides it per tenant, for one chain or for every
+// chain ("*"). null means unlimited.
+//
+// TENANT_BUDGETS_CONFIG example:
+// {
+//   "acme":    { "137": { "daily": "5", "monthly": "50" } },
+//   "trial-1": { "*": { "daily": "0.01", "monthly": "0.05" } }
+// }
+const parseTenantBudgets = () => {
+  if (!process.env.TENANT_BUDGETS_CONFIG) {
+    return {};
+  }
+
+  try {
+    const parsed = JSON.parse(process.env.TENANT_BUDGETS_CONFIG);
+    if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+      throw new Error("TENANT_BUDGETS_CONFIG must be a JSON object");
+    }
+    for (const [tenant, chains] of Object.entries(parsed)) {
+      for (const [chain, budget] of Object.entries(chains || {})) {
+        for (const period of Object.keys(budget || {})) {
+          if (!BUDGET_PERIODS.includes(period)) {
+            throw new Error(
+              `Unknown budget period ${tenant}.${chain}.${period}`
+            );
+          }
+          if (budget[period] !== null) {
+            ethers.parseEther(String(budget[period]));
+          }
+        }
+      }
+    }
+    return parsed;
+  } catch (error) {
+    throw new Error(`Invalid TENANT_BUDGETS_CONFIG: ${error.message}`);
+  }
+};
+
+const tenantBudgets = parseTenantBudgets();
+
+// A tenant's { daily, monthly } deployment budget on a chain
+export const getDeployBudget = (tenant, chain) => {
+  const overrides = (tenant && tenantBudgets[tenant]) || {};
+  return {
+    ...chain.deployBudget,
+    ...(overrides["*"] || {}),
+    ...(overrides[chain.chainId] || {}),
+  };
+};
+
+// Start of the UTC day or month `date` falls in
+export const periodStart = (period, date = new Date()) =>
+  period === "daily"
+    ? new Date(
+        Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())
+      )
+    : new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+
+// Start of the next UTC day or month, when a period's spending resets
+export const periodEnd = (period, date = new Date()) => {
+  const start = periodStart(period, date);
+  return period === "daily"
+    ? new Date(start.getTime() + 86400000)
+    : new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1));
+};
@@ -0,0 +1,228 @@
+import dotenv from "dotenv";
+
+// Load environment variables
+dotenv.config();
+
+// Built-in chain definitions. RPC URLs can be overridden per chain with
+// RPC_URLS_<chainId> (comma separated) and the signer profile with
+// SIGNER_<chainId>; extra chains can be added or existing ones patched
+// through CHAINS_CONFIG (a JSON array). Explorer API keys come from
+// EXPLORER_API_KEY_<chainId> or ETHERSCAN_API_KEY.
+const ETHERSCAN_V2_API = "https://api.etherscan.io/v2/api";
+
+const DEFAULT_CHAINS = [
+  {
+    chainId: 1,
+    name: "mainnet",
+    rpcUrls: ["https://eth.llamarpc.com"],
+    explorerUrl: "https://etherscan.io",
+    explorerApiUrl: ETHERSCAN_V2_API,
+    sourcify: true,
+    confirmations: 2,
+    gasPolicy: { type: "eip1559", gasLimitMultiplier: 1.2 },
+  },
+  {
+    chainId: 11155111,
+    name: "sepolia",
+    rpcUrls: ["https://rpc.sepolia.org"],
+    explorerUrl: "https://sepolia.etherscan.io",
+    explorerApiUrl: ETHERSCAN_V2_API,
+    sourcify: true,
+    confirmations: 1,
+    gasPolicy: { type: "eip1559", gasLimitMultiplier: 1.2 },
+  },
+  {
+    chainId: 137,
+    name: "polygon",
+    rpcUrls: ["https://polygon-rpc.com"],
+    explorerUrl: "https://polygonscan.com",
+    explorerApiUrl: ETHERSCAN_V2_API,
+    sourcify: true,
+    confirmations: 5,
+    gasPolicy: {
+      type: "eip1559",
+      gasLimitMultiplier: 1.2,
+      // Polygon rejects priority fees below 30 gwei
+      minPriorityFeeGwei: 30,
+    },
+  },
+  {
+    chainId: 80002,
+    name: "amoy",
+    rpcUrls: ["https://rpc-amoy.polygon.technology"],
+    explorerUrl: "https://amoy.polygonscan.com",
+    explorerApiUrl: ETHERSCAN_V2_API,
+    sourcify: true,
+    confirmations: 2,
+    gasPolicy: {
+      type: "eip1559",
+      gasLimitMultiplier: 1.2,
+      minPriorityFeeGwei: 30,
+    },
+  },
+  {
+    chainId: 31337,
+    name: "localhost",
+    rpcUrls: ["http://127.0.0.1:8545"],
+    explorerUrl: null,
+    confirmations: 1,
+    gasPolicy: { type: "legacy", gasLimitMultiplier: 1 },
+  },
+];
+
+// replacementTimeoutMs, confirmationTimeoutMs, feeBumpPercent and
+// maxReplacements fall back to the TX_* environment variables when not set
+// for a chain
+const DEFAULT_GAS_POLICY = {
+  type: "eip1559",
+  gasLimitMultiplier: 1.2,
+  maxFeeGwei: null,
+  minPriorityFeeGwei: null,
+  replacementTimeoutMs: null,
+  confirmationTimeoutMs: null,
+  feeBumpPercent: null,
+  maxReplacements: null,
+};
+
+const parseChainsConfig = () => {
+  if (!process.env.CHAINS_CONFIG) {
+    return [];
+  }
+
+  try {
+    const parsed = JSON.parse(process.env.CHAINS_CONFIG);
+    if (!Array.isArray(parsed)) {
+      throw new Error("CHAINS_CONFIG must be a JSON array");
+    }
+    return parsed;
+  } catch (error) {
+    throw new Error(`Invalid CHAINS_CONFIG: ${error.message}`);
+  }
+};
+
+const normalizeChain = (chain) => {
+  const chainId = Number(chain.chainId);
+  if (!Number.isInteger(chainId) || chainId <= 0) {
+    throw new Error(`Invalid chainId in chain registry: ${chain.chainId}`);
+  }
+  if (!chain.name) {
+    throw new Error(`Chain ${chainId} is missing a name`);
+  }
+
+  const envRpcUrls = process.env[`RPC_URLS_${chainId}`];
+  const rpcUrls = envRpcUrls
+    ? envRpcUrls.split(",").map((url) => url.trim())
+    : chain.rpcUrls || [];
+
+  return {
+    chainId,
+    name: chain.name.toLowerCase(),
+    rpcUrls: rpcUrls.filter(Boolean),
+    explorerUrl: chain.explorerUrl || null,
+    // Etherscan-compatible API for source verification
+    explorerApiUrl: chain.explorerApiUrl || null,
+    explorerApiKey:
+      process.env[`EXPLORER_API_KEY_${chainId}`] ||
+      chain.explorerApiKey ||
+      process.env.ETHERSCAN_API_KEY ||
+      null,
+    sourcify: Boolean(chain.sourcify),
+    confirmations: Number(chain.confirmations) || 1,
+    signer: process.env[`SIGNER_${chainId}`] || chain.signer || null,
+    // null means the default deterministic deployment proxy
+    create2Factory: chain.create2Factory || null,
+    gasPolicy: { ...DEFAULT_GAS_POLICY, ...(chain.gasPolicy || {}) },
+    // Default deployment gas budget of each tenant, in the native token;
+    // null is unlimited (see config/budgets.js)
+    deployBudget: {
+      daily: chain.deployBudget?.daily ?? null,
+      monthly: chain.deployBudget?.monthly ?? null,
+    },
+  };
+};
+
+const buildRegistry = () => {
+  const registry = new Map();
+
+  for (const chain of [...DEFAULT_CHAINS, ...parseChainsConfig()]) {
+    const existing = registry.get(Number(chain.chainId));
+    const merged = existing
+      ? {
+          ...existing,
+          ...chain,
+          gasPolicy: { ...existing.gasPolicy, ...(chain.gasPolicy || {}) },
+        }
+      : chain;
+    registry.set(Number(chain.chainId), merged);
+  }
+
+  const chains = new Map();
+  for (const [chainId, chain] of registry) {
+    chains.set(chainId, normalizeChain(chain));
+  }
+
+  // Keep the legacy single-chain RPC_URL working for the default chain
+  const defaultChainId = Number(process.env.DEFAULT_CHAIN_ID || 137);
+  const defaultChain = chains.get(defaultChainId);
+  if (
+    defaultChain &&
+    process.env.RPC_URL &&
+    !process.env[`RPC_URLS_${defaultChainId}`]
+  ) {
+    defaultChain.rpcUrls = [process.env.RPC_URL];
+  }
+
+  return { chains, defaultChainId };
+};
+
+const { chains, defaultChainId } = buildRegistry();
+
+// Return every registered chain
+export const listChains = () => Array.from(chains.values());
+
+// Return the chain used when a request does not name one
+export const getDefaultChain = () => {
+  const chain = chains.get(defaultChainId);
+  if (!chain) {
+    throw new Error(
+      `DEFAULT_CHAIN_ID ${defaultChainId} is not in the chain registry`
+    );
+  }
+  return chain;
+};
+
+// Look up a chain by numeric chainId or network name
+export const getChain = (chainIdOrNetwork) => {
+  if (chainIdOrNetwork === undefined || chainIdOrNetwork === null) {
+    return getDefaultChain();
+  }
+
+  const asNumber = Number(chainIdOrNetwork);
+  if (Number.isInteger(asNumber) && chains.has(asNumber)) {
+    return chains.get(asNumber);
+  }
+
+  const network = String(chainIdOrNetwork).toLowerCase();
+  const chain = listChains().find((c) => c.name === network);
+  if (!chain) {
+    throw new Error(`Unknown chain: ${chainIdOrNetwork}`);
+  }
+  return chain;
+};
+
+// Resolve the chain a request targets from its chainId and/or network fields
+export const resolveChain = ({ chainId, network } = {}) => {
+  if (chainId === undefined && network === undefined) {
+    return getDefaultChain();
+  }
+
+  const chain = getChain(chainId ?? network);
+  if (network !== undefined && chain.name !== String(network).toLowerCase()) {
+    throw new Error(
+      `chainId ${chainId} does not match network ${network} (expected ${chain.name})`
+    );
+  }
+  return chain;
+};
+
+export default { listChains, getChain, getDefaultChain, resolveChain };
@@ -0,0 +1,31 @@
+import Redis from "ioredis";
+import dotenv from "dotenv";
+
+// Load environment variables
+dotenv.config();
+
+// Redis of the Bull queues and of the shared state below
+export const REDIS_URL = process.env.REDIS_URL || "redis://localhost:6379";
+
+// Shared Redis connection for state that must be visible to every worker
+let client = null;
+
+export const getRedisClient = () => {
+  if (!client) {
+    client = new Redis(REDIS_URL, {
+      maxRetriesPerRequest: 3,
+    });
+
+    client.on("error", (error) => {
+      console.error("Redis error:", error.message);
+    });
+  }
+  return client;
+};
+
+export const closeRedisClient = async () => {
+  if (client) {
+    await client.quit();
+    client = null;
+  }
+};
@@ -0,0 +1,35 @@
+import { S3Client, GetObjectCommand } from "@aws-sdk/client-s3";
+import dotenv from "dotenv";
+
+// Load environment variables
+dotenv.config();
+
+// Shared S3 client for circuit artifacts
+let client = null;
+
+export const getS3Client = () => {
+  if (!client) {
+    client = new S3Client({
+      region: process.env.AWS_REGION,
+      endpoint: process.env.S3_ENDPOINT,
+      credentials: {
+        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+      },
+      forcePathStyle: true, // Required for some S3-compatible services
+    });
+  }
+  return client;
+};
+
+// Text content of an object in the artifacts bucket
+export const readS3Object = async (key) => {
+  const response = await getS3Client().send(
+    new GetObjectCommand({ Bucket: process.env.S3_BUCKET, Key: key })
+  );
+
+  if (!response.Body) {
+    throw new Error(`No content received from S3 for ${key}`);
+  }
+  return response.Body.transformToString();
+};
@@ -0,0 +1,141 @@
+import dotenv from "dotenv";
+
+// Load environment variables
+dotenv.config();
+
+export const SIGNER_TYPES = ["privateKey", "keystore", "mnemonic", "remote"];
+
+// Profiles never hold secrets inline: keys, passphrases, mnemonics and tokens
+// are referenced by the name of the environment variable that holds them.
+//
+// SIGNERS_CONFIG example:
+// {
+//   "vault": { "type": "keystore", "path": "/secrets/deployer.json",
+//              "passphraseEnv": "DEPLOYER_KEYSTORE_PASSPHRASE" },
+//   "hd":    { "type": "mnemonic", "mnemonicEnv": "DEPLOYER_MNEMONIC",
+//              "path": "m/44'/60'/0'/0/0",
+//              "paths": { "137": "m/44'/60'/0'/0/1" } },
+//   "hsm":   { "type": "remote", "url": "http://127.0.0.1:8700",
+//              "authTokenEnv": "REMOTE_SIGNER_TOKEN" }
+// }
+const parseSignersConfig = () => {
+  if (!process.env.SIGNERS_CONFIG) {
+    return {};
+  }
+
+  try {
+    const parsed = JSON.parse(process.env.SIGNERS_CONFIG);
+    if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+      throw new Error("SIGNERS_CONFIG must be a JSON object");
+    }
+    return parsed;
+  } catch (error) {
+    throw new Error(`Invalid SIGNERS_CONFIG: ${error.message}`);
+  }
+};
+
+// The "default" profile is derived from the single-signer env variables
+const buildDefaultProfile = () => {
+  if (process.env.KEYSTORE_PATH) {
+    return {
+      type: "keystore",
+      path: process.env.KEYSTORE_PATH,
+      passphraseEnv: "KEYSTORE_PASSPHRASE",
+    };
+  }
+
+  if (process.env.DEPLOYER_MNEMONIC) {
+    return {
+      type: "mnemonic",
+      mnemonicEnv: "DEPLOYER_MNEMONIC",
+      path: process.env.DEPLOYER_HD_PATH || "m/44'/60'/0'/0/0",
+    };
+  }
+
+  if (process.env.REMOTE_SIGNER_URL) {
+    return {
+      type: "remote",
+      url: process.env.REMOTE_SIGNER_URL,
+      authTokenEnv: "REMOTE_SIGNER_TOKEN",
+    };
+  }
+
+  if (process.env.PRIVATE_KEY) {
+    return { type: "privateKey", keyEnv: "PRIVATE_KEY" };
+  }
+
+  return null;
+};
+
+const validateProfile = (name, profile) => {
+  if (!SIGNER_TYPES.includes(profile.type)) {
+    throw new Error(
+      `Signer "${name}" has unknown type "${
+        profile.type
+      }" (expected one of ${SIGNER_TYPES.join(", ")})`
+    );
+  }
+
+  const required = {
+    privateKey: ["keyEnv"],
+    keystore: ["path", "passphraseEnv"],
+    mnemonic: ["mnemonicEnv"],
+    remote: ["url"],
+  }[profile.type];
+
+  for (const field of required) {
+    if (!profile[field]) {
+      throw new Error(`Signer "${name}" is missing "${field}"`);
+    }
+  }
+
+  // Plaintext keys are for development only unless explicitly allowed
+  if (
+    profile.type === "privateKey" &&
+    process.env.NODE_ENV === "production" &&
+    process.env.ALLOW_PRIVATE_KEY_SIGNER !== "true"
+  ) {
+    throw new Error(
+      `Signer "${name}" uses a plaintext private key, which is disabled in production`
+    );
+  }
+
+  return { name, ...profile };
+};
+
+const buildProfiles = () => {
+  const profiles = new Map();
+
+  const defaultProfile = buildDefaultProfile();
+  if (defaultProfile) {
+    profiles.set("default", defaultProfile);
+  }
+
+  for (const [name, profile] of Object.entries(parseSignersConfig())) {
+    profiles.set(name, profile);
+  }
+
+  return profiles;
+};
+
+const profiles = buildProfiles();
+
+export const DEFAULT_SIGNER = process.env.DEFAULT_SIGNER || "default";
+
+export const hasSignerProfile = (name) => profiles.has(name);
+
+export const listSignerProfiles = () =>
+  Array.from(profiles.entries()).map(([name, profile]) => ({
+    name,
+    type: profile.type,
+  }));
+
+export const getSignerProfile = (name = DEFAULT_SIGNER) => {
+  const profile = profiles.get(name);
+  if (!profile) {
+    throw new Error(`Unknown signer: ${name}`);
+  }
+  return validateProfile(name, profile);
+};
+
+export default { getSignerProfile, hasSignerProfile, listSignerProfiles };
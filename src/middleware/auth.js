@@ -0,0 +1,105 @@
+import mongoose from "mongoose";
+import Contract from "../models/contract.model.js";
+import { Circuit } from "../models/circuit.model.js";
+import { ROLES } from "../models/apiKey.model.js";
+import { authenticateApiKey, verifyJwt } from "../services/auth.service.js";
+
+// Every /api request needs an API key (X-API-Key) or a JWT
+// (Authorization: Bearer) unless AUTH_ENABLED=false, in which case requests
+// are anonymous and unscoped
+export const AUTH_ENABLED = process.env.AUTH_ENABLED !== "false";
+
+const unauthorized = (res, error) =>
+  res.status(401).json({
+    success: false,
+    error,
+  });
+
+// Sets req.auth to { method, subject, tenant, role }, or null when
+// authentication is disabled
+export const authenticate = async (req, res, next) => {
+  if (!AUTH_ENABLED) {
+    req.auth = null;
+    return next();
+  }
+
+  try {
+    const apiKey = req.get("X-API-Key");
+    let [scheme, token] = (req.get("Authorization") || "").split(" ");
+    // Browsers' EventSource cannot set headers; job streams take the JWT
+    // from the query string instead
+    if (!token && req.query.access_token && req.path.endsWith("/stream")) {
+      [scheme, token] = ["Bearer", String(req.query.access_token)];
+    }
+
+    if (apiKey) {
+      req.auth = await authenticateApiKey(apiKey);
+      if (!req.auth) {
+        return unauthorized(res, "Invalid API key");
+      }
+    } else if (scheme === "Bearer" && token) {
+      try {
+        req.auth = verifyJwt(token);
+      } catch (error) {
+        return unauthorized(res, error.message);
+      }
+    } else {
+      return unauthorized(res, "An API key or a bearer token is required");
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Reject identities below `role`, answering 403
+export const requireRole = (role) => (req, res, next) => {
+  if (req.auth && ROLES.indexOf(req.auth.role) < ROLES.indexOf(role)) {
+    return res.status(403).json({
+      success: false,
+      error: `The ${role} role is required`,
+    });
+  }
+  next();
+};
+
+// Query filter limiting records to the caller's tenant
+export const tenantScope = (req) =>
+  req.auth ? { tenant: req.auth.tenant } : {};
+
+// Tenant to record on new records
+export const requestTenant = (req) => req.auth?.tenant ?? null;
+
+// Whether another tenant holds a circuitId: its Circuit, or contract records
+// under it on any chain
+export const heldByOtherTenant = async (req, circuitId) => {
+  if (!req.auth) {
+    return false;
+  }
+
+  const others = { tenant: { $ne: req.auth.tenant } };
+  return Boolean(
+    (mongoose.isValidObjectId(circuitId) &&
+      (await Circuit.exists({ _id: circuitId, ...others }))) ||
+      (await Contract.exists({ circuitId, ...others }))
+  );
+};
+
+// Whether the caller's tenant owns a circuit: its Circuit, or any of its
+// contract records, as long as no other tenant holds the circuitId too
+export const ownsCircuit = async (req, circuitId) => {
+  if (!req.auth) {
+    return true;
+  }
+  if (await heldByOtherTenant(req, circuitId)) {
+    return false;
+  }
+
+  const scope = tenantScope(req);
+  return Boolean(
+    (mongoose.isValidObjectId(circuitId) &&
+      (await Circuit.exists({ _id: circuitId, ...scope }))) ||
+      (await Contract.exists({ circuitId, ...scope }))
+  );
+};
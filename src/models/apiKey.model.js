@@ -0,0 +1,50 @@
+import mongoose from "mongoose";
+
+// Roles, from least to most privileged; each includes the ones before it
+export const ROLES = ["read-only", "deployer", "admin"];
+
+// An API key of a tenant. Only the SHA-256 of the key is stored; the key
+// itself is shown once, when it is created.
+const apiKeySchema = new mongoose.Schema(
+  {
+    tenant: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    role: {
+      type: String,
+      enum: ROLES,
+      required: true,
+    },
+    name: {
+      type: String,
+      default: null,
+    },
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // First characters of the key, to tell keys apart in listings
+    prefix: {
+      type: String,
+      required: true,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const ApiKey = mongoose.model("ApiKey", apiKeySchema);
+
+export default ApiKey;
@@ -0,0 +1,66 @@
+import mongoose from "mongoose";
+
+// One source file of the compilation input
+const sourceSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    content: { type: String, required: true },
+  },
+  { _id: false }
+);
+
+// Compiler output for one contract of a compilation
+const compiledContractSchema = new mongoose.Schema(
+  {
+    sourceName: { type: String, required: true },
+    contractName: { type: String, required: true },
+    abi: { type: [mongoose.Schema.Types.Mixed], default: [] },
+    bytecode: { type: String, required: true },
+    deployedBytecode: { type: String, required: true },
+    metadata: { type: String, default: null },
+    sourceMap: { type: String, default: null },
+    deployedSourceMap: { type: String, default: null },
+  },
+  { _id: false }
+);
+
+// Content-addressed compilation result: `key` is a hash of the sources and
+// the exact compiler settings, so identical inputs are compiled only once
+const artifactSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Source files the artifact was compiled from
+    sources: {
+      type: [sourceSchema],
+      default: [],
+    },
+    compilerSettings: {
+      version: { type: String, required: true },
+      optimizer: {
+        enabled: { type: Boolean },
+        runs: { type: Number },
+      },
+      viaIR: { type: Boolean },
+      evmVersion: { type: String, default: null },
+    },
+    contracts: {
+      type: [compiledContractSchema],
+      default: [],
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const Artifact = mongoose.model("Artifact", artifactSchema);
+
+export default Artifact;
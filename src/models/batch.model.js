@@ -0,0 +1,158 @@
+import mongoose from "mongoose";
+
+// Statuses of a batch item. Wrappers wait for their verifier's address;
+// they are skipped when it fails and wait again when it is retried.
+export const BATCH_ITEM_STATUSES = [
+  "waiting",
+  "queued",
+  "deployed",
+  "failed",
+  "skipped",
+];
+
+// A batch is running while any item is waiting or queued; afterwards it is
+// completed (every item deployed), failed (none) or partial
+export const BATCH_STATUSES = ["running", "completed", "partial", "failed"];
+
+// One verifier or wrapper deployment of a batch, on one chain
+const batchItemSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ["verifier", "wrapper"],
+    required: true,
+  },
+  // The circuit whose verifier is deployed, or which a wrapper is put in
+  // front of
+  circuitId: {
+    type: String,
+    required: true,
+  },
+  chainId: {
+    type: Number,
+    required: true,
+  },
+  network: {
+    type: String,
+    required: true,
+  },
+  // Wrapper template and params, resolved once the verifier is deployed
+  wrapper: {
+    type: {
+      template: { type: String, required: true },
+      version: { type: String, default: null },
+      params: { type: mongoose.Schema.Types.Mixed, default: {} },
+      nPublic: { type: Number, default: null },
+      proofSystem: { type: String, default: null },
+    },
+    default: null,
+  },
+  // The verifier item a wrapper waits for
+  dependsOn: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  status: {
+    type: String,
+    enum: BATCH_ITEM_STATUSES,
+    default: "waiting",
+  },
+  // Contract record deployed by the item (Contract.circuitId is the
+  // generated wrapperId for wrappers)
+  contractId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  recordId: {
+    type: String,
+    default: null,
+  },
+  version: {
+    type: Number,
+    default: null,
+  },
+  jobId: {
+    type: String,
+    default: null,
+  },
+  // Times the item was queued
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  // The verifier was already deployed, so no job was queued for it
+  reused: {
+    type: Boolean,
+    default: false,
+  },
+  contractAddress: {
+    type: String,
+    default: null,
+  },
+  txHash: {
+    type: String,
+    default: null,
+  },
+  error: {
+    type: String,
+    default: null,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Verifiers of several circuits, and wrappers in front of them, deployed
+// on several chains with one request
+const batchSchema = new mongoose.Schema(
+  {
+    tenant: {
+      type: String,
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: BATCH_STATUSES,
+      default: "running",
+    },
+    // Options every item's job is queued with
+    signer: {
+      type: String,
+      default: null,
+    },
+    compiler: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    deployMode: {
+      type: String,
+      default: null,
+    },
+    items: {
+      type: [batchItemSchema],
+      default: [],
+    },
+    // Items per status
+    summary: {
+      total: { type: Number, default: 0 },
+      waiting: { type: Number, default: 0 },
+      queued: { type: Number, default: 0 },
+      deployed: { type: Number, default: 0 },
+      failed: { type: Number, default: 0 },
+      skipped: { type: Number, default: 0 },
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+batchSchema.index({ tenant: 1, createdAt: -1 });
+
+const Batch = mongoose.model("Batch", batchSchema);
+
+export default Batch;
@@ -19,10 +19,52 @@ const ArtifactSchema = new mongoose.Schema(
   { _id: false }
 );
 
+// Statuses of a circuit's verifier deployment, and the ones each may move
+// to. A failed deployment is retried by queueing it again (or directly by a
+// Bull retry); a deployed one is superseded by the next version's.
+export const DEPLOYMENT_TRANSITIONS = {
+  queued: ["deploying", "failed"],
+  deploying: ["deployed", "failed"],
+  deployed: ["superseded"],
+  superseded: [],
+  failed: ["queued", "deploying"],
+};
+
+// One verifier deployment of the circuit, backed by a Contract record
+const DeploymentSchema = new mongoose.Schema(
+  {
+    contractId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Contract",
+      required: true,
+    },
+    chainId: { type: Number, required: true },
+    network: { type: String },
+    version: { type: Number, default: 1 },
+    // Used for proof verification and new wrappers on its chain
+    active: { type: Boolean, default: false },
+    status: {
+      type: String,
+      enum: Object.keys(DEPLOYMENT_TRANSITIONS),
+      default: "queued",
+    },
+    jobId: { type: String, default: null },
+    address: { type: String, default: null },
+    txHash: { type: String, default: null },
+    blockNumber: { type: Number, default: null },
+    error: { type: String, default: null },
+    deployedAt: { type: Date, default: null },
+    updatedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
 const CircuitSchema = new mongoose.Schema(
   {
     circuit_hash: { type: String, required: true, unique: true, index: true },
     template: { type: String, required: true, index: true },
+    // Owning tenant; null for circuits from before authentication
+    tenant: { type: String, default: null, index: true },
     params: { type: mongoose.Schema.Types.Mixed, required: true },
     status: {
       type: String,
@@ -31,6 +73,15 @@ const CircuitSchema = new mongoose.Schema(
       index: true,
     },
     artifacts: { type: ArtifactSchema, default: null },
+    // From the verification key's protocol; set when first deployed
+    proofSystem: {
+      type: String,
+      enum: ["groth16", "plonk", "fflonk"],
+      default: null,
+    },
+    // Per chain and version; artifacts.deployment mirrors the active one
+    // last activated
+    deployments: { type: [DeploymentSchema], default: [] },
     error: { type: String, default: null },
   },
   { timestamps: { createdAt: "created_at", updatedAt: "updated_at" } }
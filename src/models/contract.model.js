@@ -1,13 +1,103 @@
 import mongoose from "mongoose";
 
+// Every signed version of the deployment tx; replacements share the nonce.
+// The signed bytes are saved before broadcast so a retry can resume them.
+export const transactionSchema = new mongoose.Schema(
+  {
+    hash: { type: String, required: true },
+    nonce: { type: Number, required: true },
+    signedTx: { type: String, required: true },
+    type: { type: Number },
+    gasPrice: { type: String, default: null },
+    maxFeePerGas: { type: String, default: null },
+    maxPriorityFeePerGas: { type: String, default: null },
+    broadcastAt: { type: Date },
+    status: {
+      type: String,
+      enum: ["signed", "pending", "failed", "replaced", "mined", "dropped"],
+      default: "signed",
+    },
+  },
+  { _id: false }
+);
+
+// solc version and settings; unset fields fall back to the service defaults
+const compilerSchema = new mongoose.Schema(
+  {
+    version: { type: String },
+    optimizer: {
+      enabled: { type: Boolean },
+      runs: { type: Number },
+    },
+    viaIR: { type: Boolean },
+    evmVersion: { type: String },
+  },
+  { _id: false }
+);
+
+// Wrapper template and the parameters it was deployed with
+const wrapperSchema = new mongoose.Schema(
+  {
+    template: { type: String },
+    version: { type: String },
+    params: { type: mongoose.Schema.Types.Mixed, default: {} },
+    verifierAddress: { type: String },
+  },
+  { _id: false }
+);
+
+// Per-wrapper overrides of the relayer's rate limit and spending cap
+const relayPolicySchema = new mongoose.Schema(
+  {
+    enabled: { type: Boolean },
+    maxRequests: { type: Number },
+    windowMs: { type: Number },
+    // Native token amount, e.g. "0.5"
+    spendCap: { type: String },
+    spendWindowMs: { type: Number },
+  },
+  { _id: false }
+);
+
+// Source verification status on one explorer
+const verificationStatusSchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      enum: ["submitted", "verified", "failed"],
+    },
+    // Etherscan submission id
+    guid: { type: String, default: null },
+    // Sourcify match type: "perfect" or "partial"
+    match: { type: String, default: null },
+    message: { type: String, default: null },
+    url: { type: String, default: null },
+    updatedAt: { type: Date },
+  },
+  { _id: false }
+);
+
 const contractSchema = new mongoose.Schema(
   {
     circuitId: {
       type: String,
       required: true,
-      unique: true,
       index: true,
     },
+    // Owning tenant; null for records from before authentication
+    tenant: {
+      type: String,
+      default: null,
+      index: true,
+    },
+    chainId: {
+      type: Number,
+      required: true,
+    },
+    network: {
+      type: String,
+      required: true,
+    },
     name: {
       type: String,
       required: true,
@@ -32,16 +122,105 @@ const contractSchema = new mongoose.Schema(
         type: String,
         default: "",
       },
+      // Extra S3 keys compiled together with the verifier
+      sources: {
+        type: [String],
+        default: [],
+      },
+      // S3 prefix whose .sol files are all compiled with the verifier
+      sourcesPrefix: {
+        type: String,
+        default: "",
+      },
+    },
+    // Import remappings, e.g. "@openzeppelin/=openzeppelin-contracts/"
+    remappings: {
+      type: [String],
+      default: [],
     },
     constructorArgs: {
       type: [mongoose.Schema.Types.Mixed],
       default: [],
     },
+    // Proof system of the verifier (or of the verifier a wrapper calls)
+    proofSystem: {
+      type: String,
+      enum: ["groth16", "plonk", "fflonk"],
+      default: "groth16",
+    },
+    // Public signals of the target verifier, for generated wrappers
+    nPublic: {
+      type: Number,
+      default: null,
+    },
+    // Template a wrapper contract is generated from
+    wrapper: {
+      type: wrapperSchema,
+      default: null,
+    },
+    // Relayer limits for this wrapper; unset fields use the service defaults
+    relayPolicy: {
+      type: relayPolicySchema,
+      default: null,
+    },
+    // Requested compiler settings
+    compiler: {
+      type: compilerSchema,
+      default: null,
+    },
+    // Exact settings the deployed bytecode was compiled with
+    compilerSettings: {
+      type: compilerSchema,
+      default: null,
+    },
+    // Cached compilation artifact (Artifact.key) of the deployed bytecode
+    artifactKey: {
+      type: String,
+      default: null,
+    },
+    deployMode: {
+      type: String,
+      enum: ["create", "create2"],
+      default: "create",
+    },
+    // CREATE2 plan, stored before broadcast so the address is known up front
+    create2: {
+      factory: { type: String, default: null },
+      salt: { type: String, default: null },
+      initCodeHash: { type: String, default: null },
+      address: { type: String, default: null },
+    },
     status: {
       type: String,
       enum: ["pending", "deployed", "failed"],
       default: "pending",
     },
+    // Deployment version of the circuit on this chain; a redeploy adds a
+    // record with the next version
+    version: {
+      type: Number,
+      default: 1,
+    },
+    // The version proof verification and new wrappers use; one per circuit
+    // and chain
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    // Whether the version becomes active once deployed
+    activateOnDeploy: {
+      type: Boolean,
+      default: true,
+    },
+    // Set when a later version is deployed; the address stays usable
+    supersededAt: {
+      type: Date,
+      default: null,
+    },
+    supersededBy: {
+      type: Number,
+      default: null,
+    },
     contractAddress: {
       type: String,
       default: null,
@@ -50,10 +229,41 @@ const contractSchema = new mongoose.Schema(
       type: String,
       default: null,
     },
+    blockNumber: {
+      type: Number,
+      default: null,
+    },
+    transactions: {
+      type: [transactionSchema],
+      default: [],
+    },
+    // Most the deployment tx may cost, reserved against the tenant's budget
+    // before it is signed; counted while the record is pending (wei)
+    reservedWei: {
+      type: String,
+      default: null,
+    },
+    signer: {
+      type: String,
+      default: null,
+    },
+    deployerAddress: {
+      type: String,
+      default: null,
+    },
     error: {
       type: String,
       default: null,
     },
+    verification: {
+      etherscan: { type: verificationStatusSchema, default: null },
+      sourcify: { type: verificationStatusSchema, default: null },
+    },
+    // Held by the worker currently deploying this record
+    lock: {
+      owner: { type: String, default: null },
+      expiresAt: { type: Date, default: null },
+    },
     deployedAt: {
       type: Date,
       default: null,
@@ -64,6 +274,12 @@ const contractSchema = new mongoose.Schema(
   }
 );
 
+// One record per circuit, chain and version
+contractSchema.index(
+  { circuitId: 1, chainId: 1, version: 1 },
+  { unique: true }
+);
+
 // Index for efficient queries
 contractSchema.index({ status: 1, createdAt: -1 });
 
@@ -0,0 +1,104 @@
+import mongoose from "mongoose";
+import { transactionSchema } from "./contract.model.js";
+
+// A proof submitted to a wrapper contract by the relayer, paid by the
+// service's signer
+const relaySchema = new mongoose.Schema(
+  {
+    // Record of the wrapper contract (Contract.circuitId)
+    circuitId: {
+      type: String,
+      required: true,
+    },
+    // Tenant of the wrapper
+    tenant: {
+      type: String,
+      default: null,
+    },
+    chainId: {
+      type: Number,
+      required: true,
+    },
+    network: {
+      type: String,
+      required: true,
+    },
+    wrapperAddress: {
+      type: String,
+      required: true,
+    },
+    publicSignals: {
+      type: [String],
+      default: [],
+    },
+    // The relayed call
+    to: { type: String, required: true },
+    data: { type: String, required: true },
+    gasLimit: { type: String, required: true },
+    signer: {
+      type: String,
+      default: null,
+    },
+    from: {
+      type: String,
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: ["queued", "pending", "confirmed", "reverted", "failed"],
+      default: "queued",
+    },
+    jobId: {
+      type: String,
+      default: null,
+    },
+    // Most the tx may cost, counted against the spending cap until it is
+    // mined; `costWei` replaces it afterwards (wei)
+    reservedWei: {
+      type: String,
+      required: true,
+    },
+    costWei: {
+      type: String,
+      default: null,
+    },
+    transactions: {
+      type: [transactionSchema],
+      default: [],
+    },
+    txHash: {
+      type: String,
+      default: null,
+    },
+    blockNumber: {
+      type: Number,
+      default: null,
+    },
+    gasUsed: {
+      type: String,
+      default: null,
+    },
+    // Decoded ProofResult event of the receipt
+    proofResult: {
+      type: Boolean,
+      default: null,
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Limit checks scan a wrapper's recent relays
+relaySchema.index({ circuitId: 1, chainId: 1, createdAt: -1 });
+
+// Budget checks scan a tenant's recent relays
+relaySchema.index({ tenant: 1, chainId: 1, createdAt: -1 });
+
+const Relay = mongoose.model("Relay", relaySchema);
+
+export default Relay;
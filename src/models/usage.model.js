@@ -0,0 +1,86 @@
+import mongoose from "mongoose";
+
+// Gas a deployment tx used and what it cost, from its receipt; the ledger
+// deployment budgets and the usage report are computed from
+const usageSchema = new mongoose.Schema(
+  {
+    // Tenant of the deployment job
+    tenant: {
+      type: String,
+      default: null,
+    },
+    chainId: {
+      type: Number,
+      required: true,
+    },
+    network: {
+      type: String,
+      required: true,
+    },
+    // The deployed contract record
+    circuitId: {
+      type: String,
+      required: true,
+    },
+    contractId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    version: {
+      type: Number,
+      default: null,
+    },
+    kind: {
+      type: String,
+      enum: ["verifier", "wrapper"],
+      required: true,
+    },
+    contractAddress: {
+      type: String,
+      default: null,
+    },
+    jobId: {
+      type: String,
+      default: null,
+    },
+    txHash: {
+      type: String,
+      required: true,
+    },
+    blockNumber: {
+      type: Number,
+      default: null,
+    },
+    from: {
+      type: String,
+      default: null,
+    },
+    // Receipt gas used, effective gas price and their product (wei). L1 data
+    // fees of rollups are not part of the receipt fee.
+    gasUsed: {
+      type: String,
+      required: true,
+    },
+    gasPrice: {
+      type: String,
+      required: true,
+    },
+    costWei: {
+      type: String,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// A tx is recorded once, however many times its job is retried
+usageSchema.index({ chainId: 1, txHash: 1 }, { unique: true });
+
+// Budget checks and reports scan a tenant's recent usage
+usageSchema.index({ tenant: 1, chainId: 1, createdAt: -1 });
+
+const Usage = mongoose.model("Usage", usageSchema);
+
+export default Usage;
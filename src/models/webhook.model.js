@@ -0,0 +1,135 @@
+import mongoose from "mongoose";
+
+// Deployment lifecycle events webhooks can subscribe to
+export const WEBHOOK_EVENTS = [
+  "deployment.queued",
+  "deployment.broadcast",
+  "deployment.confirmed",
+  "deployment.failed",
+  "deployment.verified",
+];
+
+// A URL notified of deployment events. Tenant-wide webhooks get the events
+// of every deployment of the tenant; those registered with a deploy request
+// (contractId) only get the events of that contract record.
+const webhookSchema = new mongoose.Schema(
+  {
+    tenant: {
+      type: String,
+      default: null,
+    },
+    url: {
+      type: String,
+      required: true,
+    },
+    // HMAC-SHA256 key of the X-Webhook-Signature header; it has to be kept
+    // to sign deliveries, so unlike API keys it is not hashed
+    secret: {
+      type: String,
+      required: true,
+    },
+    // Subscribed events; empty means all of them
+    events: {
+      type: [{ type: String, enum: WEBHOOK_EVENTS }],
+      default: [],
+    },
+    contractId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    description: {
+      type: String,
+      default: null,
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Events look up the tenant's webhooks and the record's own
+webhookSchema.index({ tenant: 1, contractId: 1 });
+
+// One POST of an event to a webhook, kept as the delivery log deliveries can
+// be replayed from
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    webhookId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    tenant: {
+      type: String,
+      default: null,
+    },
+    event: {
+      type: String,
+      enum: WEBHOOK_EVENTS,
+      required: true,
+    },
+    // Deployment the event is about, for filtering the log
+    circuitId: {
+      type: String,
+      default: null,
+    },
+    chainId: {
+      type: Number,
+      default: null,
+    },
+    url: {
+      type: String,
+      required: true,
+    },
+    // The JSON body; replays send it again unchanged
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "delivered", "failed"],
+      default: "pending",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    jobId: {
+      type: String,
+      default: null,
+    },
+    lastAttemptAt: {
+      type: Date,
+      default: null,
+    },
+    // HTTP status of the last attempt, null when no response came back
+    responseStatus: {
+      type: Number,
+      default: null,
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+    deliveredAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// The delivery log is read per tenant, newest first
+webhookDeliverySchema.index({ tenant: 1, createdAt: -1 });
+
+export const Webhook = mongoose.model("Webhook", webhookSchema);
+export const WebhookDelivery = mongoose.model(
+  "WebhookDelivery",
+  webhookDeliverySchema
+);
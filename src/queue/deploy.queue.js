@@ -1,8 +1,11 @@
 import Queue from "bull";
+import { REDIS_URL } from "../config/redis.js";
+import { getChain } from "../config/chains.js";
+import UsageService, { BUDGET_EXCEEDED } from "../services/usage.service.js";
+import WebhookService from "../services/webhook.service.js";
 
 // Create the deployment queue
-// const deployQueue = new Queue("contract-deployment", process.env.REDIS_URL, {
-const deployQueue = new Queue("contract-deployment", "redis://localhost:7070", {
+const deployQueue = new Queue("contract-deployment", REDIS_URL, {
   defaultJobOptions: {
     attempts: 3, // Retry failed jobs up to 3 times
     backoff: {
@@ -12,6 +15,10 @@ const deployQueue = new Queue("contract-deployment", "redis://localhost:7070", {
     removeOnComplete: 100, // Keep last 100 completed jobs
     removeOnFail: 50, // Keep last 50 failed jobs
   },
+  settings: {
+    // solc compiles block the event loop; don't mistake that for a stall
+    lockDuration: parseInt(process.env.DEPLOY_JOB_LOCK_MS) || 120000,
+  },
 });
 
 // Queue event handlers
@@ -31,18 +38,48 @@ deployQueue.on("stalled", (job) => {
   console.warn(`Job ${job.id} stalled`);
 });
 
-// Function to add deployment job to queue
+// Function to add deployment job to queue. Throws (error.code
+// BUDGET_EXCEEDED) when the tenant has used up its deployment budget on the
+// chain.
 export const addDeploymentJob = async (circuitId, options = {}) => {
   try {
     // Extract job-specific data from options
-    const { jobType, contractAddress, priority, delay, ...jobOptions } =
-      options;
+    const {
+      jobType,
+      contractAddress,
+      chainId,
+      network,
+      signer,
+      version,
+      tenant,
+      batchId,
+      batchItemId,
+      priority,
+      delay,
+      ...jobOptions
+    } = options;
+
+    // Refuse early what can't fit; the tx's cost is unknown until the worker
+    // estimates it, and is reserved under the budget lock then
+    await new UsageService().assertWithinBudget(
+      tenant || null,
+      getChain(chainId)
+    );
 
     const jobData = {
       circuitId,
+      chainId,
+      network,
+      signer,
+      tenant: tenant || null,
       timestamp: Date.now(),
     };
 
+    // Deployment version of the circuit; the latest when not given
+    if (version) {
+      jobData.version = version;
+    }
+
     // Add additional data for specific job types
     if (jobType) {
       jobData.jobType = jobType;
@@ -52,6 +89,12 @@ export const addDeploymentJob = async (circuitId, options = {}) => {
       jobData.contractAddress = contractAddress;
     }
 
+    // Batch item the job deploys; the worker reports its outcome to it
+    if (batchId) {
+      jobData.batchId = batchId;
+      jobData.batchItemId = batchItemId;
+    }
+
     const job = await deployQueue.add("deploy-contract", jobData, {
       priority: priority || 0,
       delay: delay || 0,
@@ -61,16 +104,94 @@ export const addDeploymentJob = async (circuitId, options = {}) => {
     console.log(
       `Deployment job added to queue for circuitId: ${circuitId}, Job ID: ${
         job.id
-      }, jobType: ${jobType || "default"}`
+      }, jobType: ${jobType || "default"}, chain: ${network} (${chainId})`
+    );
+
+    await new WebhookService().notify(
+      "deployment.queued",
+      { circuitId, chainId, version },
+      { jobId: job.id }
     );
 
     return {
       jobId: job.id,
       circuitId,
+      chainId,
+      network,
       status: "queued",
     };
   } catch (error) {
-    console.error("Error adding job to queue:", error);
+    if (error.code !== BUDGET_EXCEEDED) {
+      console.error("Error adding job to queue:", error);
+    }
+    throw error;
+  }
+};
+
+// Give explorers time to index a fresh deployment before verifying it
+const VERIFY_DELAY_MS = Number(process.env.VERIFY_DELAY_MS) || 30000;
+
+// Function to add a source verification job to queue
+export const addVerificationJob = async (circuitId, options = {}) => {
+  try {
+    const {
+      chainId,
+      network,
+      version = null,
+      tenant = null,
+      delay = VERIFY_DELAY_MS,
+    } = options;
+
+    const job = await deployQueue.add(
+      "verify-source",
+      { circuitId, chainId, network, version, tenant, timestamp: Date.now() },
+      { delay }
+    );
+
+    console.log(
+      `Verification job added to queue for circuitId: ${circuitId}, Job ID: ${job.id}, chain: ${network} (${chainId})`
+    );
+
+    return {
+      jobId: job.id,
+      circuitId,
+      chainId,
+      network,
+      status: "queued",
+    };
+  } catch (error) {
+    console.error("Error adding verification job to queue:", error);
+    throw error;
+  }
+};
+
+// Function to add a proof relay job to queue
+export const addRelayJob = async (relayId, options = {}) => {
+  try {
+    const { circuitId, chainId, network } = options;
+
+    const job = await deployQueue.add("relay-proof", {
+      relayId,
+      circuitId,
+      chainId,
+      network,
+      timestamp: Date.now(),
+    });
+
+    console.log(
+      `Relay job added to queue for circuitId: ${circuitId}, Job ID: ${job.id}, chain: ${network} (${chainId})`
+    );
+
+    return {
+      jobId: job.id,
+      relayId,
+      circuitId,
+      chainId,
+      network,
+      status: "queued",
+    };
+  } catch (error) {
+    console.error("Error adding relay job to queue:", error);
     throw error;
   }
 };
@@ -93,6 +214,8 @@ export const getJobStatus = async (jobId) => {
       status: state,
       progress,
       data,
+      result: job.returnvalue ?? null,
+      failedReason: job.failedReason ?? null,
       timestamp: job.timestamp,
     };
   } catch (error) {
@@ -101,6 +224,55 @@ export const getJobStatus = async (jobId) => {
   }
 };
 
+// Listeners of jobs' global events, by job id
+const jobListeners = new Map();
+let globalEventsRegistered = false;
+
+const dispatchJobEvent = (type) => (jobId, value) => {
+  const listeners = jobListeners.get(String(jobId));
+  if (!listeners) return;
+
+  // Completed results are published as JSON
+  let payload = value;
+  if (type === "completed" && typeof value === "string") {
+    try {
+      payload = JSON.parse(value);
+    } catch (error) {
+      payload = value;
+    }
+  }
+  for (const listener of listeners) {
+    listener(type, payload);
+  }
+};
+
+// Call listener(type, value) on the "progress", "completed" and "failed"
+// events of a job. Bull's global events carry them from every process, so
+// the API sees the workers' progress. Returns the function that stops
+// listening.
+export const subscribeToJob = (jobId, listener) => {
+  if (!globalEventsRegistered) {
+    deployQueue.on("global:progress", dispatchJobEvent("progress"));
+    deployQueue.on("global:completed", dispatchJobEvent("completed"));
+    deployQueue.on("global:failed", dispatchJobEvent("failed"));
+    globalEventsRegistered = true;
+  }
+
+  const key = String(jobId);
+  if (!jobListeners.has(key)) {
+    jobListeners.set(key, new Set());
+  }
+  jobListeners.get(key).add(listener);
+
+  return () => {
+    const listeners = jobListeners.get(key);
+    listeners?.delete(listener);
+    if (listeners && !listeners.size) {
+      jobListeners.delete(key);
+    }
+  };
+};
+
 // Function to get queue statistics
 export const getQueueStats = async () => {
   try {
@@ -1,11 +1,29 @@
-import deployQueue from "./deploy.queue.js";
-import DeployService from "../services/deploy.service.js";
+import deployQueue, { addVerificationJob } from "./deploy.queue.js";
+import webhookQueue from "./webhook.queue.js";
+import DeployService, {
+  DEPLOYMENT_LOCKED,
+} from "../services/deploy.service.js";
+import VerificationService, {
+  canVerify,
+} from "../services/verification.service.js";
+import RelayService from "../services/relay.service.js";
+import WebhookService from "../services/webhook.service.js";
+import BatchService from "../services/batch.service.js";
+import { BUDGET_EXCEEDED } from "../services/usage.service.js";
+import { getChain } from "../config/chains.js";
 import mongoose from "mongoose";
 import dotenv from "dotenv";
+import { closeRedisClient } from "../config/redis.js";
 
 // Load environment variables
 dotenv.config();
 
+// Jobs processed in parallel by this worker; nonces are coordinated through
+// Redis so this is safe even when several workers share a deployer key
+const CONCURRENCY = parseInt(process.env.DEPLOY_CONCURRENCY) || 1;
+const RELAY_CONCURRENCY = parseInt(process.env.RELAY_CONCURRENCY) || 1;
+const WEBHOOK_CONCURRENCY = parseInt(process.env.WEBHOOK_CONCURRENCY) || 5;
+
 // Connect to MongoDB
 const connectDB = async () => {
   try {
@@ -19,42 +37,121 @@ const connectDB = async () => {
 
 // Initialize deployment service
 const deployService = new DeployService();
+const verificationService = new VerificationService();
+const relayService = new RelayService();
+const webhookService = new WebhookService();
+const batchService = new BatchService();
+
+// Verify sources on explorers after each deployment unless disabled
+const AUTO_VERIFY = process.env.AUTO_VERIFY_SOURCES !== "false";
+
+// Job progress is { stage, percent, ...details, updatedAt }; confirmations
+// move the percent from broadcast (50) towards 90
+const STAGE_PERCENT = {
+  downloading: 10,
+  compiling: 25,
+  estimating: 40,
+  broadcast: 50,
+  confirming: 50,
+  deployed: 100,
+  verifying: 50,
+  failed: 0,
+};
+
+const progressReporter =
+  (job) =>
+  async (stage, details = {}) => {
+    let percent = STAGE_PERCENT[stage];
+    if (stage === "confirming") {
+      percent += Math.floor((40 * details.confirmations) / details.required);
+    }
+
+    try {
+      await job.progress({
+        stage,
+        percent,
+        ...details,
+        updatedAt: new Date().toISOString(),
+      });
+    } catch (error) {
+      // Progress is informational; it never fails a job
+      console.error(
+        `Error reporting progress of job ${job.id}:`,
+        error.message
+      );
+    }
+  };
 
 // Process deployment jobs
-deployQueue.process("deploy-contract", async (job) => {
-  const { circuitId, jobType, contractAddress } = job.data;
+deployQueue.process("deploy-contract", CONCURRENCY, async (job) => {
+  const {
+    circuitId,
+    jobType,
+    contractAddress,
+    chainId,
+    signer,
+    version,
+    tenant,
+  } = job.data;
 
   console.log(
     `Processing deployment job for circuitId: ${circuitId}, jobType: ${
       jobType || "default"
-    }`
+    }, chainId: ${chainId}`
   );
 
-  try {
-    // Update job progress
-    await job.progress(10);
+  const onProgress = progressReporter(job);
 
+  try {
     let result;
 
-    // Check if this is a verify contract deployment
-    if (jobType === "deploy-verify-contract") {
+    // Check if this is a wrapper (e.g. VerifyAtBlockChain) deployment
+    if (jobType === "deploy-verify-contract" || jobType === "deploy-wrapper") {
       console.log(
-        `Processing VerifyAtBlockChain deployment with groth16VerifierAddress: ${contractAddress}`
+        `Processing wrapper deployment for verifier: ${contractAddress}`
       );
-      result = await deployService.deployVerifyAtBlockChainContract(
+      result = await deployService.deployWrapperContract(
         circuitId,
-        contractAddress
+        contractAddress,
+        { chainId, signer, tenant, jobId: job.id, onProgress }
       );
     } else {
       // Regular contract deployment
-      result = await deployService.deployContractByCircuitId(circuitId);
+      result = await deployService.deployContractByCircuitId(circuitId, {
+        chainId,
+        signer,
+        version,
+        tenant,
+        jobId: job.id,
+        onProgress,
+      });
     }
 
-    // Update job progress to 100%
-    await job.progress(100);
-
     console.log(`Deployment job completed for circuitId: ${circuitId}`);
 
+    const chain = getChain(chainId);
+    let verification = null;
+    if (AUTO_VERIFY && canVerify(chain)) {
+      verification = await addVerificationJob(circuitId, {
+        chainId: chain.chainId,
+        network: chain.name,
+        version: result.version,
+        tenant,
+      });
+    }
+
+    // Streams follow the verification job from here
+    await onProgress("deployed", {
+      contractAddress: result.contractAddress,
+      txHash: result.txHash,
+      verificationJobId: verification?.jobId ?? null,
+    });
+
+    // Queues the wrappers of a batch waiting for this verifier
+    if (job.data.batchId) {
+      await batchService.jobFinished(job.data, { result });
+    }
+
     return {
       success: true,
       circuitId,
@@ -66,26 +163,111 @@ deployQueue.process("deploy-contract", async (job) => {
       error.message
     );
 
-    // Update job progress to indicate failure
-    await job.progress(0);
+    // Earlier attempts are retried; only the last one is a failure. A used
+    // up budget has no room on a retry either.
+    if (error.code === BUDGET_EXCEEDED) {
+      job.discard();
+    }
+    const finalAttempt =
+      job.isDiscarded() || job.attemptsMade + 1 >= (job.opts.attempts || 1);
+    await onProgress("failed", {
+      error: error.message,
+      attempt: job.attemptsMade + 1,
+      retrying: !finalAttempt,
+    });
+
+    if (finalAttempt && job.data.batchId) {
+      await batchService.jobFinished(job.data, { error });
+    }
+
+    // A record locked by another worker is still being deployed by it
+    if (finalAttempt && error.code !== DEPLOYMENT_LOCKED) {
+      await webhookService.notify(
+        "deployment.failed",
+        { circuitId, chainId, version },
+        { jobId: job.id, status: "failed", error: error.message }
+      );
+    }
 
     throw error;
   }
 });
 
+// Process source verification jobs
+deployQueue.process("verify-source", async (job) => {
+  const { circuitId, chainId, version } = job.data;
+
+  console.log(
+    `Processing verification job for circuitId: ${circuitId}, chainId: ${chainId}`
+  );
+
+  const result = await verificationService.verifyContract(
+    circuitId,
+    chainId,
+    version,
+    { onProgress: progressReporter(job) }
+  );
+
+  return {
+    success: true,
+    circuitId,
+    result,
+  };
+});
+
+// Process proof relay jobs
+deployQueue.process("relay-proof", RELAY_CONCURRENCY, async (job) => {
+  const { relayId, circuitId, chainId } = job.data;
+
+  console.log(
+    `Processing relay job ${relayId} for circuitId: ${circuitId}, chainId: ${chainId}`
+  );
+
+  const result = await relayService.processRelay(relayId, {
+    jobId: job.id,
+    finalAttempt: job.attemptsMade + 1 >= (job.opts.attempts || 1),
+  });
+
+  return {
+    success: result.status === "confirmed",
+    circuitId,
+    result,
+  };
+});
+
+// Process webhook deliveries
+webhookQueue.process("deliver-webhook", WEBHOOK_CONCURRENCY, async (job) => {
+  const { deliveryId } = job.data;
+
+  const delivery = await webhookService.deliver(deliveryId, {
+    finalAttempt: job.attemptsMade + 1 >= (job.opts.attempts || 1),
+  });
+
+  return {
+    success: delivery?.status === "delivered",
+    deliveryId,
+    status: delivery?.status ?? "not_found",
+  };
+});
+
 // Graceful shutdown handling
 const gracefulShutdown = async (signal) => {
   console.log(`Received ${signal}. Starting graceful shutdown...`);
 
   try {
-    // Close the queue
+    // Close the queues
     await deployQueue.close();
-    console.log("Queue closed");
+    await webhookQueue.close();
+    console.log("Queues closed");
 
     // Close MongoDB connection
     await mongoose.connection.close();
     console.log("MongoDB connection closed");
 
+    // Close the nonce manager's Redis connection
+    await closeRedisClient();
+    console.log("Redis connection closed");
+
     // Cleanup deployment service
     await deployService.cleanup();
     console.log("Deployment service cleaned up");
@@ -120,7 +302,9 @@ const startWorker = async () => {
     // Connect to MongoDB
     await connectDB();
 
-    console.log("Deployment worker started successfully");
+    console.log(
+      `Deployment worker started successfully (concurrency ${CONCURRENCY})`
+    );
     console.log("Waiting for jobs...");
   } catch (error) {
     console.error("Error starting worker:", error);
@@ -0,0 +1,36 @@
+import Queue from "bull";
+import { REDIS_URL } from "../config/redis.js";
+
+// Retried with exponential backoff: 10s, 20s, 40s, ... by default
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const WEBHOOK_RETRY_DELAY_MS =
+  parseInt(process.env.WEBHOOK_RETRY_DELAY_MS) || 10000;
+
+// Webhook deliveries have their own queue so a slow or failing endpoint
+// never holds up deployments
+const webhookQueue = new Queue("webhook-delivery", REDIS_URL, {
+  defaultJobOptions: {
+    attempts: WEBHOOK_MAX_ATTEMPTS,
+    backoff: {
+      type: "exponential",
+      delay: WEBHOOK_RETRY_DELAY_MS,
+    },
+    removeOnComplete: 100,
+    removeOnFail: 100,
+  },
+});
+
+webhookQueue.on("error", (error) => {
+  console.error("Webhook queue error:", error);
+});
+
+// Function to add a webhook delivery job to queue
+export const addWebhookJob = async (deliveryId) => {
+  const job = await webhookQueue.add("deliver-webhook", {
+    deliveryId: String(deliveryId),
+    timestamp: Date.now(),
+  });
+  return job.id;
+};
+
+export default webhookQueue;
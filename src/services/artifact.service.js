@@ -0,0 +1,110 @@
+import crypto from "crypto";
+import Artifact from "../models/artifact.model.js";
+import {
+  loadCompiler,
+  compilerVersion,
+  buildSolcSettings,
+  compileStandardJson,
+} from "./compiler.service.js";
+
+// Standard JSON `sources` <-> the list stored on an artifact (file names
+// contain dots, which are awkward as Mongo keys)
+const toSourceList = (sources) =>
+  Object.keys(sources)
+    .sort()
+    .map((name) => ({ name, content: sources[name].content }));
+
+export const toStandardJsonSources = (sourceList) =>
+  Object.fromEntries(
+    sourceList.map(({ name, content }) => [name, { content }])
+  );
+
+// Hash of the sources and the settings that affect the output, including
+// the full compiler version
+export const computeArtifactKey = (sources, settings) => {
+  const { outputSelection, ...solcSettings } = buildSolcSettings(settings);
+  return crypto
+    .createHash("sha256")
+    .update(
+      JSON.stringify({
+        version: settings.version,
+        settings: solcSettings,
+        sources: toSourceList(sources),
+      })
+    )
+    .digest("hex");
+};
+
+const throwOnErrors = (output) => {
+  const errors = (output.errors || []).filter(
+    (error) => error.severity === "error"
+  );
+  if (errors.length > 0) {
+    throw new Error(
+      `Compilation errors: ${errors.map((e) => e.formattedMessage).join(", ")}`
+    );
+  }
+};
+
+const extractContracts = (output) =>
+  Object.entries(output.contracts || {}).flatMap(([sourceName, contracts]) =>
+    Object.entries(contracts).map(([contractName, contract]) => ({
+      sourceName,
+      contractName,
+      abi: contract.abi,
+      bytecode: contract.evm.bytecode.object,
+      deployedBytecode: contract.evm.deployedBytecode.object,
+      metadata: contract.metadata || null,
+      sourceMap: contract.evm.bytecode.sourceMap || null,
+      deployedSourceMap: contract.evm.deployedBytecode.sourceMap || null,
+    }))
+  );
+
+export const getArtifact = (key) => Artifact.findOne({ key });
+
+// Compile Standard JSON sources, reusing a cached artifact when the same
+// sources were already compiled with the same settings
+export const compileWithCache = async (sources, requestedSettings) => {
+  const compiler = await loadCompiler(requestedSettings.version);
+  const settings = {
+    ...requestedSettings,
+    version: compilerVersion(compiler),
+  };
+  const key = computeArtifactKey(sources, settings);
+
+  const cached = await Artifact.findOneAndUpdate(
+    { key },
+    { lastUsedAt: new Date() },
+    { new: true }
+  );
+  if (cached) {
+    console.log(`Using cached compilation artifact ${key}`);
+    return {
+      key,
+      settings,
+      contracts: cached.contracts.map((contract) => contract.toObject()),
+      cached: true,
+    };
+  }
+
+  const { output } = await compileStandardJson(sources, settings);
+  throwOnErrors(output);
+  const contracts = extractContracts(output);
+
+  // Concurrent compilations of the same input produce the same artifact
+  await Artifact.updateOne(
+    { key },
+    {
+      $setOnInsert: {
+        key,
+        sources: toSourceList(sources),
+        compilerSettings: settings,
+        contracts,
+      },
+      $set: { lastUsedAt: new Date() },
+    },
+    { upsert: true }
+  );
+
+  return { key, settings, contracts, cached: false };
+};
@@ -0,0 +1,147 @@
+import crypto from "crypto";
+import dotenv from "dotenv";
+import ApiKey, { ROLES } from "../models/apiKey.model.js";
+
+// Load environment variables (AUTH_ENABLED is read when the auth middleware
+// is imported)
+dotenv.config();
+
+// HS256 JWTs signed with JWT_SECRET; without it, JWTs are not accepted
+const JWT_SECRET = process.env.JWT_SECRET || null;
+const JWT_TTL_SECONDS = Number(process.env.JWT_TTL_SECONDS) || 3600;
+
+const API_KEY_PREFIX = "zkd_";
+
+export const hashApiKey = (key) =>
+  crypto.createHash("sha256").update(key).digest("hex");
+
+// Create a key for a tenant; the returned `key` is not stored anywhere
+export const createApiKey = async ({ tenant, role, name = null }) => {
+  if (!tenant) {
+    throw new Error("tenant is required");
+  }
+  if (!ROLES.includes(role)) {
+    throw new Error(`role must be one of ${ROLES.join(", ")}`);
+  }
+
+  const key = `${API_KEY_PREFIX}${crypto
+    .randomBytes(32)
+    .toString("base64url")}`;
+  const record = await ApiKey.create({
+    tenant,
+    role,
+    name,
+    keyHash: hashApiKey(key),
+    prefix: key.slice(0, API_KEY_PREFIX.length + 6),
+  });
+
+  return { key, record };
+};
+
+// Identity of an API key, or null when it is unknown or revoked
+export const authenticateApiKey = async (key) => {
+  const record = await ApiKey.findOne({
+    keyHash: hashApiKey(key),
+    revokedAt: null,
+  });
+  if (!record) {
+    return null;
+  }
+
+  // Not awaited: the timestamp is informational
+  ApiKey.updateOne({ _id: record._id }, { lastUsedAt: new Date() }).catch(
+    (error) => console.error("Error updating API key usage:", error.message)
+  );
+
+  return {
+    method: "api-key",
+    subject: String(record._id),
+    tenant: record.tenant,
+    role: record.role,
+  };
+};
+
+const signature = (input, secret) =>
+  crypto.createHmac("sha256", secret).update(input).digest("base64url");
+
+const encodeSegment = (value) =>
+  Buffer.from(JSON.stringify(value)).toString("base64url");
+
+const decodeSegment = (segment) =>
+  JSON.parse(Buffer.from(segment, "base64url").toString("utf8"));
+
+// Short-lived token carrying an identity's tenant and role
+export const signJwt = ({ subject, tenant, role }) => {
+  if (!JWT_SECRET) {
+    throw new Error("JWT_SECRET is not configured");
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const header = encodeSegment({ alg: "HS256", typ: "JWT" });
+  const payload = encodeSegment({
+    sub: subject,
+    tenant,
+    role,
+    iat: now,
+    exp: now + JWT_TTL_SECONDS,
+  });
+
+  return {
+    token: `${header}.${payload}.${signature(
+      `${header}.${payload}`,
+      JWT_SECRET
+    )}`,
+    expiresAt: new Date((now + JWT_TTL_SECONDS) * 1000),
+  };
+};
+
+// Identity of a JWT; throws when it is malformed, badly signed, expired or
+// lacks a tenant or a known role
+export const verifyJwt = (token) => {
+  if (!JWT_SECRET) {
+    throw new Error("JWTs are not accepted (JWT_SECRET is not configured)");
+  }
+
+  const segments = token.split(".");
+  if (segments.length !== 3) {
+    throw new Error("Malformed token");
+  }
+  const [header, payload, signed] = segments;
+
+  let claims;
+  try {
+    if (decodeSegment(header).alg !== "HS256") {
+      throw new Error();
+    }
+    claims = decodeSegment(payload);
+  } catch (error) {
+    throw new Error("Malformed token");
+  }
+
+  const expected = Buffer.from(signature(`${header}.${payload}`, JWT_SECRET));
+  const actual = Buffer.from(signed);
+  if (
+    expected.length !== actual.length ||
+    !crypto.timingSafeEqual(expected, actual)
+  ) {
+    throw new Error("Invalid token signature");
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp === "number" && claims.exp <= now) {
+    throw new Error("Token expired");
+  }
+  if (typeof claims.nbf === "number" && claims.nbf > now) {
+    throw new Error("Token not yet valid");
+  }
+  if (!claims.tenant || !ROLES.includes(claims.role)) {
+    throw new Error("Token has no tenant or role");
+  }
+
+  return {
+    method: "jwt",
+    subject: claims.sub || null,
+    tenant: claims.tenant,
+    role: claims.role,
+  };
+};
@@ -0,0 +1,506 @@
+import mongoose from "mongoose";
+import Batch from "../models/batch.model.js";
+import Contract from "../models/contract.model.js";
+import { Circuit } from "../models/circuit.model.js";
+import { getChain } from "../config/chains.js";
+import { addDeploymentJob } from "../queue/deploy.queue.js";
+import { getTemplate, resolveTemplateParams } from "../templates/index.js";
+import DeployService from "./deploy.service.js";
+import CircuitService from "./circuit.service.js";
+import ProofService from "./proof.service.js";
+import { BUDGET_EXCEEDED } from "./usage.service.js";
+
+// Item statuses an item may be started (again) from
+const STARTABLE_STATUSES = ["waiting", "failed", "skipped"];
+
+// Batch item fields, under an update path prefix
+const prefixed = (prefix, fields) =>
+  Object.fromEntries(
+    Object.entries(fields).map(([name, value]) => [`${prefix}${name}`, value])
+  );
+
+// Status and per-status counts of a batch's items
+export const batchStatus = (items) => {
+  const summary = {
+    total: items.length,
+    waiting: 0,
+    queued: 0,
+    deployed: 0,
+    failed: 0,
+    skipped: 0,
+  };
+  for (const item of items) {
+    summary[item.status]++;
+  }
+
+  let status = "partial";
+  if (summary.waiting || summary.queued) {
+    status = "running";
+  } else if (summary.deployed === summary.total) {
+    status = "completed";
+  } else if (!summary.deployed) {
+    status = "failed";
+  }
+  return { status, summary };
+};
+
+const itemSummary = (item) => ({
+  id: item._id,
+  kind: item.kind,
+  circuitId: item.circuitId,
+  chainId: item.chainId,
+  network: item.network,
+  wrapper: item.wrapper,
+  dependsOn: item.dependsOn,
+  status: item.status,
+  recordId: item.recordId,
+  version: item.version,
+  jobId: item.jobId,
+  attempts: item.attempts,
+  reused: item.reused,
+  contractAddress: item.contractAddress,
+  txHash: item.txHash,
+  error: item.error,
+  updatedAt: item.updatedAt,
+});
+
+// Batch listing; `items` false leaves the items out
+export const batchSummary = (batch, { items = true } = {}) => ({
+  id: batch._id,
+  tenant: batch.tenant,
+  status: batch.status,
+  summary: batch.summary,
+  signer: batch.signer,
+  deployMode: batch.deployMode,
+  ...(items && { items: batch.items.map(itemSummary) }),
+  createdAt: batch.createdAt,
+  updatedAt: batch.updatedAt,
+  completedAt: batch.completedAt,
+});
+
+class BatchService {
+  constructor() {
+    this.deployService = new DeployService();
+    this.circuitService = new CircuitService();
+    this.proofService = new ProofService();
+  }
+
+  // Create a batch deploying the verifiers of `circuitIds`, and the
+  // `wrappers` in front of them, on each of `chains`, and queue the
+  // verifiers. Wrappers are queued by the worker once their verifier is
+  // deployed.
+  async createBatch({
+    tenant = null,
+    circuitIds,
+    chains,
+    wrappers = [],
+    signer = null,
+    compiler = null,
+    deployMode = null,
+  }) {
+    const batch = new Batch({ tenant, signer, compiler, deployMode });
+
+    for (const chain of chains) {
+      const verifiers = new Map();
+      for (const circuitId of circuitIds) {
+        batch.items.push({
+          kind: "verifier",
+          circuitId,
+          chainId: chain.chainId,
+          network: chain.name,
+        });
+        verifiers.set(circuitId, batch.items[batch.items.length - 1]._id);
+      }
+
+      for (const wrapper of wrappers) {
+        batch.items.push({
+          kind: "wrapper",
+          circuitId: wrapper.circuitId,
+          chainId: chain.chainId,
+          network: chain.name,
+          wrapper: {
+            template: wrapper.template,
+            version: wrapper.version,
+            params: wrapper.params,
+            nPublic: wrapper.nPublic,
+            proofSystem: wrapper.proofSystem,
+          },
+          dependsOn: verifiers.get(wrapper.circuitId),
+        });
+      }
+    }
+
+    Object.assign(batch, batchStatus(batch.items));
+    await batch.save();
+    console.log(
+      `Batch ${batch._id} created with ${batch.items.length} items on ${chains.length} chains`
+    );
+
+    for (const item of batch.items) {
+      if (item.kind === "verifier") {
+        await this.startItem(batch, item);
+      }
+    }
+
+    return this.refresh(batch._id);
+  }
+
+  // Queue an item's job. The item is claimed first, so a concurrent retry
+  // does not queue it twice and a job finishing right away finds it
+  // queued; it fails when nothing could be queued.
+  async startItem(batch, item) {
+    const claimed = await Batch.updateOne(
+      {
+        _id: batch._id,
+        items: {
+          $elemMatch: { _id: item._id, status: { $in: STARTABLE_STATUSES } },
+        },
+      },
+      {
+        $set: prefixed("items.$.", {
+          status: "queued",
+          jobId: null,
+          error: null,
+          updatedAt: new Date(),
+        }),
+        $inc: { "items.$.attempts": 1 },
+      }
+    );
+    if (!claimed.modifiedCount) {
+      return;
+    }
+
+    try {
+      if (item.kind === "wrapper") {
+        await this.startWrapper(batch, item);
+      } else {
+        await this.startVerifier(batch, item);
+      }
+    } catch (error) {
+      if (error.code !== BUDGET_EXCEEDED) {
+        console.error(
+          `Error starting item ${item._id} of batch ${batch._id}:`,
+          error.message
+        );
+      }
+
+      await this.updateItem(batch._id, item._id, {
+        status: "failed",
+        error: error.message,
+      });
+      if (item.kind === "verifier") {
+        await this.skipDependents(batch._id, item._id, error.message);
+      }
+    }
+  }
+
+  // Queue a verifier, or take the one already deployed on the chain
+  async startVerifier(batch, item) {
+    const chain = getChain(item.chainId);
+    const circuit = mongoose.isValidObjectId(item.circuitId)
+      ? await Circuit.findById(item.circuitId)
+      : null;
+    if (!circuit) {
+      throw new Error(`Circuit ${item.circuitId} not found`);
+    }
+
+    const { contract, created } =
+      await this.deployService.prepareVerifierRecord(circuit, chain, {
+        compiler: batch.compiler,
+        deployMode: batch.deployMode,
+      });
+
+    if (contract.status === "deployed") {
+      await this.updateItem(batch._id, item._id, {
+        status: "deployed",
+        contractId: contract._id,
+        recordId: contract.circuitId,
+        version: contract.version,
+        reused: true,
+        contractAddress: contract.contractAddress,
+        txHash: contract.txHash,
+      });
+      await this.startDependents(batch._id, item._id);
+      return;
+    }
+
+    if (contract.status === "pending" && !created) {
+      throw new Error(
+        `Contract with circuitId ${item.circuitId} is already being processed on ${chain.name}`
+      );
+    }
+
+    // Tracked before enqueueing so the worker's updates always come after
+    await this.circuitService.trackDeployment(contract, "queued", {
+      jobId: null,
+      error: null,
+    });
+    await this.queueItem(batch, item, contract, {
+      version: contract.version,
+    });
+  }
+
+  // Queue a wrapper in front of its deployed verifier. A failed wrapper
+  // record is retried; otherwise the record is created from the item's
+  // template, which is only now checked against the verifier.
+  async startWrapper(batch, item) {
+    const chain = getChain(item.chainId);
+    const verifier = batch.items.id(item.dependsOn);
+    const verifierAddress = verifier?.contractAddress;
+    if (!verifierAddress) {
+      throw new Error("The verifier of this wrapper is not deployed");
+    }
+
+    let contract = item.contractId
+      ? await Contract.findOne({
+          _id: item.contractId,
+          status: "failed",
+          "wrapper.verifierAddress": verifierAddress,
+        })
+      : null;
+
+    if (!contract) {
+      const template = getTemplate(item.wrapper.template, item.wrapper.version);
+      if (!template) {
+        throw new Error(
+          `Unknown template: ${item.wrapper.template}@${item.wrapper.version}`
+        );
+      }
+
+      const source = { circuitId: item.circuitId, verifierAddress };
+      const { nPublic, error } = await this.proofService.resolvePublicSignals(
+        chain,
+        { ...source, requested: item.wrapper.nPublic }
+      );
+      if (error) {
+        throw new Error(error);
+      }
+      const resolved = await this.proofService.resolveProofSystem(chain, {
+        ...source,
+        requested: item.wrapper.proofSystem,
+      });
+      if (resolved.error) {
+        throw new Error(resolved.error);
+      }
+      const params = resolveTemplateParams(template, item.wrapper.params, {
+        nPublic,
+      });
+
+      contract = await this.deployService.createWrapperRecord(template, chain, {
+        verifierAddress,
+        nPublic,
+        proofSystem: resolved.proofSystem,
+        params,
+        tenant: batch.tenant,
+        compiler: batch.compiler,
+      });
+    }
+
+    await this.queueItem(batch, item, contract, {
+      jobType: "deploy-wrapper",
+      contractAddress: verifierAddress,
+    });
+  }
+
+  // Add a claimed item's job. The record fails when the job cannot be
+  // added (e.g. over the tenant's budget), so the item can be retried.
+  async queueItem(batch, item, contract, jobOptions) {
+    await this.updateItem(batch._id, item._id, {
+      contractId: contract._id,
+      recordId: contract.circuitId,
+      version: contract.version || null,
+      contractAddress: null,
+      txHash: null,
+    });
+
+    let jobResult;
+    try {
+      jobResult = await addDeploymentJob(contract.circuitId, {
+        ...jobOptions,
+        chainId: item.chainId,
+        network: item.network,
+        signer: batch.signer || undefined,
+        tenant: batch.tenant,
+        batchId: String(batch._id),
+        batchItemId: String(item._id),
+      });
+    } catch (error) {
+      await this.deployService.failQueuedRecord(contract, error.message);
+      throw error;
+    }
+
+    await this.updateItem(batch._id, item._id, {
+      jobId: String(jobResult.jobId),
+    });
+  }
+
+  // Record the outcome of a batch item's job (its final attempt when it
+  // failed): a deployed verifier starts the wrappers waiting for it, a
+  // failed one skips them. Never throws; the job's own outcome stands.
+  async jobFinished({ batchId, batchItemId }, { result = null, error = null }) {
+    try {
+      if (error) {
+        await this.updateItem(batchId, batchItemId, {
+          status: "failed",
+          error: error.message,
+        });
+        await this.skipDependents(batchId, batchItemId, error.message);
+      } else {
+        await this.updateItem(batchId, batchItemId, {
+          status: "deployed",
+          version: result.version || null,
+          contractAddress: result.contractAddress,
+          txHash: result.txHash,
+          error: null,
+        });
+        await this.startDependents(batchId, batchItemId);
+      }
+
+      await this.refresh(batchId);
+    } catch (updateError) {
+      console.error(
+        `Error updating item ${batchItemId} of batch ${batchId}:`,
+        updateError.message
+      );
+    }
+  }
+
+  // Start the wrappers waiting for a deployed verifier item
+  async startDependents(batchId, itemId) {
+    const batch = await Batch.findById(batchId);
+    const dependents = batch.items.filter(
+      (item) => item.dependsOn?.equals(itemId) && item.status === "waiting"
+    );
+    for (const item of dependents) {
+      await this.startItem(batch, item);
+    }
+  }
+
+  // Skip the wrappers waiting for a failed verifier item
+  async skipDependents(batchId, itemId, message) {
+    await Batch.updateOne(
+      { _id: batchId },
+      {
+        $set: {
+          "items.$[item].status": "skipped",
+          "items.$[item].error": `The verifier failed: ${message}`,
+          "items.$[item].updatedAt": new Date(),
+        },
+      },
+      {
+        arrayFilters: [
+          {
+            "item.dependsOn": new mongoose.Types.ObjectId(String(itemId)),
+            "item.status": "waiting",
+          },
+        ],
+      }
+    );
+  }
+
+  async updateItem(batchId, itemId, fields) {
+    await Batch.updateOne(
+      { _id: batchId, "items._id": itemId },
+      { $set: prefixed("items.$.", { ...fields, updatedAt: new Date() }) }
+    );
+  }
+
+  // Recompute a batch's status and summary from its items. Computed again
+  // when another item changed in the meantime.
+  async refresh(batchId) {
+    for (;;) {
+      const batch = await Batch.findById(batchId);
+      if (!batch) {
+        return null;
+      }
+
+      const { status, summary } = batchStatus(batch.items);
+      const refreshed = await Batch.findOneAndUpdate(
+        { _id: batchId, updatedAt: batch.updatedAt },
+        {
+          status,
+          summary,
+          completedAt:
+            status === "running" ? null : batch.completedAt || new Date(),
+        },
+        { new: true }
+      );
+      if (refreshed) {
+        return refreshed;
+      }
+    }
+  }
+
+  // Start failed items of a batch again: the given ones (ids of its
+  // items), or all of them. Skipped wrappers go back to waiting for their
+  // verifier, which is retried with them. Returns { batch, error }; error
+  // when a given item is not failed or when there is nothing to retry.
+  async retry(batch, itemIds = null) {
+    const selected = itemIds
+      ? itemIds.map((id) => batch.items.id(id))
+      : batch.items.filter((item) =>
+          ["failed", "skipped"].includes(item.status)
+        );
+
+    const busy = selected.filter(
+      (item) => !["failed", "skipped"].includes(item.status)
+    );
+    if (busy.length) {
+      return {
+        batch: null,
+        error: `Only failed or skipped items can be retried: ${busy
+          .map((item) => `${item._id} is ${item.status}`)
+          .join(", ")}`,
+      };
+    }
+    if (!selected.length) {
+      return { batch: null, error: "The batch has no failed items" };
+    }
+
+    const verifiers = new Map();
+    const wrappers = [];
+    for (const item of selected) {
+      const verifier =
+        item.kind === "verifier" ? item : batch.items.id(item.dependsOn);
+      if (verifier.status === "deployed") {
+        wrappers.push(item);
+      } else {
+        verifiers.set(String(verifier._id), verifier);
+      }
+    }
+
+    for (const verifier of verifiers.values()) {
+      await Batch.updateOne(
+        { _id: batch._id },
+        {
+          $set: {
+            "items.$[item].status": "waiting",
+            "items.$[item].error": null,
+            "items.$[item].updatedAt": new Date(),
+          },
+        },
+        {
+          arrayFilters: [
+            { "item.dependsOn": verifier._id, "item.status": "skipped" },
+          ],
+        }
+      );
+      await this.startItem(batch, verifier);
+    }
+
+    if (wrappers.length) {
+      const current = await Batch.findById(batch._id);
+      for (const item of wrappers) {
+        await this.startItem(current, current.items.id(item._id));
+      }
+    }
+
+    console.log(
+      `Batch ${batch._id}: retrying ${verifiers.size} verifiers and ${wrappers.length} wrappers`
+    );
+
+    return { batch: await this.refresh(batch._id), error: null };
+  }
+}
+
+export default BatchService;
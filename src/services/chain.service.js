@@ -0,0 +1,87 @@
+import { ethers } from "ethers";
+
+// One provider per chain, shared by every service in the process
+const providers = new Map();
+
+export const getProvider = (chain) => {
+  if (providers.has(chain.chainId)) {
+    return providers.get(chain.chainId);
+  }
+
+  if (!chain.rpcUrls.length) {
+    throw new Error(`No RPC URL configured for chain ${chain.name}`);
+  }
+
+  const network = ethers.Network.from(chain.chainId);
+  const rpcProviders = chain.rpcUrls.map(
+    (url) =>
+      new ethers.JsonRpcProvider(url, network, { staticNetwork: network })
+  );
+
+  // Several RPC URLs: fail over between them, one answer is enough
+  const provider =
+    rpcProviders.length === 1
+      ? rpcProviders[0]
+      : new ethers.FallbackProvider(
+          rpcProviders.map((p, index) => ({
+            provider: p,
+            priority: index + 1,
+            weight: 1,
+          })),
+          network,
+          { quorum: 1 }
+        );
+
+  providers.set(chain.chainId, provider);
+  return provider;
+};
+
+// Build the fee fields for a transaction according to the chain's gas policy
+export const getFeeOverrides = async (chain, provider = getProvider(chain)) => {
+  const { gasPolicy } = chain;
+  const feeData = await provider.getFeeData();
+
+  if (gasPolicy.type === "legacy" || feeData.maxFeePerGas === null) {
+    let gasPrice = feeData.gasPrice;
+    if (gasPolicy.maxFeeGwei && gasPrice !== null) {
+      const cap = ethers.parseUnits(String(gasPolicy.maxFeeGwei), "gwei");
+      gasPrice = gasPrice > cap ? cap : gasPrice;
+    }
+    return { type: 0, gasPrice };
+  }
+
+  let maxPriorityFeePerGas = feeData.maxPriorityFeePerGas;
+  if (gasPolicy.minPriorityFeeGwei) {
+    const floor = ethers.parseUnits(
+      String(gasPolicy.minPriorityFeeGwei),
+      "gwei"
+    );
+    if (maxPriorityFeePerGas < floor) {
+      maxPriorityFeePerGas = floor;
+    }
+  }
+
+  // Keep room for the base fee when the priority fee was raised above the estimate
+  let maxFeePerGas = feeData.maxFeePerGas;
+  if (maxFeePerGas < maxPriorityFeePerGas) {
+    maxFeePerGas = maxFeePerGas + maxPriorityFeePerGas;
+  }
+
+  if (gasPolicy.maxFeeGwei) {
+    const cap = ethers.parseUnits(String(gasPolicy.maxFeeGwei), "gwei");
+    if (maxPriorityFeePerGas > cap) {
+      throw new Error(
+        `Priority fee exceeds the ${gasPolicy.maxFeeGwei} gwei cap for chain ${chain.name}`
+      );
+    }
+    maxFeePerGas = maxFeePerGas > cap ? cap : maxFeePerGas;
+  }
+
+  return { type: 2, maxFeePerGas, maxPriorityFeePerGas };
+};
+
+// Apply the chain's safety margin to a gas estimate
+export const applyGasLimitMultiplier = (chain, gasEstimate) => {
+  const multiplier = chain.gasPolicy.gasLimitMultiplier || 1;
+  return (gasEstimate * BigInt(Math.round(multiplier * 100))) / 100n;
+};
@@ -0,0 +1,157 @@
+import mongoose from "mongoose";
+import { Circuit, DEPLOYMENT_TRANSITIONS } from "../models/circuit.model.js";
+
+// Statuses a deployment may be in to move to `status` (including `status`
+// itself, so a resumed job can update its entry)
+const allowedFrom = (status) => [
+  status,
+  ...Object.keys(DEPLOYMENT_TRANSITIONS).filter((from) =>
+    DEPLOYMENT_TRANSITIONS[from].includes(status)
+  ),
+];
+
+// Circuit.deployments entry fields, under an update path prefix
+const prefixed = (prefix, fields) =>
+  Object.fromEntries(
+    Object.entries(fields).map(([name, value]) => [`${prefix}${name}`, value])
+  );
+
+class CircuitService {
+  // Move the circuit's deployment entry for a contract record to `status`,
+  // adding the entry when the record has none yet. Records that are not
+  // backed by a Circuit (test and wrapper records) are ignored. Returns the
+  // entry, or null when ignored or when the transition is not allowed.
+  async trackDeployment(contract, status, fields = {}) {
+    if (!mongoose.isValidObjectId(contract.circuitId)) {
+      return null;
+    }
+
+    const update = { ...fields, status, updatedAt: new Date() };
+
+    let circuit = await Circuit.findOneAndUpdate(
+      {
+        _id: contract.circuitId,
+        deployments: {
+          $elemMatch: {
+            contractId: contract._id,
+            status: { $in: allowedFrom(status) },
+          },
+        },
+      },
+      { $set: prefixed("deployments.$.", update) },
+      { new: true }
+    );
+
+    if (!circuit) {
+      circuit = await Circuit.findOneAndUpdate(
+        {
+          _id: contract.circuitId,
+          "deployments.contractId": { $ne: contract._id },
+        },
+        {
+          $push: {
+            deployments: {
+              contractId: contract._id,
+              chainId: contract.chainId,
+              network: contract.network,
+              version: contract.version || 1,
+              ...update,
+            },
+          },
+        },
+        { new: true }
+      );
+    }
+
+    const deployment = circuit?.deployments.find((entry) =>
+      entry.contractId.equals(contract._id)
+    );
+    if (!deployment) {
+      console.warn(
+        `Deployment of circuitId ${contract.circuitId} on chain ${contract.chainId} not moved to ${status} (no circuit, or not allowed)`
+      );
+      return null;
+    }
+
+    return deployment;
+  }
+
+  // Flag a contract record's deployment as the active one of its chain and
+  // mirror it onto Circuit.artifacts.deployment
+  async markActive(contract) {
+    if (!mongoose.isValidObjectId(contract.circuitId)) {
+      return null;
+    }
+
+    const circuit = await Circuit.findOneAndUpdate(
+      { _id: contract.circuitId, "deployments.contractId": contract._id },
+      {
+        $set: {
+          "deployments.$[entry].active": true,
+          "deployments.$[other].active": false,
+        },
+      },
+      {
+        arrayFilters: [
+          { "entry.contractId": contract._id },
+          {
+            "other.contractId": { $ne: contract._id },
+            "other.chainId": contract.chainId,
+          },
+        ],
+        new: true,
+      }
+    );
+
+    const deployment = circuit?.deployments.find((entry) =>
+      entry.contractId.equals(contract._id)
+    );
+    if (deployment) {
+      await this.syncArtifactsDeployment(contract.circuitId, deployment);
+    }
+    return deployment || null;
+  }
+
+  // Mirror a deployment onto Circuit.artifacts.deployment
+  async syncArtifactsDeployment(circuitId, deployment) {
+    await Circuit.updateOne(
+      { _id: circuitId, artifacts: { $ne: null } },
+      {
+        "artifacts.deployment": {
+          address: deployment.address,
+          chainId: deployment.chainId,
+          txHash: deployment.txHash,
+          blockNumber: deployment.blockNumber,
+          network: deployment.network,
+        },
+      }
+    );
+  }
+
+  // A circuit's deployments, newest first, or null when there is no such
+  // circuit. `scope` limits it to a tenant's circuits.
+  async listDeployments(circuitId, scope = {}) {
+    if (!mongoose.isValidObjectId(circuitId)) {
+      return null;
+    }
+
+    const circuit = await Circuit.findOne(
+      { ...scope, _id: circuitId },
+      { deployments: 1, "artifacts.deployment": 1 }
+    );
+    if (!circuit) {
+      return null;
+    }
+
+    return {
+      deployments: [...circuit.deployments].sort(
+        (a, b) => b.updatedAt - a.updatedAt
+      ),
+      current: circuit.artifacts?.deployment?.address
+        ? circuit.artifacts.deployment
+        : null,
+    };
+  }
+}
+
+export default CircuitService;
@@ -0,0 +1,203 @@
+import { createRequire } from "module";
+import path from "path";
+import { fileURLToPath } from "url";
+import axios from "axios";
+import fs from "fs-extra";
+import solc from "solc";
+import setupMethods from "solc/wrapper.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const require = createRequire(import.meta.url);
+
+// soljson-v<version>+commit.<hash>.js builds, as published on binaries.soliditylang.org
+export const SOLC_CACHE_DIR =
+  process.env.SOLC_CACHE_DIR || path.join(__dirname, "../../solc-cache");
+
+const SOLC_BINARIES_URL =
+  process.env.SOLC_BINARIES_URL || "https://binaries.soliditylang.org/bin";
+
+// Fetch missing builds into the cache instead of failing
+const SOLC_DOWNLOAD = process.env.SOLC_DOWNLOAD === "true";
+
+// Defaults for records that do not specify their own settings. No version
+// means the solc build bundled with the npm package.
+export const DEFAULT_COMPILER_SETTINGS = {
+  version: process.env.SOLC_VERSION || null,
+  optimizer: {
+    enabled: Boolean(process.env.SOLC_OPTIMIZER_RUNS),
+    runs: Number(process.env.SOLC_OPTIMIZER_RUNS) || 200,
+  },
+  viaIR: process.env.SOLC_VIA_IR === "true",
+  evmVersion: process.env.SOLC_EVM_VERSION || null,
+};
+
+// Loaded solc-js builds, keyed by full version
+const compilers = new Map();
+
+// "v0.8.20+commit.a1b79de6" or "0.8.20" -> "0.8.20"
+const shortVersion = (version) =>
+  version.replace(/^v/, "").split("+")[0].split("-")[0];
+
+// "0.8.20+commit.a1b79de6", as used in build file names
+export const compilerVersion = (compiler) =>
+  compiler.version().replace(/\.Emscripten\.clang$/, "");
+
+// Later layers override earlier ones; unset fields are ignored
+export const resolveCompilerSettings = (...layers) => {
+  const settings = {
+    ...DEFAULT_COMPILER_SETTINGS,
+    optimizer: { ...DEFAULT_COMPILER_SETTINGS.optimizer },
+  };
+
+  for (const layer of layers) {
+    if (!layer) continue;
+
+    if (layer.version) settings.version = String(layer.version);
+    if (layer.evmVersion) settings.evmVersion = layer.evmVersion;
+    if (layer.viaIR !== undefined && layer.viaIR !== null) {
+      settings.viaIR = Boolean(layer.viaIR);
+    }
+
+    const optimizer = layer.optimizer || {};
+    if (optimizer.enabled !== undefined && optimizer.enabled !== null) {
+      settings.optimizer.enabled = Boolean(optimizer.enabled);
+    }
+    if (optimizer.runs !== undefined && optimizer.runs !== null) {
+      settings.optimizer.runs = Number(optimizer.runs);
+      if (optimizer.enabled === undefined) settings.optimizer.enabled = true;
+    }
+  }
+
+  if (
+    !Number.isInteger(settings.optimizer.runs) ||
+    settings.optimizer.runs < 0
+  ) {
+    throw new Error("optimizer.runs must be a non-negative integer");
+  }
+
+  return settings;
+};
+
+const findCachedBuild = async (version) => {
+  if (!(await fs.pathExists(SOLC_CACHE_DIR))) {
+    return null;
+  }
+
+  const wanted = version.replace(/^v/, "");
+  const files = await fs.readdir(SOLC_CACHE_DIR);
+  const match = files.find((file) => {
+    const fileVersion = file.replace(/^soljson-v/, "").replace(/\.js$/, "");
+    return (
+      file.startsWith("soljson-v") &&
+      file.endsWith(".js") &&
+      (fileVersion === wanted ||
+        (!wanted.includes("+") && shortVersion(fileVersion) === wanted))
+    );
+  });
+
+  return match ? path.join(SOLC_CACHE_DIR, match) : null;
+};
+
+const downloadBuild = async (version) => {
+  const { data: list } = await axios.get(`${SOLC_BINARIES_URL}/list.json`);
+  const wanted = version.replace(/^v/, "");
+  const fileName = wanted.includes("+")
+    ? `soljson-v${wanted}.js`
+    : list.releases[wanted];
+
+  if (!fileName) {
+    throw new Error(`Unknown solc version ${version}`);
+  }
+
+  console.log(`Downloading solc ${fileName} into ${SOLC_CACHE_DIR}`);
+  const { data } = await axios.get(`${SOLC_BINARIES_URL}/${fileName}`, {
+    responseType: "text",
+  });
+
+  // Write then rename so a concurrent load never sees a partial file
+  await fs.ensureDir(SOLC_CACHE_DIR);
+  const filePath = path.join(SOLC_CACHE_DIR, fileName);
+  const partialPath = `${filePath}.${process.pid}.partial`;
+  await fs.writeFile(partialPath, data);
+  await fs.move(partialPath, filePath, { overwrite: true });
+  return filePath;
+};
+
+// The solc-js build for a version; the bundled one when it matches
+export const loadCompiler = async (version) => {
+  if (!version) {
+    return solc;
+  }
+
+  const bundled = solc.version();
+  const wanted = version.replace(/^v/, "");
+  if (
+    bundled.startsWith(wanted) ||
+    (!wanted.includes("+") && shortVersion(bundled) === wanted)
+  ) {
+    return solc;
+  }
+
+  if (compilers.has(wanted)) {
+    return compilers.get(wanted);
+  }
+
+  let buildPath = await findCachedBuild(wanted);
+  if (!buildPath) {
+    if (!SOLC_DOWNLOAD) {
+      throw new Error(
+        `solc ${version} is not in ${SOLC_CACHE_DIR} (set SOLC_DOWNLOAD=true to fetch it)`
+      );
+    }
+    buildPath = await downloadBuild(wanted);
+  }
+
+  console.log(`Loading solc from ${buildPath}`);
+  const compiler = setupMethods(require(buildPath));
+  compilers.set(wanted, compiler);
+  compilers.set(compilerVersion(compiler), compiler);
+  return compiler;
+};
+
+// Standard JSON `settings` for the given compiler settings
+export const buildSolcSettings = (settings) => {
+  const solcSettings = {
+    optimizer: {
+      enabled: settings.optimizer.enabled,
+      runs: settings.optimizer.runs,
+    },
+    outputSelection: {
+      "*": {
+        "*": ["*"],
+      },
+    },
+  };
+
+  if (settings.viaIR) solcSettings.viaIR = true;
+  if (settings.evmVersion) solcSettings.evmVersion = settings.evmVersion;
+
+  return solcSettings;
+};
+
+// Compile a Standard JSON input with the requested compiler. Returns the
+// parsed output and the settings actually used, with the full version.
+export const compileStandardJson = async (sources, settings) => {
+  const compiler = await loadCompiler(settings.version);
+
+  const input = {
+    language: "Solidity",
+    sources,
+    settings: buildSolcSettings(settings),
+  };
+
+  const output = JSON.parse(compiler.compile(JSON.stringify(input)));
+
+  return {
+    output,
+    settings: {
+      ...settings,
+      version: compilerVersion(compiler),
+    },
+  };
+};
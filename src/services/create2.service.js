@@ -0,0 +1,57 @@
+import { ethers } from "ethers";
+
+// Deterministic deployment proxy (https://github.com/Arachnid/deterministic-deployment-proxy),
+// deployed at the same address on most EVM chains. Its calldata is
+// `salt (32 bytes) ++ initCode` and it returns the new contract's address.
+export const DEFAULT_CREATE2_FACTORY =
+  process.env.CREATE2_FACTORY_ADDRESS ||
+  "0x4e59b44847b379578588920ca78fbf26c0b4956c";
+
+// Same circuit, same salt: the verifier lands at the same address everywhere
+export const deriveSalt = (circuitHash) => {
+  if (!circuitHash) {
+    throw new Error("CREATE2 deployments need a circuit_hash to derive a salt");
+  }
+  return ethers.id(`zkp-verifier:${circuitHash}`);
+};
+
+// Creation bytecode with ABI-encoded constructor arguments appended
+export const buildInitCode = (bytecode, abi, constructorArgs = []) => {
+  const contractInterface = new ethers.Interface(abi);
+  const encodedArgs = contractInterface.encodeDeploy(constructorArgs);
+  return ethers.concat([
+    ethers.getBytes(`0x${bytecode.replace(/^0x/, "")}`),
+    encodedArgs,
+  ]);
+};
+
+export const predictAddress = (factoryAddress, salt, initCode) =>
+  ethers.getCreate2Address(factoryAddress, salt, ethers.keccak256(initCode));
+
+export const buildFactoryCalldata = (salt, initCode) =>
+  ethers.concat([salt, initCode]);
+
+// Everything needed to predict and perform a CREATE2 deployment
+export const planCreate2 = ({
+  bytecode,
+  abi,
+  constructorArgs = [],
+  circuitHash,
+  factoryAddress = DEFAULT_CREATE2_FACTORY,
+}) => {
+  const salt = deriveSalt(circuitHash);
+  const initCode = buildInitCode(bytecode, abi, constructorArgs);
+
+  return {
+    factory: ethers.getAddress(factoryAddress),
+    salt,
+    initCode,
+    initCodeHash: ethers.keccak256(initCode),
+    address: predictAddress(factoryAddress, salt, initCode),
+  };
+};
+
+export const hasCode = async (provider, address) => {
+  const code = await provider.getCode(address);
+  return code !== "0x";
+};
@@ -1,37 +1,98 @@
 import { ethers } from "ethers";
-import solc from "solc";
 import axios from "axios";
-import { S3Client, GetObjectCommand } from "@aws-sdk/client-s3";
+import { GetObjectCommand, ListObjectsV2Command } from "@aws-sdk/client-s3";
 import fs from "fs-extra";
+import mongoose from "mongoose";
 import path from "path";
 import { fileURLToPath } from "url";
 import Contract from "../models/contract.model.js";
+import { Circuit } from "../models/circuit.model.js";
+import { getChain } from "../config/chains.js";
+import { getS3Client } from "../config/s3.js";
+import {
+  DEFAULT_WRAPPER_TEMPLATE,
+  getTemplate,
+  buildWrapper,
+} from "../templates/index.js";
+import {
+  getProvider,
+  getFeeOverrides,
+  applyGasLimitMultiplier,
+} from "./chain.service.js";
+import { getSigner, resolveSignerName } from "./signer.service.js";
+import TransactionSender from "./tx.sender.js";
+import { resolveCompilerSettings } from "./compiler.service.js";
+import { compileWithCache } from "./artifact.service.js";
+import ProofService, { detectProofSystem } from "./proof.service.js";
+import CircuitService from "./circuit.service.js";
+import UsageService, { BUDGET_EXCEEDED } from "./usage.service.js";
+import WebhookService from "./webhook.service.js";
+import { diffGroth16Constants } from "./snark.verifier.js";
+import {
+  DEFAULT_REMAPPINGS,
+  parseRemappings,
+  localLibraryLoader,
+  resolveSources,
+} from "./source.resolver.js";
+import {
+  DEFAULT_CREATE2_FACTORY,
+  planCreate2,
+  buildInitCode,
+  buildFactoryCalldata,
+  hasCode,
+} from "./create2.service.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+const DEPLOY_LOCK_TTL_MS = Number(process.env.DEPLOY_LOCK_TTL_MS) || 60000;
+
+// Compare verifier sources with the circuit's verification key before
+// deploying them
+const VERIFIER_KEY_CHECK = process.env.VERIFIER_KEY_CHECK !== "false";
+
+// Saved tx versions that may still be (or already be) on-chain
+const RESUMABLE_TX_STATUSES = ["signed", "pending", "replaced", "mined"];
+
+// Error code of a deployment whose record another worker holds the lock on
+export const DEPLOYMENT_LOCKED = "DEPLOYMENT_LOCKED";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// EIP-170 runtime code limit and EIP-3860 init code limit, in bytes
+const MAX_CODE_SIZE = 24576;
+const MAX_INITCODE_SIZE = 49152;
+
+// Gas used, effective gas price and fee of a mined tx (wei)
+const receiptCost = (receipt) => ({
+  gasUsed: receipt.gasUsed.toString(),
+  gasPrice: receipt.gasPrice.toString(),
+  costWei: receipt.fee.toString(),
+});
+
+// Best human-readable reason from an ethers call/estimate error
+const describeRevert = (error) =>
+  error.revert?.args?.[0] ||
+  error.reason ||
+  error.shortMessage ||
+  error.message;
+
 class DeployService {
   constructor() {
-    this.provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
-    this.wallet = new ethers.Wallet(process.env.PRIVATE_KEY, this.provider);
     this.tempDir = path.join(__dirname, "../../temp");
 
     // Initialize S3 client
-    this.s3Client = new S3Client({
-      region: process.env.AWS_REGION,
-      endpoint: process.env.S3_ENDPOINT,
-      credentials: {
-        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-      },
-      forcePathStyle: true, // Required for some S3-compatible services
-    });
+    this.s3Client = getS3Client();
+
+    this.circuitService = new CircuitService();
+    this.usageService = new UsageService();
+    this.webhookService = new WebhookService();
 
     // Ensure temp directory exists
     fs.ensureDirSync(this.tempDir);
   }
 
-  async downloadContractFromS3(s3Key, circuitId) {
+  async downloadContractFromS3(s3Key) {
     try {
       console.log(`Downloading contract from S3: ${s3Key}`);
 
@@ -47,84 +108,127 @@ class DeployService {
       }
 
       // Convert stream to string
-      const contractContent = await response.Body.transformToString();
-
-      const fileName = `${circuitId}.sol`;
-      const filePath = path.join(this.tempDir, fileName);
-
-      await fs.writeFile(filePath, contractContent);
-      console.log(`Contract downloaded to: ${filePath}`);
-
-      return filePath;
+      return await response.Body.transformToString();
     } catch (error) {
       console.error("Error downloading contract from S3:", error.message);
       throw new Error(`Failed to download contract from S3: ${error.message}`);
     }
   }
 
-  async downloadContract(sourceUrl, circuitId) {
+  // Same as downloadContractFromS3, but null when the object does not exist
+  async findS3Source(s3Key) {
     try {
-      console.log(`Downloading contract from: ${sourceUrl}`);
+      const response = await this.s3Client.send(
+        new GetObjectCommand({ Bucket: process.env.S3_BUCKET, Key: s3Key })
+      );
+      return await response.Body.transformToString();
+    } catch (error) {
+      if (
+        error.name === "NoSuchKey" ||
+        error.$metadata?.httpStatusCode === 404
+      ) {
+        return null;
+      }
+      throw new Error(`Failed to download ${s3Key} from S3: ${error.message}`);
+    }
+  }
 
-      const response = await axios.get(sourceUrl);
-      const contractContent = response.data;
+  // Every .sol key under an S3 prefix
+  async listS3Sources(prefix) {
+    const keys = [];
+    let ContinuationToken;
+
+    do {
+      const response = await this.s3Client.send(
+        new ListObjectsV2Command({
+          Bucket: process.env.S3_BUCKET,
+          Prefix: prefix,
+          ContinuationToken,
+        })
+      );
+      for (const object of response.Contents || []) {
+        if (object.Key.endsWith(".sol")) keys.push(object.Key);
+      }
+      ContinuationToken = response.IsTruncated
+        ? response.NextContinuationToken
+        : undefined;
+    } while (ContinuationToken);
 
-      const fileName = `${circuitId}.sol`;
-      const filePath = path.join(this.tempDir, fileName);
+    return keys;
+  }
 
-      await fs.writeFile(filePath, contractContent);
-      console.log(`Contract downloaded to: ${filePath}`);
+  async downloadContract(sourceUrl) {
+    try {
+      console.log(`Downloading contract from: ${sourceUrl}`);
 
-      return filePath;
+      const response = await axios.get(sourceUrl, { responseType: "text" });
+      return response.data;
     } catch (error) {
       console.error("Error downloading contract:", error.message);
       throw new Error(`Failed to download contract: ${error.message}`);
     }
   }
 
-  async compileContract(filePath, expectedContractName = null) {
+  async compileContract(
+    filePath,
+    expectedContractName = null,
+    compilerSettings = resolveCompilerSettings()
+  ) {
+    console.log(`Compiling contract from: ${filePath}`);
+    const source = await fs.readFile(filePath, "utf8");
+    const sourceName = path.basename(filePath);
+
+    return this.compileSources(
+      { [sourceName]: { content: source } },
+      sourceName,
+      expectedContractName,
+      compilerSettings
+    );
+  }
+
+  // Compile Standard JSON sources; imports missing from `sources` are
+  // resolved with the given loaders and the vendored library directory.
+  // The contract is picked from `mainSource`.
+  async compileSources(
+    sources,
+    mainSource,
+    expectedContractName = null,
+    compilerSettings = resolveCompilerSettings(),
+    { loaders = [], remappings = DEFAULT_REMAPPINGS } = {}
+  ) {
     try {
-      console.log(`Compiling contract from: ${filePath}`);
       if (expectedContractName) {
         console.log(`Expected contract name: ${expectedContractName}`);
       }
 
-      const source = await fs.readFile(filePath, "utf8");
-
-      const input = {
-        language: "Solidity",
-        sources: {
-          [path.basename(filePath)]: {
-            content: source,
-          },
-        },
-        settings: {
-          outputSelection: {
-            "*": {
-              "*": ["*"],
-            },
-          },
-        },
-      };
-
-      const output = JSON.parse(solc.compile(JSON.stringify(input)));
-
-      if (output.errors) {
-        const errors = output.errors.filter(
-          (error) => error.severity === "error"
-        );
-        if (errors.length > 0) {
-          throw new Error(
-            `Compilation errors: ${errors
-              .map((e) => e.formattedMessage)
-              .join(", ")}`
-          );
-        }
+      const allSources = await resolveSources(sources, {
+        remappings,
+        loaders: [...loaders, localLibraryLoader()],
+      });
+      if (Object.keys(allSources).length > 1) {
+        console.log(`Compiling ${Object.keys(allSources).length} source files`);
       }
 
-      const contracts = output.contracts[path.basename(filePath)];
+      const {
+        key,
+        settings,
+        contracts: compiledContracts,
+      } = await compileWithCache(allSources, compilerSettings);
+      console.log(
+        `Compiled with solc ${settings.version} (optimizer ${
+          settings.optimizer.enabled ? `${settings.optimizer.runs} runs` : "off"
+        }${settings.viaIR ? ", viaIR" : ""}${
+          settings.evmVersion ? `, evm ${settings.evmVersion}` : ""
+        })`
+      );
+
+      const contracts = Object.fromEntries(
+        compiledContracts
+          .filter((contract) => contract.sourceName === mainSource)
+          .map((contract) => [contract.contractName, contract])
+      );
 
-      if (!contracts || Object.keys(contracts).length === 0) {
+      if (Object.keys(contracts).length === 0) {
         throw new Error("No contracts found in compiled output");
       }
 
@@ -167,8 +271,11 @@ class DeployService {
       console.log(`Contract compiled successfully: ${contractName}`);
 
       return {
-        bytecode: contract.evm.bytecode.object,
+        bytecode: contract.bytecode,
+        deployedBytecode: contract.deployedBytecode,
         abi: contract.abi,
+        compilerSettings: settings,
+        artifactKey: key,
         contractName: contractName, // Return the actual contract name
       };
     } catch (error) {
@@ -177,123 +284,1069 @@ class DeployService {
     }
   }
 
-  async deployContract(bytecode, abi, constructorArgs = []) {
+  async deployContract(
+    bytecode,
+    abi,
+    constructorArgs = [],
+    chain,
+    {
+      signer: signerName = null,
+      owner = null,
+      persist = null,
+      create2 = null,
+      onConfirmation = null,
+      checkBudget = null,
+    } = {}
+  ) {
     try {
-      console.log("Deploying contract...");
+      console.log(
+        `Deploying contract to ${chain.name} (${chain.chainId})${
+          create2 ? ` via CREATE2 at ${create2.address}` : ""
+        }...`
+      );
+
+      const signer = await getSigner(chain, signerName);
+
+      // Same bytecode and salt already deployed: nothing to broadcast
+      if (create2 && (await hasCode(signer.provider, create2.address))) {
+        console.log(`Code already exists at ${create2.address}`);
+        return {
+          contractAddress: create2.address,
+          txHash: null,
+          blockNumber: null,
+          deployerAddress: null,
+          transactions: [],
+          alreadyDeployed: true,
+        };
+      }
+
+      const txRequest = await this.buildDeployRequest(
+        bytecode,
+        abi,
+        constructorArgs,
+        chain,
+        create2
+      );
+
+      const gasEstimate = await signer.estimateGas(txRequest);
+      const gasLimit = applyGasLimitMultiplier(chain, gasEstimate);
+
+      // Refuse a tx the budget can no longer pay for at current fees
+      if (checkBudget) {
+        const fees = await getFeeOverrides(chain, signer.provider);
+        await checkBudget(
+          gasLimit * (fees.maxFeePerGas ?? fees.gasPrice ?? 0n)
+        );
+      }
 
-      const factory = new ethers.ContractFactory(abi, bytecode, this.wallet);
+      // Stuck transactions are replaced with higher fees by the sender
+      const sender = new TransactionSender(chain, signer, {
+        owner,
+        onConfirmation,
+      });
+      const { receipt, nonce, transactions } = await sender.send(
+        { ...txRequest, gasLimit },
+        { persist }
+      );
 
-      const contract = await factory.deploy(...constructorArgs);
-      await contract.waitForDeployment();
+      const contractAddress = create2
+        ? create2.address
+        : receipt.contractAddress;
+      const txHash = receipt.hash;
 
-      const contractAddress = await contract.getAddress();
-      const txHash = contract.deploymentTransaction().hash;
+      if (create2 && !(await hasCode(signer.provider, contractAddress))) {
+        throw new Error(
+          `CREATE2 transaction ${txHash} was mined but no code exists at ${contractAddress}`
+        );
+      }
 
       console.log(`Contract deployed successfully at: ${contractAddress}`);
-      console.log(`Transaction hash: ${txHash}`);
+      console.log(`Transaction hash: ${txHash} (nonce ${nonce})`);
 
       return {
         contractAddress,
         txHash,
+        blockNumber: receipt.blockNumber,
+        deployerAddress: receipt.from,
+        ...receiptCost(receipt),
+        transactions,
+        alreadyDeployed: false,
       };
     } catch (error) {
       console.error("Error deploying contract:", error.message);
+      if (error.code === BUDGET_EXCEEDED) {
+        throw error;
+      }
       throw new Error(`Deployment failed: ${error.message}`);
     }
   }
 
-  async deployContractByCircuitId(circuitId) {
-    let tempFilePath = null;
+  // The unsigned deployment tx: plain contract creation, or a call to the
+  // CREATE2 factory
+  async buildDeployRequest(bytecode, abi, constructorArgs, chain, create2) {
+    if (!create2) {
+      const factory = new ethers.ContractFactory(abi, bytecode);
+      const deployTx = await factory.getDeployTransaction(...constructorArgs);
+      return { data: deployTx.data };
+    }
+
+    if (!(await hasCode(getProvider(chain), create2.factory))) {
+      throw new Error(
+        `CREATE2 factory ${create2.factory} is not deployed on ${chain.name}`
+      );
+    }
+
+    return {
+      to: create2.factory,
+      data: buildFactoryCalldata(create2.salt, create2.initCode),
+    };
+  }
+
+  // Dry run of a circuit's verifier deployment: compile it, then estimate
+  // gas and simulate the creation with eth_call. Nothing is broadcast.
+  async estimateDeployment(circuitId, chain, options = {}) {
+    const record = await this.findSourceRecord(circuitId, chain);
+    const deployMode = options.deployMode || record.deployMode || "create";
+    const constructorArgs = record.constructorArgs || [];
+
+    const compiled = await this.compileRecord(
+      record,
+      resolveCompilerSettings(record.compiler, options.compiler)
+    );
+
+    const provider = getProvider(chain);
+    const signer = await getSigner(
+      chain,
+      resolveSignerName(chain, options.signer || record.signer)
+    );
+    const from = await signer.getAddress();
+
+    const create2 =
+      deployMode === "create2"
+        ? await this.planCircuitCreate2(
+            circuitId,
+            chain,
+            compiled,
+            constructorArgs
+          )
+        : null;
+
+    const codeSize = compiled.deployedBytecode.length / 2;
+    const initCodeSize = ethers.dataLength(
+      buildInitCode(compiled.bytecode, compiled.abi, constructorArgs)
+    );
+
+    const result = {
+      circuitId,
+      chainId: chain.chainId,
+      network: chain.name,
+      contractName: compiled.contractName,
+      compilerSettings: compiled.compilerSettings,
+      deployMode,
+      from,
+      bytecode: {
+        codeSize,
+        codeSizeLimit: MAX_CODE_SIZE,
+        exceedsCodeSizeLimit: codeSize > MAX_CODE_SIZE,
+        initCodeSize,
+        initCodeSizeLimit: MAX_INITCODE_SIZE,
+        exceedsInitCodeSizeLimit: initCodeSize > MAX_INITCODE_SIZE,
+      },
+      create2: create2
+        ? {
+            address: create2.address,
+            salt: create2.salt,
+            factory: create2.factory,
+            alreadyDeployed: await hasCode(provider, create2.address),
+          }
+        : null,
+      willRevert: false,
+      revertReason: null,
+      gas: null,
+      fees: null,
+      cost: null,
+    };
+
+    if (result.create2?.alreadyDeployed) {
+      return result;
+    }
 
+    const txRequest = {
+      ...(await this.buildDeployRequest(
+        compiled.bytecode,
+        compiled.abi,
+        constructorArgs,
+        chain,
+        create2
+      )),
+      from,
+    };
+
+    // eth_call first: it surfaces the revert reason of a failing creation
     try {
-      // Fetch contract metadata from MongoDB
-      const contract = await Contract.findOne({ circuitId });
+      await provider.call(txRequest);
+    } catch (error) {
+      result.willRevert = true;
+      result.revertReason = describeRevert(error);
+      return result;
+    }
 
-      if (!contract) {
-        throw new Error(`Contract with circuitId ${circuitId} not found`);
+    const gasUnits = await provider.estimateGas(txRequest);
+    const gasLimit = applyGasLimitMultiplier(chain, gasUnits);
+    const [fees, feeData, balance] = await Promise.all([
+      getFeeOverrides(chain, provider),
+      provider.getFeeData(),
+      provider.getBalance(from),
+    ]);
+
+    const expectedPrice = feeData.gasPrice ?? fees.maxFeePerGas;
+    const maxPrice = fees.maxFeePerGas ?? fees.gasPrice;
+    const expectedCost = gasUnits * expectedPrice;
+    const maxCost = gasLimit * maxPrice;
+
+    result.gas = {
+      estimated: gasUnits.toString(),
+      limit: gasLimit.toString(),
+    };
+    result.fees = {
+      type: fees.type,
+      gasPrice: feeData.gasPrice?.toString() ?? null,
+      maxFeePerGas: fees.maxFeePerGas?.toString() ?? null,
+      maxPriorityFeePerGas: fees.maxPriorityFeePerGas?.toString() ?? null,
+    };
+    result.cost = {
+      expectedWei: expectedCost.toString(),
+      expected: ethers.formatEther(expectedCost),
+      maxWei: maxCost.toString(),
+      max: ethers.formatEther(maxCost),
+      balance: ethers.formatEther(balance),
+      sufficientBalance: balance >= maxCost,
+    };
+
+    return result;
+  }
+
+  // Plan a CREATE2 deployment of a compiled verifier for a circuit
+  async planCircuitCreate2(circuitId, chain, compiled, constructorArgs = []) {
+    const circuit = mongoose.isValidObjectId(circuitId)
+      ? await Circuit.findById(circuitId)
+      : null;
+
+    if (!circuit) {
+      throw new Error(
+        `CREATE2 deployments need a circuit record; ${circuitId} not found`
+      );
+    }
+
+    return planCreate2({
+      bytecode: compiled.bytecode,
+      abi: compiled.abi,
+      constructorArgs,
+      circuitHash: circuit.circuit_hash,
+      factoryAddress: chain.create2Factory || DEFAULT_CREATE2_FACTORY,
+    });
+  }
+
+  // Predict the CREATE2 address of a circuit's verifier without deploying
+  async predictCreate2Address(circuitId, chain, options = {}) {
+    const record = await this.findSourceRecord(circuitId, chain);
+    const compiled = await this.compileRecord(
+      record,
+      resolveCompilerSettings(record.compiler, options.compiler)
+    );
+    const plan = await this.planCircuitCreate2(
+      circuitId,
+      chain,
+      compiled,
+      record.constructorArgs
+    );
+
+    const provider = getProvider(chain);
+    const [deployed, factoryDeployed] = await Promise.all([
+      hasCode(provider, plan.address),
+      hasCode(provider, plan.factory),
+    ]);
+
+    return {
+      circuitId,
+      chainId: chain.chainId,
+      network: chain.name,
+      address: plan.address,
+      salt: plan.salt,
+      factory: plan.factory,
+      initCodeHash: plan.initCodeHash,
+      contractName: compiled.contractName,
+      deployed,
+      factoryDeployed,
+    };
+  }
+
+  // The contract record to compile a circuit's verifier from: the one for
+  // this chain, any other chain's, or one derived from the Circuit itself
+  async findSourceRecord(circuitId, chain) {
+    const contract =
+      (await Contract.findOne({ circuitId, chainId: chain.chainId }).sort({
+        version: -1,
+      })) || (await Contract.findOne({ circuitId }).sort({ version: -1 }));
+    if (contract) {
+      return contract;
+    }
+
+    const circuit = mongoose.isValidObjectId(circuitId)
+      ? await Circuit.findById(circuitId)
+      : null;
+    if (!circuit) {
+      throw new Error(`Circuit ${circuitId} not found`);
+    }
+
+    return {
+      circuitId,
+      name: circuit.template,
+      sourceUrl: "",
+      artifacts: circuit.artifacts || {},
+      constructorArgs: [],
+    };
+  }
+
+  // The verifier sources of a record as Standard JSON sources. `mainSource`
+  // is the file holding the contract; `s3Base` is the S3 directory relative
+  // imports are looked up in.
+  async fetchContractSources(record) {
+    const artifacts = record.artifacts || {};
+    const keys = [...(artifacts.sources || [])];
+    if (artifacts.sourcesPrefix) {
+      keys.push(...(await this.listS3Sources(artifacts.sourcesPrefix)));
+    }
+
+    // Download contract from S3 using artifacts.verifier (and the other
+    // source files, if any)
+    if (artifacts.verifier || keys.length) {
+      const mainKey = artifacts.verifier || keys[0];
+      const s3Base = artifacts.sourcesPrefix
+        ? artifacts.sourcesPrefix.replace(/\/?$/, "/")
+        : `${path.posix.dirname(mainKey)}/`.replace(/^\.\//, "");
+      const unitName = (key) =>
+        key.startsWith(s3Base) ? key.slice(s3Base.length) : key;
+
+      const sources = {};
+      for (const key of new Set([mainKey, ...keys])) {
+        sources[unitName(key)] = {
+          content: await this.downloadContractFromS3(key),
+        };
       }
 
-      console.log(`Starting deployment for circuitId: ${circuitId}`);
+      return { sources, mainSource: unitName(mainKey), s3Base };
+    }
+
+    // Fallback to sourceUrl if artifacts not available
+    if (!record.sourceUrl) {
+      throw new Error(`No verifier source for circuitId ${record.circuitId}`);
+    }
+    const urlName = path.posix.basename(new URL(record.sourceUrl).pathname);
+    const mainSource = urlName.endsWith(".sol")
+      ? urlName
+      : `${record.name}.sol`;
+    return {
+      sources: {
+        [mainSource]: {
+          content: await this.downloadContract(record.sourceUrl),
+        },
+      },
+      mainSource,
+      s3Base: null,
+    };
+  }
+
+  // Fetch and compile the verifier of a record, resolving its imports next
+  // to it in S3, in the vendored library directory and under
+  // SOLIDITY_LIB_S3_PREFIX
+  async compileRecord(record, compilerSettings, fetched = null) {
+    const { sources, mainSource, s3Base } =
+      fetched || (await this.fetchContractSources(record));
+
+    const loaders = [];
+    if (s3Base !== null) {
+      loaders.push((location) => this.findS3Source(`${s3Base}${location}`));
+    }
+    if (process.env.SOLIDITY_LIB_S3_PREFIX) {
+      loaders.push((location) =>
+        this.findS3Source(`${process.env.SOLIDITY_LIB_S3_PREFIX}${location}`)
+      );
+    }
+
+    return this.compileSources(
+      sources,
+      mainSource,
+      record.name,
+      compilerSettings,
+      {
+        loaders,
+        remappings: [
+          ...parseRemappings(record.remappings || []),
+          ...DEFAULT_REMAPPINGS,
+        ],
+      }
+    );
+  }
+
+  // Refuse a verifier whose embedded key constants are not those of the
+  // circuit's verification_key.json (e.g. a verifier exported from another
+  // zkey). Skipped when there is no key, and for PLONK/FFLONK verifiers.
+  async checkVerifierKey(record, chain, { sources, mainSource }) {
+    if (!VERIFIER_KEY_CHECK) {
+      return;
+    }
+
+    // Re-read, as a redeploy may follow a key rotation under the same S3 key
+    const proofService = new ProofService();
+    const vkey =
+      (await proofService.verificationKeyOf(record, { fresh: true })) ||
+      (await proofService.loadVerificationKey(record.circuitId, chain));
+    if (!vkey) {
+      console.warn(
+        `No verification key for circuitId ${record.circuitId}, skipping the verifier key check`
+      );
+      return;
+    }
+    if (vkey.protocol !== "groth16") {
+      console.log(
+        `Verifier key check not supported for ${vkey.protocol} verifiers, skipping`
+      );
+      return;
+    }
+
+    const diff = diffGroth16Constants(vkey, sources[mainSource].content);
+    if (diff.length) {
+      const lines = diff.map(
+        ({ name, expected, actual }) =>
+          `  ${name}: vkey ${expected ?? "(none)"}, source ${
+            actual ?? "(none)"
+          }`
+      );
+      throw new Error(
+        `Verifier ${mainSource} does not match the verification key of circuitId ${
+          record.circuitId
+        } (${diff.length} constants differ):\n${lines.join("\n")}`
+      );
+    }
+
+    console.log(`Verifier ${mainSource} matches the verification key`);
+  }
+
+  // Store every signed version of the deploy tx on the contract record;
+  // `previous` holds versions from earlier attempts that can no longer land
+  recordTransactions(contractId, previous = [], onBroadcast = null) {
+    const since = new Date();
+    const announced = new Set();
+    return async (transactions) => {
+      const live = transactions.filter((tx) => tx.status !== "failed");
+      await Contract.findByIdAndUpdate(contractId, {
+        transactions: [...previous, ...transactions],
+        txHash: live.length ? live[live.length - 1].hash : null,
+      });
+
+      // Versions broadcast since this persist callback was made
+      if (onBroadcast) {
+        for (const tx of live) {
+          if (
+            tx.status === "pending" &&
+            tx.broadcastAt >= since &&
+            !announced.has(tx.hash)
+          ) {
+            announced.add(tx.hash);
+            await onBroadcast(tx, live.indexOf(tx) > 0);
+          }
+        }
+      }
+    };
+  }
+
+  // onBroadcast callback reporting a record's tx versions as job progress
+  // and to its webhooks
+  broadcastListener(contract, { jobId, onProgress } = {}) {
+    return async (tx, replacement) => {
+      const details = { txHash: tx.hash, nonce: tx.nonce, replacement };
+      if (onProgress) {
+        await onProgress("broadcast", details);
+      }
+      await this.webhookService.notify("deployment.broadcast", contract, {
+        jobId,
+        status: "pending",
+        ...details,
+      });
+    };
+  }
+
+  // onConfirmation callback reporting each confirmation as job progress
+  confirmationListener({ onProgress } = {}) {
+    if (!onProgress) {
+      return null;
+    }
+    return (confirmations, required, receipt) =>
+      onProgress("confirming", {
+        confirmations,
+        required,
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+      });
+  }
+
+  // Only one attempt may work on a contract record at a time. The lock is
+  // short-lived and refreshed while held, so a crashed worker's lock expires
+  // quickly and the Bull retry can take over.
+  async acquireDeploymentLock(contractId, owner) {
+    const deadline = Date.now() + DEPLOY_LOCK_TTL_MS * 2;
+
+    for (;;) {
+      const now = new Date();
+      const locked = await Contract.findOneAndUpdate(
+        {
+          _id: contractId,
+          $or: [
+            { "lock.expiresAt": null },
+            { "lock.expiresAt": { $lt: now } },
+            { "lock.owner": owner },
+          ],
+        },
+        {
+          lock: {
+            owner,
+            expiresAt: new Date(now.getTime() + DEPLOY_LOCK_TTL_MS),
+          },
+        },
+        { new: true }
+      );
+
+      if (locked) {
+        const heartbeat = setInterval(() => {
+          Contract.updateOne(
+            { _id: contractId, "lock.owner": owner },
+            {
+              "lock.expiresAt": new Date(Date.now() + DEPLOY_LOCK_TTL_MS),
+            }
+          ).catch((error) =>
+            console.error("Error refreshing deployment lock:", error.message)
+          );
+        }, DEPLOY_LOCK_TTL_MS / 3);
+
+        const release = async () => {
+          clearInterval(heartbeat);
+          await Contract.updateOne(
+            { _id: contractId, "lock.owner": owner },
+            { lock: { owner: null, expiresAt: null } }
+          );
+        };
+
+        return { contract: locked, release };
+      }
+
+      if (Date.now() > deadline) {
+        const error = new Error(
+          `Contract ${contractId} is being deployed by another worker`
+        );
+        error.code = DEPLOYMENT_LOCKED;
+        throw error;
+      }
+      await sleep(2000);
+    }
+  }
+
+  // Pick up a deploy tx signed by an earlier attempt (crash or Bull retry).
+  // Returns the deployment when one of its versions was mined or is still
+  // pending; returns null only when none of them can ever be mined.
+  async resumeDeployment(
+    contract,
+    chain,
+    { signer: signerName, owner, onBroadcast = null, onConfirmation = null }
+  ) {
+    const all = contract.transactions.map((tx) => tx.toObject());
+    const saved = all.filter(
+      (tx) => tx.signedTx && RESUMABLE_TX_STATUSES.includes(tx.status)
+    );
+    const earlier = all.filter((tx) => !saved.includes(tx));
+
+    if (saved.length === 0) {
+      return { deployment: null, previous: all };
+    }
+
+    const signer = await getSigner(chain, signerName);
+    const sender = new TransactionSender(chain, signer, {
+      owner,
+      onConfirmation,
+    });
+    const resumed = await sender.resume(saved, {
+      persist: this.recordTransactions(contract._id, earlier, onBroadcast),
+    });
+
+    if (!resumed) {
+      return {
+        deployment: null,
+        previous: [
+          ...earlier,
+          ...saved.map((tx) => ({ ...tx, status: "dropped" })),
+        ],
+      };
+    }
+
+    const { receipt } = resumed;
+    console.log(`Resumed deployment mined in tx ${receipt.hash}`);
+    return {
+      deployment: {
+        // CREATE2 receipts carry no contractAddress; use the predicted one
+        contractAddress: receipt.contractAddress || contract.create2?.address,
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        deployerAddress: receipt.from,
+        ...receiptCost(receipt),
+      },
+      previous: [],
+    };
+  }
+
+  // options.onProgress(stage, details) is called at each stage: downloading,
+  // compiling, estimating, broadcast and confirming (once per confirmation)
+  async deployContractByCircuitId(circuitId, options = {}) {
+    let releaseLock = null;
+    let existing = null;
+    const chain = getChain(options.chainId);
+    const progress = options.onProgress || (async () => {});
+
+    try {
+      // Fetch contract metadata from MongoDB: the job's version, or the
+      // latest one
+      existing = await Contract.findOne({
+        circuitId,
+        chainId: chain.chainId,
+        ...(options.version && { version: options.version }),
+      }).sort({ version: -1 });
+
+      if (!existing) {
+        throw new Error(
+          `Contract with circuitId ${circuitId} not found on ${chain.name}`
+        );
+      }
+
+      // A retry of a job that already finished must not deploy again
+      if (existing.status === "deployed") {
+        console.log(
+          `circuitId ${circuitId} already deployed on ${chain.name} at ${existing.contractAddress}`
+        );
+        return this.deploymentResult(existing, chain);
+      }
+
+      console.log(
+        `Starting deployment for circuitId: ${circuitId} on ${chain.name}`
+      );
+
+      const owner = `${circuitId}:${chain.chainId}:${
+        options.jobId || "direct"
+      }`;
+      const lock = await this.acquireDeploymentLock(existing._id, owner);
+      releaseLock = lock.release;
+      const contract = lock.contract;
 
       // Update status to pending
       await Contract.findByIdAndUpdate(contract._id, {
         status: "pending",
         error: null,
       });
+      await this.circuitService.trackDeployment(contract, "deploying", {
+        jobId: options.jobId ? String(options.jobId) : null,
+        error: null,
+      });
+
+      // Deploy contract with the job's signer, falling back to the chain's
+      const signerName = resolveSignerName(
+        chain,
+        options.signer || contract.signer
+      );
+
+      const onBroadcast = this.broadcastListener(contract, options);
+      const onConfirmation = this.confirmationListener(options);
+      let contractName = contract.name;
+      let { deployment, previous } = await this.resumeDeployment(
+        contract,
+        chain,
+        { signer: signerName, owner, onBroadcast, onConfirmation }
+      );
 
-      // Download contract from S3 using artifacts.verifier
-      if (contract.artifacts && contract.artifacts.verifier) {
-        tempFilePath = await this.downloadContractFromS3(
-          contract.artifacts.verifier,
-          circuitId
+      if (!deployment) {
+        await progress("downloading");
+        const fetched = await this.fetchContractSources(contract);
+        await this.checkVerifierKey(contract, chain, fetched);
+
+        // Compile contract (contract.name is the expected name, but allow auto-detection)
+        await progress("compiling");
+        const compiled = await this.compileRecord(
+          contract,
+          resolveCompilerSettings(contract.compiler),
+          fetched
         );
-      } else {
-        // Fallback to sourceUrl if artifacts not available
-        tempFilePath = await this.downloadContract(
-          contract.sourceUrl,
-          circuitId
+        contractName = compiled.contractName;
+
+        // CREATE2: record the predicted address before anything is sent
+        let create2 = null;
+        if (contract.deployMode === "create2") {
+          create2 = await this.planCircuitCreate2(
+            circuitId,
+            chain,
+            compiled,
+            contract.constructorArgs
+          );
+        }
+
+        await Contract.findByIdAndUpdate(contract._id, {
+          compilerSettings: compiled.compilerSettings,
+          artifactKey: compiled.artifactKey,
+          ...(create2 && {
+            create2: {
+              factory: create2.factory,
+              salt: create2.salt,
+              initCodeHash: create2.initCodeHash,
+              address: create2.address,
+            },
+          }),
+        });
+
+        await progress("estimating");
+        deployment = await this.deployContract(
+          compiled.bytecode,
+          compiled.abi,
+          contract.constructorArgs,
+          chain,
+          {
+            signer: signerName,
+            owner,
+            persist: this.recordTransactions(
+              contract._id,
+              previous,
+              onBroadcast
+            ),
+            create2,
+            onConfirmation,
+            checkBudget: this.budgetCheck(contract, chain, options),
+          }
         );
       }
 
-      // Compile contract (pass contract.name as expected name, but allow auto-detection)
-      const { bytecode, abi, contractName } = await this.compileContract(
-        tempFilePath,
-        contract.name
-      );
+      const { contractAddress, txHash, blockNumber, deployerAddress } =
+        deployment;
 
-      // Deploy contract
-      const { contractAddress, txHash } = await this.deployContract(
-        bytecode,
-        abi,
-        contract.constructorArgs
+      // Update MongoDB with success and the actual contract name
+      const deployed = await Contract.findByIdAndUpdate(
+        contract._id,
+        {
+          status: "deployed",
+          contractAddress,
+          txHash,
+          blockNumber,
+          signer: signerName,
+          deployerAddress,
+          deployedAt: new Date(),
+          error: null,
+          name: contractName, // Update with the actual contract name
+        },
+        { new: true }
       );
 
-      // Update MongoDB with success and the actual contract name
-      await Contract.findByIdAndUpdate(contract._id, {
-        status: "deployed",
-        contractAddress,
+      await this.circuitService.trackDeployment(deployed, "deployed", {
+        address: contractAddress,
         txHash,
-        deployedAt: new Date(),
+        blockNumber,
+        deployedAt: deployed.deployedAt,
         error: null,
-        name: contractName, // Update with the actual contract name
       });
+      await this.recordUsage(deployed, chain, deployment, options);
+      await this.webhookService.notify("deployment.confirmed", deployed, {
+        jobId: options.jobId,
+        gasUsed: deployment.gasUsed ?? null,
+        costWei: deployment.costWei ?? null,
+      });
+      // The deployment itself succeeded; a failure here is only logged
+      try {
+        await this.supersedeVersions(deployed);
+        if (deployed.activateOnDeploy) {
+          await this.activateVersion(deployed);
+        }
+      } catch (activationError) {
+        console.error(
+          `Error activating version ${deployed.version} of circuitId ${circuitId}:`,
+          activationError.message
+        );
+      }
 
       console.log(
         `Deployment completed successfully for circuitId: ${circuitId}`
       );
 
-      return {
-        circuitId,
-        status: "deployed",
-        contractAddress,
-        txHash,
-        contractName,
-      };
+      return this.deploymentResult(deployed, chain);
     } catch (error) {
       console.error(
         `Deployment failed for circuitId ${circuitId}:`,
         error.message
       );
 
+      // The record belongs to the worker holding the lock
+      if (error.code === DEPLOYMENT_LOCKED) {
+        throw error;
+      }
+
       // Update MongoDB with error
-      await Contract.findOneAndUpdate(
-        { circuitId },
-        {
-          status: "failed",
-          error: error.message,
-        }
-      );
+      const failed = existing
+        ? await Contract.findByIdAndUpdate(existing._id, {
+            status: "failed",
+            error: error.message,
+          })
+        : null;
+      if (failed) {
+        await this.circuitService
+          .trackDeployment(failed, "failed", { error: error.message })
+          .catch((trackError) =>
+            console.error(
+              "Error tracking the failed deployment:",
+              trackError.message
+            )
+          );
+      }
 
       throw error;
     } finally {
-      // Clean up temporary file
-      if (tempFilePath && (await fs.pathExists(tempFilePath))) {
-        await fs.remove(tempFilePath);
-        console.log("Temporary file cleaned up");
+      if (releaseLock) {
+        await releaseLock();
       }
     }
   }
 
+  // Check the job tenant's budget again just before a deployment tx is
+  // sent, reserving the tx's maximum cost on the record: jobs queued while
+  // the budget had room may no longer fit
+  budgetCheck(contract, chain, { tenant = null } = {}) {
+    return (reserveWei) =>
+      this.usageService.reserveWithinBudget(tenant, chain, reserveWei, {
+        exclude: contract._id,
+        reserve: () =>
+          Contract.findByIdAndUpdate(contract._id, {
+            reservedWei: reserveWei.toString(),
+          }),
+      });
+  }
+
+  // Record what a deployment cost against the job's tenant. The deployment
+  // itself succeeded; a failure here is only logged.
+  async recordUsage(contract, chain, deployment, { tenant, jobId } = {}) {
+    try {
+      await this.usageService.recordDeployment(contract, chain, deployment, {
+        tenant,
+        jobId,
+      });
+    } catch (error) {
+      console.error(
+        `Error recording the usage of tx ${deployment.txHash}:`,
+        error.message
+      );
+    }
+  }
+
+  deploymentResult(contract, chain) {
+    return {
+      circuitId: contract.circuitId,
+      chainId: chain.chainId,
+      network: chain.name,
+      version: contract.version,
+      status: contract.status,
+      contractAddress: contract.contractAddress,
+      txHash: contract.txHash,
+      contractName: contract.name,
+    };
+  }
+
+  // Mark the deployed versions older than a newly deployed one superseded.
+  // Their addresses stay valid, and one of them may still be (or be made)
+  // the active version.
+  async supersedeVersions(contract) {
+    const older = await Contract.find({
+      circuitId: contract.circuitId,
+      chainId: contract.chainId,
+      version: { $lt: contract.version },
+      status: "deployed",
+      supersededAt: null,
+    });
+
+    for (const record of older) {
+      await Contract.findByIdAndUpdate(record._id, {
+        supersededAt: new Date(),
+        supersededBy: contract.version,
+      });
+      await this.circuitService.trackDeployment(record, "superseded");
+    }
+  }
+
+  // Make a deployed version the one proof verification and new wrappers use
+  // on its chain
+  async activateVersion(contract) {
+    if (contract.status !== "deployed") {
+      throw new Error(
+        `Version ${contract.version} of circuitId ${contract.circuitId} is not deployed`
+      );
+    }
+
+    // The new active version is set first, so there is always one
+    const active = await Contract.findByIdAndUpdate(
+      contract._id,
+      { active: true },
+      { new: true }
+    );
+    await Contract.updateMany(
+      {
+        circuitId: contract.circuitId,
+        chainId: contract.chainId,
+        _id: { $ne: contract._id },
+      },
+      { active: false }
+    );
+    await this.circuitService.markActive(active);
+
+    console.log(
+      `Version ${active.version} of circuitId ${active.circuitId} is active on chain ${active.chainId}`
+    );
+    return active;
+  }
+
+  // The latest contract record of a Circuit's verifier on a chain, creating
+  // a pending one when there is none. A failed record takes the given
+  // deploy mode and compiler settings for its retry. Returns
+  // { contract, created }; throws for an unsupported proof protocol.
+  async prepareVerifierRecord(circuit, chain, options = {}) {
+    const circuitId = String(circuit._id);
+    let contract = await Contract.findOne({
+      circuitId,
+      chainId: chain.chainId,
+    }).sort({ version: -1 });
+
+    if (contract) {
+      const retryUpdate = {};
+      if (
+        contract.status === "failed" &&
+        options.deployMode &&
+        options.deployMode !== contract.deployMode
+      ) {
+        retryUpdate.deployMode = options.deployMode;
+      }
+      if (contract.status === "failed" && options.compiler) {
+        retryUpdate.compiler = options.compiler;
+      }
+      if (Object.keys(retryUpdate).length) {
+        contract = await Contract.findByIdAndUpdate(contract._id, retryUpdate, {
+          new: true,
+        });
+      }
+      return { contract, created: false };
+    }
+
+    // The verifier's proof system follows the verification key's protocol
+    let proofSystem = circuit.proofSystem;
+    if (!proofSystem) {
+      const vkey = await new ProofService().loadVerificationKey(
+        circuitId,
+        chain
+      );
+      proofSystem = vkey ? detectProofSystem(vkey) : "groth16";
+      await Circuit.updateOne({ _id: circuit._id }, { proofSystem });
+    }
+
+    contract = await Contract.create({
+      circuitId,
+      chainId: chain.chainId,
+      network: chain.name,
+      tenant: circuit.tenant,
+      name: circuit.template, // or use another field if appropriate
+      sourceUrl: "", // You may want to fill this with a real URL if available
+      artifacts: {
+        wasm: circuit.artifacts?.wasm || "",
+        zkey: circuit.artifacts?.zkey || "",
+        vkey: circuit.artifacts?.vkey || "",
+        verifier: circuit.artifacts?.verifier || "",
+      },
+      constructorArgs: [],
+      proofSystem,
+      compiler: options.compiler || null,
+      deployMode: options.deployMode || "create",
+      status: "pending",
+    });
+    return { contract, created: true };
+  }
+
+  // Fail a record whose job could not be queued (e.g. over the tenant's
+  // budget), so it can be queued again later
+  async failQueuedRecord(contract, message) {
+    const failed = await Contract.findByIdAndUpdate(
+      contract._id,
+      { status: "failed", error: message },
+      { new: true }
+    );
+    await this.circuitService.trackDeployment(failed, "failed", {
+      error: message,
+    });
+    await this.webhookService.notify("deployment.failed", failed, {
+      error: message,
+    });
+    return failed;
+  }
+
+  // New pending version of a circuit's verifier on a chain, from the latest
+  // one. Circuit-backed versions take the circuit's current artifacts (e.g.
+  // after a trusted setup rotation); others reuse the previous version's
+  // unless `artifacts` are given.
+  async createVersion(previous, chain, options = {}) {
+    const circuit = mongoose.isValidObjectId(previous.circuitId)
+      ? await Circuit.findById(previous.circuitId)
+      : null;
+
+    const artifacts = options.artifacts ||
+      (circuit?.artifacts && {
+        wasm: circuit.artifacts.wasm || "",
+        zkey: circuit.artifacts.zkey || "",
+        vkey: circuit.artifacts.vkey || "",
+        verifier: circuit.artifacts.verifier || "",
+      }) || {
+        wasm: previous.artifacts.wasm,
+        zkey: previous.artifacts.zkey,
+        vkey: previous.artifacts.vkey,
+        verifier: previous.artifacts.verifier,
+        sources: previous.artifacts.sources,
+        sourcesPrefix: previous.artifacts.sourcesPrefix,
+      };
+
+    // The rotated key may be of another proof system
+    let proofSystem = previous.proofSystem;
+    const vkey = await new ProofService().verificationKeyOf(
+      { artifacts },
+      { fresh: true }
+    );
+    if (vkey) {
+      proofSystem = detectProofSystem(vkey);
+    }
+
+    return Contract.create({
+      circuitId: previous.circuitId,
+      tenant: previous.tenant,
+      chainId: chain.chainId,
+      network: chain.name,
+      name: previous.name,
+      sourceUrl: previous.sourceUrl,
+      artifacts,
+      remappings: previous.remappings,
+      constructorArgs: previous.constructorArgs,
+      proofSystem,
+      compiler: options.compiler || previous.compiler,
+      deployMode: options.deployMode || previous.deployMode,
+      version: previous.version + 1,
+      active: false,
+      activateOnDeploy: options.activate !== false,
+      status: "pending",
+    });
+  }
+
   async cleanup() {
     try {
       await fs.emptyDir(this.tempDir);
@@ -303,30 +1356,100 @@ class DeployService {
     }
   }
 
-  async getListOfContracts() {
+  async getListOfContracts(filter = {}) {
     try {
-      const contracts = await Contract.find({});
+      const contracts = await Contract.find(filter);
       return contracts;
     } catch (error) {
       console.error("Error getting list of contracts:", error.message);
     }
   }
 
-  async deployVerifyAtBlockChainContract(circuitId, groth16VerifierAddress) {
+  // Pending record of a wrapper contract from a template in front of a
+  // verifier; its circuitId is generated
+  async createWrapperRecord(template, chain, options = {}) {
+    const { verifierAddress, nPublic, proofSystem, params } = options;
+
+    return Contract.create({
+      circuitId: `wrapper-${
+        template.name
+      }-${verifierAddress.toLowerCase()}-${Date.now()}`,
+      tenant: options.tenant || null,
+      chainId: chain.chainId,
+      network: chain.name,
+      name: template.contractName,
+      sourceUrl: "",
+      artifacts: {
+        verifier: "embedded", // Generated from the template
+      },
+      constructorArgs: [
+        verifierAddress,
+        ...template.params.map(({ name }) => params[name]),
+      ],
+      nPublic,
+      proofSystem,
+      wrapper: {
+        template: template.name,
+        version: template.version,
+        params,
+        verifierAddress,
+      },
+      compiler: options.compiler || null,
+      status: "pending",
+    });
+  }
+
+  // Deploy a wrapper contract generated from its record's template in front
+  // of a verifier. Records without a template (queued before there
+  // were templates) get the VerifyAtBlockChain wrapper.
+  // Reports progress like deployContractByCircuitId, without downloading
+  async deployWrapperContract(circuitId, verifierAddress, options = {}) {
     let tempFilePath = null;
+    let releaseLock = null;
+    let existing = null;
+    const chain = getChain(options.chainId);
+    const progress = options.onProgress || (async () => {});
 
     try {
       // Fetch contract metadata from MongoDB
-      const contract = await Contract.findOne({ circuitId });
+      existing = await Contract.findOne({
+        circuitId,
+        chainId: chain.chainId,
+      });
 
-      if (!contract) {
+      if (!existing) {
         throw new Error(`Contract with circuitId ${circuitId} not found`);
       }
 
+      // A retry of a job that already finished must not deploy again
+      if (existing.status === "deployed") {
+        return {
+          ...this.deploymentResult(existing, chain),
+          verifierAddress,
+        };
+      }
+
+      const template = getTemplate(
+        existing.wrapper?.template || DEFAULT_WRAPPER_TEMPLATE,
+        existing.wrapper?.version
+      );
+      if (!template) {
+        throw new Error(
+          `Unknown wrapper template: ${existing.wrapper.template}@${existing.wrapper.version}`
+        );
+      }
+
       console.log(
-        `Starting VerifyAtBlockChain deployment for circuitId: ${circuitId}`
+        `Starting ${template.contractName} (${template.name}@${template.version}) deployment for circuitId: ${circuitId}`
       );
-      console.log(`Groth16Verifier address: ${groth16VerifierAddress}`);
+      console.log(`Verifier address: ${verifierAddress}`);
+
+      const owner = `${circuitId}:${chain.chainId}:${
+        options.jobId || "direct"
+      }`;
+      const lock = await this.acquireDeploymentLock(existing._id, owner);
+      releaseLock = lock.release;
+      const contract = lock.contract;
 
       // Update status to pending
       await Contract.findByIdAndUpdate(contract._id, {
@@ -334,110 +1457,133 @@ class DeployService {
         error: null,
       });
 
-      // Create the VerifyAtBlockChain contract source code
-      const contractSource = `// SPDX-License-Identifier: MIT
-pragma solidity ^0.8.13;
-
-/// @notice Interface for Groth16 Verifier
-interface IGroth16Verifier {
-    function verifyProof(
-        uint[2] calldata _pA,        // G1 proof element A
-        uint[2][2] calldata _pB,     // G2 proof element B
-        uint[2] calldata _pC,        // G1 proof element C
-        uint[1] calldata _pubSignals // Public inputs (fixed length = 1 here)
-    ) external view returns (bool);
-}
-
-contract VerifyAtBlockChain {
-    address public s_groth16VerifierAddress;
-
-    event ProofResult(bool result);
+      const signerName = resolveSignerName(
+        chain,
+        options.signer || contract.signer
+      );
 
-    constructor(address groth16VerifierAddress) {
-        s_groth16VerifierAddress = groth16VerifierAddress;
-    }
+      const onBroadcast = this.broadcastListener(contract, options);
+      const onConfirmation = this.confirmationListener(options);
+      let contractName = contract.name;
+      let { deployment, previous } = await this.resumeDeployment(
+        contract,
+        chain,
+        { signer: signerName, owner, onBroadcast, onConfirmation }
+      );
 
-    /// @notice Submit a Groth16 proof to the verifier contract
-    /// @dev Passes proof data (A, B, C) and public inputs to verifier
-    function submitProof(
-        uint[2] calldata _pA,
-        uint[2][2] calldata _pB,
-        uint[2] calldata _pC,
-        uint[1] calldata _pubSignals
-    ) public returns (bool) {
-        bool result = IGroth16Verifier(s_groth16VerifierAddress).verifyProof(
-            _pA,
-            _pB,
-            _pC,
-            _pubSignals
+      if (!deployment) {
+        // Create the wrapper contract source code
+        const wrapper = buildWrapper(template, {
+          nPublic: contract.nPublic,
+          proofSystem: contract.proofSystem || "groth16",
+          verifierAddress,
+          params: contract.wrapper?.params || {},
+        });
+
+        // Write contract to temporary file
+        const fileName = `${circuitId}.sol`;
+        tempFilePath = path.join(this.tempDir, fileName);
+        await fs.writeFile(tempFilePath, wrapper.source);
+        console.log(
+          `${wrapper.contractName} contract written to: ${tempFilePath}`
         );
-        emit ProofResult(result);
-        return result;
-    }
-}`;
 
-      // Write contract to temporary file
-      const fileName = `${circuitId}.sol`;
-      tempFilePath = path.join(this.tempDir, fileName);
-      await fs.writeFile(tempFilePath, contractSource);
-      console.log(`VerifyAtBlockChain contract written to: ${tempFilePath}`);
+        // Compile contract
+        await progress("compiling");
+        const compiled = await this.compileContract(
+          tempFilePath,
+          wrapper.contractName,
+          resolveCompilerSettings(contract.compiler)
+        );
+        contractName = compiled.contractName;
+        await Contract.findByIdAndUpdate(contract._id, {
+          compilerSettings: compiled.compilerSettings,
+          artifactKey: compiled.artifactKey,
+        });
+
+        // Deploy contract with the verifier address and the template
+        // params as constructor arguments
+        await progress("estimating");
+        deployment = await this.deployContract(
+          compiled.bytecode,
+          compiled.abi,
+          wrapper.constructorArgs,
+          chain,
+          {
+            signer: signerName,
+            owner,
+            persist: this.recordTransactions(
+              contract._id,
+              previous,
+              onBroadcast
+            ),
+            onConfirmation,
+            checkBudget: this.budgetCheck(contract, chain, options),
+          }
+        );
+      }
 
-      // Compile contract
-      const { bytecode, abi, contractName } = await this.compileContract(
-        tempFilePath,
-        "VerifyAtBlockChain"
-      );
+      const { contractAddress, txHash, blockNumber, deployerAddress } =
+        deployment;
 
-      // Deploy contract with the groth16VerifierAddress as constructor argument
-      const { contractAddress, txHash } = await this.deployContract(
-        bytecode,
-        abi,
-        [groth16VerifierAddress]
+      // Update MongoDB with success
+      const deployed = await Contract.findByIdAndUpdate(
+        contract._id,
+        {
+          status: "deployed",
+          contractAddress,
+          txHash,
+          blockNumber,
+          signer: signerName,
+          deployerAddress,
+          deployedAt: new Date(),
+          error: null,
+          name: contractName,
+        },
+        { new: true }
       );
 
-      // Update MongoDB with success
-      await Contract.findByIdAndUpdate(contract._id, {
-        status: "deployed",
-        contractAddress,
-        txHash,
-        deployedAt: new Date(),
-        error: null,
-        name: contractName,
+      await this.recordUsage(deployed, chain, deployment, options);
+      await this.webhookService.notify("deployment.confirmed", deployed, {
+        jobId: options.jobId,
+        gasUsed: deployment.gasUsed ?? null,
+        costWei: deployment.costWei ?? null,
       });
 
       console.log(
-        `VerifyAtBlockChain deployment completed successfully for circuitId: ${circuitId}`
+        `${contractName} deployment completed successfully for circuitId: ${circuitId}`
       );
 
       return {
-        circuitId,
-        status: "deployed",
-        contractAddress,
-        txHash,
-        contractName,
-        groth16VerifierAddress,
+        ...this.deploymentResult(deployed, chain),
+        verifierAddress,
+        template: { name: template.name, version: template.version },
       };
     } catch (error) {
       console.error(
-        `VerifyAtBlockChain deployment failed for circuitId ${circuitId}:`,
+        `Wrapper deployment failed for circuitId ${circuitId}:`,
         error.message
       );
 
-      // Update MongoDB with error
-      await Contract.findOneAndUpdate(
-        { circuitId },
-        {
+      // Update MongoDB with error, unless the record belongs to the worker
+      // holding the lock
+      if (existing && error.code !== DEPLOYMENT_LOCKED) {
+        await Contract.findByIdAndUpdate(existing._id, {
           status: "failed",
           error: error.message,
-        }
-      );
+        });
+      }
 
       throw error;
     } finally {
+      if (releaseLock) {
+        await releaseLock();
+      }
+
       // Clean up temporary file
       if (tempFilePath && (await fs.pathExists(tempFilePath))) {
         await fs.remove(tempFilePath);
-        console.log("Temporary VerifyAtBlockChain file cleaned up");
+        console.log("Temporary wrapper file cleaned up");
       }
     }
   }
@@ -0,0 +1,270 @@
+import crypto from "crypto";
+import { getRedisClient } from "../config/redis.js";
+
+// Reserved nonces older than this without a broadcast tx are treated as lost
+// (the worker holding them crashed before sending)
+const RESERVATION_TTL_MS =
+  Number(process.env.NONCE_RESERVATION_TTL_MS) || 300000;
+
+// Broadcast txs missing from the node for this long are treated as dropped
+const DROPPED_TX_GRACE_MS =
+  Number(process.env.NONCE_DROPPED_GRACE_MS) || 600000;
+
+// One reconcile per account at a time
+const RECONCILE_LOCK_TTL_MS = 30000;
+
+// Pop the lowest released nonce, otherwise take the next counter value.
+// Returns -1 when the counter has not been initialised from the chain yet.
+const RESERVE_SCRIPT = `
+local nonce
+local released = redis.call("ZRANGE", KEYS[2], 0, 0)
+if #released > 0 then
+  redis.call("ZREM", KEYS[2], released[1])
+  nonce = tonumber(released[1])
+else
+  if redis.call("EXISTS", KEYS[1]) == 0 then
+    return -1
+  end
+  nonce = redis.call("INCR", KEYS[1]) - 1
+end
+redis.call("HSET", KEYS[3], nonce, ARGV[1])
+return nonce
+`;
+
+// Give a nonce back so the next reservation reuses it
+const RELEASE_SCRIPT = `
+redis.call("HDEL", KEYS[3], ARGV[1])
+redis.call("ZADD", KEYS[2], ARGV[1], ARGV[1])
+return 1
+`;
+
+// Release a gap nonce unless a worker claimed it since it was inspected.
+// ARGV[2] is the in-flight entry seen during inspection ("" when none).
+const RELEASE_GAP_SCRIPT = `
+local current = redis.call("HGET", KEYS[3], ARGV[1])
+if current and current ~= ARGV[2] then
+  return 0
+end
+if redis.call("ZSCORE", KEYS[2], ARGV[1]) then
+  return 0
+end
+redis.call("HDEL", KEYS[3], ARGV[1])
+redis.call("ZADD", KEYS[2], ARGV[1], ARGV[1])
+return 1
+`;
+
+// Delete a lock only while it still holds our token: once it expired,
+// another process may have taken it
+const RELEASE_LOCK_SCRIPT = `
+if redis.call("GET", KEYS[1]) == ARGV[1] then
+  return redis.call("DEL", KEYS[1])
+end
+return 0
+`;
+
+// Nonce allocation shared by every worker using the same deployer account.
+// Per chain and address Redis keeps the next unused nonce, a sorted set of
+// released nonces waiting for reuse, and a hash of in-flight reservations.
+class NonceManager {
+  constructor(redis = getRedisClient()) {
+    this.redis = redis;
+    this.redis.defineCommand("reserveNonce", {
+      numberOfKeys: 3,
+      lua: RESERVE_SCRIPT,
+    });
+    this.redis.defineCommand("releaseNonce", {
+      numberOfKeys: 3,
+      lua: RELEASE_SCRIPT,
+    });
+    this.redis.defineCommand("releaseGapNonce", {
+      numberOfKeys: 3,
+      lua: RELEASE_GAP_SCRIPT,
+    });
+    this.redis.defineCommand("releaseNonceLock", {
+      numberOfKeys: 1,
+      lua: RELEASE_LOCK_SCRIPT,
+    });
+  }
+
+  keys(chainId, address) {
+    const prefix = `nonce:${chainId}:${address.toLowerCase()}`;
+    return {
+      next: `${prefix}:next`,
+      released: `${prefix}:released`,
+      inflight: `${prefix}:inflight`,
+      lock: `${prefix}:lock`,
+    };
+  }
+
+  async reserve(chainId, provider, address, owner = null) {
+    const keys = this.keys(chainId, address);
+    const entry = JSON.stringify({
+      owner,
+      txHash: null,
+      reservedAt: Date.now(),
+    });
+
+    let nonce = await this.redis.reserveNonce(
+      keys.next,
+      keys.released,
+      keys.inflight,
+      entry
+    );
+
+    if (nonce === -1) {
+      // First use of this account: start from the node's pending count
+      const pending = await provider.getTransactionCount(address, "pending");
+      await this.redis.set(keys.next, pending, "NX");
+      nonce = await this.redis.reserveNonce(
+        keys.next,
+        keys.released,
+        keys.inflight,
+        entry
+      );
+    }
+
+    console.log(
+      `Reserved nonce ${nonce} for ${address} on chain ${chainId} (${
+        owner || "anonymous"
+      })`
+    );
+    return Number(nonce);
+  }
+
+  async markBroadcast(chainId, address, nonce, txHash, owner = null) {
+    const keys = this.keys(chainId, address);
+    await this.redis.hset(
+      keys.inflight,
+      nonce,
+      JSON.stringify({ owner, txHash, reservedAt: Date.now() })
+    );
+  }
+
+  // The nonce was consumed on-chain (mined, even if reverted)
+  async confirm(chainId, address, nonce) {
+    const keys = this.keys(chainId, address);
+    await this.redis.hdel(keys.inflight, nonce);
+  }
+
+  // The nonce was never used (send failed or tx dropped), hand it out again
+  async release(chainId, address, nonce) {
+    const keys = this.keys(chainId, address);
+    await this.redis.releaseNonce(
+      keys.next,
+      keys.released,
+      keys.inflight,
+      nonce
+    );
+    console.log(`Released nonce ${nonce} for ${address} on chain ${chainId}`);
+  }
+
+  // Compare Redis state with the chain: forget consumed nonces, catch up
+  // with txs sent outside this service, and release nonces that were
+  // reserved but never mined (gaps) so later txs are not stuck behind them.
+  async reconcile(chainId, provider, address) {
+    const keys = this.keys(chainId, address);
+    const token = crypto.randomUUID();
+    const locked = await this.redis.set(
+      keys.lock,
+      token,
+      "PX",
+      RECONCILE_LOCK_TTL_MS,
+      "NX"
+    );
+    if (!locked) {
+      return null;
+    }
+
+    try {
+      const [latest, pending] = await Promise.all([
+        provider.getTransactionCount(address, "latest"),
+        provider.getTransactionCount(address, "pending"),
+      ]);
+
+      // Everything below the mined count is spent
+      await this.redis.zremrangebyscore(keys.released, "-inf", `(${latest}`);
+
+      const inflight = await this.redis.hgetall(keys.inflight);
+      const now = Date.now();
+      const inflightNonces = new Set();
+      const dropped = new Map();
+
+      for (const [nonceKey, raw] of Object.entries(inflight)) {
+        const nonce = Number(nonceKey);
+        const entry = JSON.parse(raw);
+
+        if (nonce < latest) {
+          await this.redis.hdel(keys.inflight, nonceKey);
+          continue;
+        }
+
+        if (!entry.txHash) {
+          if (now - entry.reservedAt > RESERVATION_TTL_MS) {
+            dropped.set(nonce, raw);
+            continue;
+          }
+        } else if (now - entry.reservedAt > DROPPED_TX_GRACE_MS) {
+          const tx = await provider.getTransaction(entry.txHash);
+          if (!tx) {
+            dropped.set(nonce, raw);
+            continue;
+          }
+        }
+
+        inflightNonces.add(nonce);
+      }
+
+      let next = Number(await this.redis.get(keys.next));
+      if (Number.isNaN(next) || next < pending) {
+        // Another sender used this account; skip past its nonces
+        await this.redis.set(keys.next, pending);
+        next = pending;
+      }
+
+      const gaps = [];
+      for (let nonce = latest; nonce < next; nonce++) {
+        if (inflightNonces.has(nonce)) {
+          continue;
+        }
+        if (nonce < pending && !dropped.has(nonce)) {
+          continue;
+        }
+
+        const releasedGap = await this.redis.releaseGapNonce(
+          keys.next,
+          keys.released,
+          keys.inflight,
+          nonce,
+          dropped.get(nonce) || ""
+        );
+        if (releasedGap === 1) {
+          gaps.push(nonce);
+        }
+      }
+
+      if (gaps.length > 0) {
+        console.warn(
+          `Nonce gaps detected for ${address} on chain ${chainId}: ${gaps.join(
+            ", "
+          )}`
+        );
+      }
+
+      return { latest, pending, next, gaps, inflight: [...inflightNonces] };
+    } finally {
+      await this.redis.releaseNonceLock(keys.lock, token);
+    }
+  }
+}
+
+let nonceManager = null;
+
+// Process-wide instance backed by the shared Redis connection
+export const getNonceManager = () => {
+  if (!nonceManager) {
+    nonceManager = new NonceManager();
+  }
+  return nonceManager;
+};
+
+export default NonceManager;
@@ -0,0 +1,451 @@
+import { ethers } from "ethers";
+import mongoose from "mongoose";
+import Contract from "../models/contract.model.js";
+import { Circuit } from "../models/circuit.model.js";
+import { readS3Object } from "../config/s3.js";
+import { getProvider } from "./chain.service.js";
+import { getArtifact } from "./artifact.service.js";
+import {
+  verifyGroth16,
+  groth16KeyConstants,
+  bytecodeContainsConstant,
+} from "./snark.verifier.js";
+
+// Proof systems that can be verified off-chain
+export const OFFCHAIN_PROTOCOLS = ["groth16"];
+
+// Parsed verification keys by S3 key; re-read when a verifier is deployed,
+// as a key rotation may rewrite the same object
+const verificationKeys = new Map();
+
+// Proof systems of snarkjs' Solidity verifiers
+export const PROOF_SYSTEMS = ["groth16", "plonk", "fflonk"];
+
+// Proof system of a snarkjs verification key
+export const detectProofSystem = (vkey) => {
+  if (!PROOF_SYSTEMS.includes(vkey.protocol)) {
+    throw new Error(`Unsupported proof protocol: ${vkey.protocol}`);
+  }
+  return vkey.protocol;
+};
+
+// Parameters of verifyProof in snarkjs' verifier templates (and of the
+// wrapper entrypoints), for `nPublic` inputs
+export const proofParams = (proofSystem, nPublic) => {
+  switch (proofSystem) {
+    case "groth16":
+      return `uint256[2] _pA, uint256[2][2] _pB, uint256[2] _pC, uint256[${nPublic}] _pubSignals`;
+    case "plonk":
+      return `uint256[24] _proof, uint256[${nPublic}] _pubSignals`;
+    case "fflonk":
+      return `bytes32[24] _proof, uint256[${nPublic}] _pubSignals`;
+    default:
+      throw new Error(`Unsupported proof system: ${proofSystem}`);
+  }
+};
+
+export const proofVerifierAbi = (proofSystem, nPublic) => [
+  `function verifyProof(${proofParams(
+    proofSystem,
+    nPublic
+  )}) view returns (bool)`,
+];
+
+const toUint = (value, label) => {
+  try {
+    const parsed = BigInt(value);
+    if (parsed < 0n || parsed >= 2n ** 256n) throw new Error();
+    return parsed;
+  } catch (error) {
+    throw new Error(`${label} is not an unsigned integer: ${value}`);
+  }
+};
+
+const isPair = (value) => Array.isArray(value) && value.length >= 2;
+
+// Shape check of a snarkjs proof.json / public.json pair for a proof system;
+// returns an error message, or null when they look usable
+export const validateProof = (proofSystem, proof, publicSignals) => {
+  if (!proof || typeof proof !== "object") {
+    return "proof is required";
+  }
+  if (proof.protocol && proof.protocol !== proofSystem) {
+    return `Expected a ${proofSystem} proof, got ${proof.protocol}`;
+  }
+  if (
+    proofSystem === "groth16" &&
+    (!isPair(proof.pi_a) ||
+      !isPair(proof.pi_c) ||
+      !Array.isArray(proof.pi_b) ||
+      proof.pi_b.length < 2 ||
+      !isPair(proof.pi_b[0]) ||
+      !isPair(proof.pi_b[1]))
+  ) {
+    return "proof must have pi_a, pi_b and pi_c";
+  }
+  if (!Array.isArray(publicSignals)) {
+    return "publicSignals must be an array";
+  }
+  try {
+    toProofCalldata(proofSystem, proof, publicSignals);
+  } catch (error) {
+    return error.message;
+  }
+  return null;
+};
+
+const toPubSignals = (publicSignals) =>
+  publicSignals.map((signal, index) =>
+    toUint(signal, `publicSignals[${index}]`)
+  );
+
+// snarkjs proof -> verifyProof arguments. G2 coordinates are Fp2 elements
+// stored [c0, c1] by snarkjs but expected [c1, c0] by the EVM pairing
+// precompile, hence the swap in _pB.
+export const toGroth16Calldata = (proof, publicSignals) => ({
+  _pA: [toUint(proof.pi_a[0], "pi_a[0]"), toUint(proof.pi_a[1], "pi_a[1]")],
+  _pB: [
+    [
+      toUint(proof.pi_b[0][1], "pi_b[0][1]"),
+      toUint(proof.pi_b[0][0], "pi_b[0][0]"),
+    ],
+    [
+      toUint(proof.pi_b[1][1], "pi_b[1][1]"),
+      toUint(proof.pi_b[1][0], "pi_b[1][0]"),
+    ],
+  ],
+  _pC: [toUint(proof.pi_c[0], "pi_c[0]"), toUint(proof.pi_c[1], "pi_c[1]")],
+  _pubSignals: toPubSignals(publicSignals),
+});
+
+// Affine G1 points then evaluations, in the order of snarkjs'
+// exportSolidityCallData
+const PLONK_POINTS = ["A", "B", "C", "Z", "T1", "T2", "T3", "Wxi", "Wxiw"];
+const PLONK_EVALUATIONS = [
+  "eval_a",
+  "eval_b",
+  "eval_c",
+  "eval_s1",
+  "eval_s2",
+  "eval_zw",
+];
+const FFLONK_POINTS = ["C1", "C2", "W1", "W2"];
+const FFLONK_EVALUATIONS = [
+  "ql",
+  "qr",
+  "qm",
+  "qo",
+  "qc",
+  "s1",
+  "s2",
+  "s3",
+  "a",
+  "b",
+  "c",
+  "z",
+  "zw",
+  "t1w",
+  "t2w",
+  "inv",
+];
+
+const pointCoordinates = (points, names, prefix = "") =>
+  names.flatMap((name) => [
+    toUint(points?.[name]?.[0], `${prefix}${name}[0]`),
+    toUint(points?.[name]?.[1], `${prefix}${name}[1]`),
+  ]);
+
+export const toPlonkCalldata = (proof, publicSignals) => ({
+  _proof: [
+    ...pointCoordinates(proof, PLONK_POINTS),
+    ...PLONK_EVALUATIONS.map((name) => toUint(proof[name], name)),
+  ],
+  _pubSignals: toPubSignals(publicSignals),
+});
+
+// FFLONK verifiers take the proof as bytes32 words
+export const toFflonkCalldata = (proof, publicSignals) => ({
+  _proof: [
+    ...pointCoordinates(proof.polynomials, FFLONK_POINTS, "polynomials."),
+    ...FFLONK_EVALUATIONS.map((name) =>
+      toUint(proof.evaluations?.[name], `evaluations.${name}`)
+    ),
+  ].map((word) => ethers.toBeHex(word, 32)),
+  _pubSignals: toPubSignals(publicSignals),
+});
+
+// verifyProof arguments by name, in call order, for a proof system
+export const toProofCalldata = (proofSystem, proof, publicSignals) => {
+  switch (proofSystem) {
+    case "groth16":
+      return toGroth16Calldata(proof, publicSignals);
+    case "plonk":
+      return toPlonkCalldata(proof, publicSignals);
+    case "fflonk":
+      return toFflonkCalldata(proof, publicSignals);
+    default:
+      throw new Error(`Unsupported proof system: ${proofSystem}`);
+  }
+};
+
+// BigInts -> decimal strings, for JSON responses
+const stringify = (value) =>
+  Array.isArray(value) ? value.map(stringify) : value.toString();
+
+class ProofService {
+  // The active deployed verifier of a circuit on a chain, or null. Records
+  // from before versioning have no `active` flag and are the only version.
+  // `scope` limits it to a tenant's records.
+  async findVerifier(circuitId, chain, scope = {}) {
+    return Contract.findOne({
+      ...scope,
+      circuitId,
+      chainId: chain.chainId,
+      status: "deployed",
+      active: { $ne: false },
+    }).sort({ version: -1 });
+  }
+
+  // The verifier's ABI from its compilation artifact, or the snarkjs one
+  // of its proof system sized for the given number of public inputs
+  async verifierAbi(contract, nPublic) {
+    const artifact = contract.artifactKey
+      ? await getArtifact(contract.artifactKey)
+      : null;
+    const compiled = artifact?.contracts.find(
+      (c) => c.contractName === contract.name
+    );
+    return compiled
+      ? compiled.abi
+      : proofVerifierAbi(contract.proofSystem || "groth16", nPublic);
+  }
+
+  // Number of public signals the deployed verifier takes, when its ABI is
+  // known
+  async expectedPublicSignals(contract) {
+    const abi = await this.verifierAbi(contract, 0);
+    const fragment = new ethers.Interface(abi).getFunction("verifyProof");
+    const length = fragment?.inputs[fragment.inputs.length - 1]?.arrayLength;
+    return length > 0 ? length : null;
+  }
+
+  // Read-only verifyProof call against the deployed verifier, with the gas
+  // an on-chain call would use
+  async verifyOnChain(contract, chain, proof, publicSignals) {
+    const calldata = toProofCalldata(
+      contract.proofSystem || "groth16",
+      proof,
+      publicSignals
+    );
+    const abi = await this.verifierAbi(contract, publicSignals.length);
+
+    const verifier = new ethers.Contract(
+      contract.contractAddress,
+      abi,
+      getProvider(chain)
+    );
+    const args = Object.values(calldata);
+    const result = {
+      circuitId: contract.circuitId,
+      chainId: chain.chainId,
+      network: chain.name,
+      verifierAddress: contract.contractAddress,
+      proofSystem: contract.proofSystem || "groth16",
+      valid: false,
+      gasEstimate: null,
+      revertReason: null,
+      calldata: Object.fromEntries(
+        Object.entries(calldata).map(([name, value]) => [
+          name,
+          stringify(value),
+        ])
+      ),
+    };
+
+    try {
+      const [valid, gasEstimate] = await Promise.all([
+        verifier.verifyProof.staticCall(...args),
+        verifier.verifyProof.estimateGas(...args),
+      ]);
+      result.valid = valid;
+      result.gasEstimate = gasEstimate.toString();
+    } catch (error) {
+      if (error.code !== "CALL_EXCEPTION") {
+        throw error;
+      }
+      result.revertReason = error.reason || error.shortMessage;
+    }
+
+    return result;
+  }
+
+  // Number of public signals a Groth16 verifier takes, as stated by the
+  // circuit's verification key and by the verifier's ABI (when we deployed
+  // it, and verifierAddress is given). Either is null when unknown.
+  async publicSignalCounts(chain, { circuitId, verifierAddress }) {
+    const vkey = circuitId
+      ? await this.loadVerificationKey(circuitId, chain)
+      : null;
+
+    const verifier = verifierAddress
+      ? await Contract.findOne({
+          chainId: chain.chainId,
+          contractAddress: ethers.getAddress(verifierAddress),
+          status: "deployed",
+        })
+      : null;
+
+    return {
+      vkey: vkey ? vkey.nPublic ?? vkey.IC.length - 1 : null,
+      abi: verifier ? await this.expectedPublicSignals(verifier) : null,
+    };
+  }
+
+  // Number of public signals of the verifier a wrapper is generated for.
+  // The circuit's vkey, the verifier's ABI and `requested` must agree.
+  // Returns { nPublic, error }; error when they don't or when none is known.
+  async resolvePublicSignals(chain, { circuitId, verifierAddress, requested }) {
+    const counts = await this.publicSignalCounts(chain, {
+      circuitId,
+      verifierAddress,
+    });
+    const known = [
+      ["vkey", counts.vkey],
+      ["verifier ABI", counts.abi],
+      ["request", requested],
+    ].filter(([, count]) => count !== null && count !== undefined);
+
+    if (!known.length) {
+      return {
+        nPublic: null,
+        error:
+          "Cannot determine the number of public signals of the verifier; pass circuitId or nPublic",
+      };
+    }
+
+    const nPublic = known[0][1];
+    if (known.some(([, count]) => count !== nPublic)) {
+      return {
+        nPublic: null,
+        error: `Number of public signals does not match: ${known
+          .map(([from, count]) => `${from} ${count}`)
+          .join(", ")}`,
+      };
+    }
+
+    return { nPublic, error: null };
+  }
+
+  // Proof system of a verifier, as stated by the circuit's verification key
+  // and by the verifier's record (when we deployed it). Either is null when
+  // unknown.
+  async proofSystems(chain, { circuitId, verifierAddress }) {
+    const vkey = circuitId
+      ? await this.loadVerificationKey(circuitId, chain)
+      : null;
+
+    const verifier = await Contract.findOne({
+      chainId: chain.chainId,
+      contractAddress: ethers.getAddress(verifierAddress),
+      status: "deployed",
+    });
+
+    return {
+      vkey: vkey ? detectProofSystem(vkey) : null,
+      verifier: verifier ? verifier.proofSystem || "groth16" : null,
+    };
+  }
+
+  // Proof system of the verifier a wrapper is generated for. The circuit's
+  // vkey, the verifier's record and `requested` must agree; defaults to
+  // groth16 when none is known. Returns { proofSystem, error }.
+  async resolveProofSystem(chain, { circuitId, verifierAddress, requested }) {
+    const systems = await this.proofSystems(chain, {
+      circuitId,
+      verifierAddress,
+    });
+    const known = [
+      ["vkey", systems.vkey],
+      ["verifier", systems.verifier],
+      ["request", requested],
+    ].filter(([, system]) => system !== null && system !== undefined);
+
+    const proofSystem = known.length ? known[0][1] : "groth16";
+    if (known.some(([, system]) => system !== proofSystem)) {
+      return {
+        proofSystem: null,
+        error: `Proof system does not match: ${known
+          .map(([from, system]) => `${from} ${system}`)
+          .join(", ")}`,
+      };
+    }
+
+    return { proofSystem, error: null };
+  }
+
+  // The circuit's verification_key.json, from its active contract record
+  // for the chain, any contract record, or the Circuit itself. Null when
+  // none. `scope` limits it to a tenant's records.
+  async loadVerificationKey(circuitId, chain, scope = {}) {
+    const record =
+      (await Contract.findOne({
+        ...scope,
+        circuitId,
+        chainId: chain.chainId,
+        active: { $ne: false },
+      })) ||
+      (await Contract.findOne({ ...scope, circuitId }).sort({ version: -1 })) ||
+      (mongoose.isValidObjectId(circuitId)
+        ? await Circuit.findOne({ ...scope, _id: circuitId })
+        : null);
+
+    return record ? this.verificationKeyOf(record) : null;
+  }
+
+  // The verification key at a record's artifacts.vkey, or null when it has
+  // none. `fresh` bypasses the cache.
+  async verificationKeyOf(record, { fresh = false } = {}) {
+    const key = record.artifacts?.vkey;
+    if (!key) {
+      return null;
+    }
+
+    if (fresh || !verificationKeys.has(key)) {
+      verificationKeys.set(key, JSON.parse(await readS3Object(key)));
+    }
+    return verificationKeys.get(key);
+  }
+
+  // Check that every constant of the key is pushed by the deployed
+  // verifier's runtime code
+  async checkVerifierAgainstKey(contract, chain, vkey) {
+    const code = await getProvider(chain).getCode(contract.contractAddress);
+    const missing = Object.entries(groth16KeyConstants(vkey))
+      .filter(([, value]) => !bytecodeContainsConstant(code, value))
+      .map(([name]) => name);
+
+    return {
+      verifierAddress: contract.contractAddress,
+      matches: code !== "0x" && missing.length === 0,
+      missing,
+    };
+  }
+
+  // Pairing check of a proof against the verification key, plus the key
+  // cross-check against the deployed verifier when there is one
+  async verifyOffChain(vkey, proof, publicSignals, verifier, chain) {
+    const valid = verifyGroth16(vkey, proof, publicSignals);
+
+    return {
+      protocol: vkey.protocol,
+      curve: vkey.curve,
+      nPublic: vkey.nPublic,
+      valid,
+      verifierCheck: verifier
+        ? await this.checkVerifierAgainstKey(verifier, chain, vkey)
+        : null,
+    };
+  }
+}
+
+export default ProofService;
@@ -0,0 +1,489 @@
+import { ethers } from "ethers";
+import Contract from "../models/contract.model.js";
+import Relay from "../models/relay.model.js";
+import { getChain } from "../config/chains.js";
+import { getRedisClient } from "../config/redis.js";
+import { getTemplate } from "../templates/index.js";
+import {
+  getProvider,
+  getFeeOverrides,
+  applyGasLimitMultiplier,
+} from "./chain.service.js";
+import { getSigner, resolveSignerName } from "./signer.service.js";
+import { getArtifact } from "./artifact.service.js";
+import { proofParams, toProofCalldata } from "./proof.service.js";
+import TransactionSender from "./tx.sender.js";
+import UsageService, { BUDGET_EXCEEDED } from "./usage.service.js";
+
+// Default limits per wrapper, overridable with Contract.relayPolicy
+const DEFAULT_RELAY_POLICY = {
+  enabled: process.env.RELAY_ENABLED !== "false",
+  maxRequests: Number(process.env.RELAY_MAX_REQUESTS) || 60,
+  windowMs: Number(process.env.RELAY_WINDOW_MS) || 3600000,
+  spendCap: process.env.RELAY_SPEND_CAP || "0.1",
+  spendWindowMs: Number(process.env.RELAY_SPEND_WINDOW_MS) || 86400000,
+};
+
+// Bounds of what a tenant may set in Contract.relayPolicy; by default the
+// defaults themselves, so tenants can only tighten them
+export const RELAY_POLICY_LIMITS = {
+  maxRequests:
+    Number(process.env.RELAY_MAX_REQUESTS_LIMIT) ||
+    DEFAULT_RELAY_POLICY.maxRequests,
+  minWindowMs:
+    Number(process.env.RELAY_MIN_WINDOW_MS) || DEFAULT_RELAY_POLICY.windowMs,
+  spendCap: process.env.RELAY_SPEND_CAP_LIMIT || DEFAULT_RELAY_POLICY.spendCap,
+  minSpendWindowMs:
+    Number(process.env.RELAY_MIN_SPEND_WINDOW_MS) ||
+    DEFAULT_RELAY_POLICY.spendWindowMs,
+};
+
+// Most a tenant's relays on a chain may spend together per
+// RELAY_SPEND_WINDOW_MS, whatever its wrappers' own caps
+const TENANT_SPEND_CAP = process.env.RELAY_TENANT_SPEND_CAP || "1";
+
+// Limit checks and the relay they admit are serialized per wrapper
+const RELAY_LOCK_TTL_MS = 10000;
+
+const RELEASE_LOCK_SCRIPT = `
+if redis.call("GET", KEYS[1]) == ARGV[1] then
+  return redis.call("DEL", KEYS[1])
+end
+return 0
+`;
+
+const FINAL_STATUSES = ["confirmed", "reverted", "failed"];
+
+const RESUMABLE_TX_STATUSES = ["signed", "pending", "replaced", "mined"];
+
+const PROOF_RESULT_EVENT = new ethers.Interface([
+  "event ProofResult(bool result)",
+]);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const describeRevert = (error) => {
+  if (error.revert) {
+    const { name, args } = error.revert;
+    return name === "Error" ? args[0] : `${name}(${args.join(", ")})`;
+  }
+  return error.reason || error.shortMessage || error.message;
+};
+
+// Why a tenant may not set a relayPolicy field to `value`, or null when it
+// may. Only the operator's limits are checked, not the value's type.
+export const relayPolicyError = (field, value) => {
+  if (value === null) {
+    return null;
+  }
+  switch (field) {
+    case "enabled":
+      return value && !DEFAULT_RELAY_POLICY.enabled
+        ? "Relaying is disabled by the operator"
+        : null;
+    case "maxRequests":
+      return value > RELAY_POLICY_LIMITS.maxRequests
+        ? `maxRequests must be at most ${RELAY_POLICY_LIMITS.maxRequests}`
+        : null;
+    case "windowMs":
+      return value < RELAY_POLICY_LIMITS.minWindowMs
+        ? `windowMs must be at least ${RELAY_POLICY_LIMITS.minWindowMs}`
+        : null;
+    case "spendCap":
+      return ethers.parseEther(value) >
+        ethers.parseEther(RELAY_POLICY_LIMITS.spendCap)
+        ? `spendCap must be at most ${RELAY_POLICY_LIMITS.spendCap}`
+        : null;
+    case "spendWindowMs":
+      return value < RELAY_POLICY_LIMITS.minSpendWindowMs
+        ? `spendWindowMs must be at least ${RELAY_POLICY_LIMITS.minSpendWindowMs}`
+        : null;
+    default:
+      return null;
+  }
+};
+
+// A wrapper's relay policy: its overrides on the defaults, without those
+// past the operator's limits (e.g. set before the limits were lowered)
+export const resolveRelayPolicy = (contract) => {
+  const overrides = contract.relayPolicy?.toObject?.() || {};
+  const policy = { ...DEFAULT_RELAY_POLICY };
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value === undefined || value === null) continue;
+    if (relayPolicyError(key, value)) {
+      console.warn(
+        `Relay policy ${key}=${value} of ${contract.circuitId} is past the operator's limit; ignored`
+      );
+      continue;
+    }
+    policy[key] = value;
+  }
+  return policy;
+};
+
+// Mined relays count with what they cost, the others with what they may
+// cost at most
+const relaySpending = async (filter) => {
+  const relays = await Relay.find(filter, { reservedWei: 1, costWei: 1 });
+  return relays.reduce(
+    (sum, relay) => sum + BigInt(relay.costWei ?? relay.reservedWei),
+    0n
+  );
+};
+
+class RelayService {
+  constructor() {
+    this.usageService = new UsageService();
+  }
+
+  // The deployed wrapper a proof is relayed to. Only wrappers whose
+  // template does not depend on msg.sender can be relayed. `scope` limits
+  // it to a tenant's records.
+  async findWrapper(circuitId, chain, scope = {}) {
+    const contract = await Contract.findOne({
+      ...scope,
+      circuitId,
+      chainId: chain.chainId,
+      status: "deployed",
+    });
+    if (!contract) {
+      return {
+        contract: null,
+        error: `No deployed wrapper for circuitId ${circuitId} on ${chain.name}`,
+      };
+    }
+
+    const template = contract.wrapper
+      ? getTemplate(contract.wrapper.template, contract.wrapper.version)
+      : null;
+    if (!template) {
+      return { contract, error: `${circuitId} is not a wrapper contract` };
+    }
+    if (!template.relayable) {
+      return {
+        contract,
+        error: `${template.name} wrappers cannot be relayed: they act on the sender`,
+      };
+    }
+
+    return { contract, template };
+  }
+
+  // ABI of a deployed wrapper, falling back to its template's entrypoint
+  async wrapperAbi(contract, template) {
+    const artifact = contract.artifactKey
+      ? await getArtifact(contract.artifactKey)
+      : null;
+    const compiled = artifact?.contracts.find(
+      (c) => c.contractName === contract.name
+    );
+    return compiled
+      ? compiled.abi
+      : [
+          `function ${template.entrypoint}(${proofParams(
+            contract.proofSystem || "groth16",
+            contract.nPublic
+          )}) returns (bool)`,
+          "event ProofResult(bool result)",
+        ];
+  }
+
+  // Encode the wrapper call and simulate it from the relayer's account.
+  // Returns `revertReason` instead of a tx when the call would revert.
+  async prepareRelay(contract, template, chain, proof, publicSignals, options) {
+    const signerName = resolveSignerName(chain, options.signer);
+    const signer = await getSigner(chain, signerName);
+    const from = await signer.getAddress();
+
+    const calldata = toProofCalldata(
+      contract.proofSystem || "groth16",
+      proof,
+      publicSignals
+    );
+    const wrapper = new ethers.Contract(
+      contract.contractAddress,
+      await this.wrapperAbi(contract, template),
+      getProvider(chain)
+    );
+    const args = Object.values(calldata);
+
+    let gasEstimate;
+    try {
+      gasEstimate = await wrapper[template.entrypoint].estimateGas(...args, {
+        from,
+      });
+    } catch (error) {
+      if (error.code !== "CALL_EXCEPTION") {
+        throw error;
+      }
+      return { revertReason: describeRevert(error) };
+    }
+
+    const gasLimit = applyGasLimitMultiplier(chain, gasEstimate);
+    const fees = await getFeeOverrides(chain);
+    const maxFee = fees.maxFeePerGas ?? fees.gasPrice;
+
+    return {
+      to: contract.contractAddress,
+      data: wrapper.interface.encodeFunctionData(template.entrypoint, args),
+      gasLimit,
+      signer: signerName,
+      from,
+      reservedWei: gasLimit * maxFee,
+    };
+  }
+
+  // Hold the wrapper's relay lock while `fn` runs
+  async withRelayLock(contract, fn) {
+    const redis = getRedisClient();
+    const key = `relay:lock:${contract.chainId}:${contract.circuitId}`;
+    const owner = `${process.pid}:${Date.now()}:${Math.random()}`;
+    const deadline = Date.now() + RELAY_LOCK_TTL_MS;
+
+    while (!(await redis.set(key, owner, "PX", RELAY_LOCK_TTL_MS, "NX"))) {
+      if (Date.now() > deadline) {
+        throw new Error(`Relay lock for ${contract.circuitId} is busy`);
+      }
+      await sleep(100);
+    }
+
+    try {
+      return await fn();
+    } finally {
+      await redis.eval(RELEASE_LOCK_SCRIPT, 1, key, owner);
+    }
+  }
+
+  // Check the wrapper's rate limit and spending cap, the tenant's relay
+  // spending cap and budget, then record the relay. Returns { limited } with
+  // the reason when a limit would be exceeded.
+  async reserveRelay(contract, chain, prepared, publicSignals) {
+    const policy = resolveRelayPolicy(contract);
+    if (!policy.enabled) {
+      return { limited: `Relaying is disabled for ${contract.circuitId}` };
+    }
+
+    return this.withRelayLock(contract, async () => {
+      const scope = { circuitId: contract.circuitId, chainId: chain.chainId };
+      const now = Date.now();
+
+      const recent = await Relay.countDocuments({
+        ...scope,
+        createdAt: { $gte: new Date(now - policy.windowMs) },
+      });
+      if (recent >= policy.maxRequests) {
+        return {
+          limited: `Rate limit of ${policy.maxRequests} relays per ${policy.windowMs}ms reached`,
+        };
+      }
+
+      const spent = await relaySpending({
+        ...scope,
+        createdAt: { $gte: new Date(now - policy.spendWindowMs) },
+      });
+      const cap = ethers.parseEther(policy.spendCap);
+      if (spent + prepared.reservedWei > cap) {
+        return {
+          limited: `Spending cap of ${policy.spendCap} per ${
+            policy.spendWindowMs
+          }ms reached (spent ${ethers.formatEther(
+            spent
+          )}, this relay may cost ${ethers.formatEther(prepared.reservedWei)})`,
+        };
+      }
+
+      // The tenant's cap and budget span all of its wrappers on the chain,
+      // so they are checked under its budget lock
+      const tenant = contract.tenant ?? null;
+      return this.usageService.withBudgetLock(tenant, chain, async () => {
+        const tenantSpent = await relaySpending({
+          tenant,
+          chainId: chain.chainId,
+          createdAt: {
+            $gte: new Date(now - DEFAULT_RELAY_POLICY.spendWindowMs),
+          },
+        });
+        if (
+          tenantSpent + prepared.reservedWei >
+          ethers.parseEther(TENANT_SPEND_CAP)
+        ) {
+          return {
+            limited: `Tenant spending cap of ${TENANT_SPEND_CAP} per ${
+              DEFAULT_RELAY_POLICY.spendWindowMs
+            }ms on ${chain.name} reached (spent ${ethers.formatEther(
+              tenantSpent
+            )})`,
+          };
+        }
+
+        // The relayer's txs are paid from the tenant's deployment budget
+        try {
+          await this.usageService.assertWithinBudget(tenant, chain, {
+            reserveWei: prepared.reservedWei,
+          });
+        } catch (error) {
+          if (error.code === BUDGET_EXCEEDED) {
+            return { limited: error.message };
+          }
+          throw error;
+        }
+
+        const relay = await Relay.create({
+          ...scope,
+          tenant,
+          network: chain.name,
+          wrapperAddress: contract.contractAddress,
+          publicSignals: publicSignals.map(String),
+          to: prepared.to,
+          data: prepared.data,
+          gasLimit: prepared.gasLimit.toString(),
+          signer: prepared.signer,
+          from: prepared.from,
+          reservedWei: prepared.reservedWei.toString(),
+        });
+        return { relay };
+      });
+    });
+  }
+
+  // Send a queued relay, or resume the tx an earlier attempt signed.
+  // Reverted relays are final; other errors are rethrown for a retry and
+  // only fail the relay on the last attempt.
+  async processRelay(relayId, { jobId = null, finalAttempt = true } = {}) {
+    const relay = await Relay.findById(relayId);
+    if (!relay) {
+      throw new Error(`Relay ${relayId} not found`);
+    }
+    if (FINAL_STATUSES.includes(relay.status)) {
+      return this.relayResult(relay);
+    }
+
+    const chain = getChain(relay.chainId);
+    const signer = await getSigner(chain, relay.signer);
+    const sender = new TransactionSender(chain, signer, {
+      owner: `relay:${relayId}:${jobId || "direct"}`,
+    });
+
+    const all = relay.transactions.map((tx) => tx.toObject());
+    const saved = all.filter(
+      (tx) => tx.signedTx && RESUMABLE_TX_STATUSES.includes(tx.status)
+    );
+    let previous = all.filter((tx) => !saved.includes(tx));
+    const persist = (earlier) => async (transactions) => {
+      const live = transactions.filter((tx) => tx.status !== "failed");
+      await Relay.findByIdAndUpdate(relayId, {
+        status: "pending",
+        transactions: [...earlier, ...transactions],
+        txHash: live.length ? live[live.length - 1].hash : null,
+      });
+    };
+
+    try {
+      let sent = saved.length
+        ? await sender.resume(saved, { persist: persist(previous) })
+        : null;
+      if (!sent) {
+        if (saved.length) {
+          previous = [
+            ...previous,
+            ...saved.map((tx) => ({ ...tx, status: "dropped" })),
+          ];
+        }
+        sent = await sender.send(
+          {
+            to: relay.to,
+            data: relay.data,
+            gasLimit: BigInt(relay.gasLimit),
+          },
+          { persist: persist(previous) }
+        );
+      }
+
+      const { receipt } = sent;
+      const proofResult = receipt.logs
+        .filter((log) => log.address.toLowerCase() === relay.to.toLowerCase())
+        .map((log) => PROOF_RESULT_EVENT.parseLog(log))
+        .find((event) => event?.name === "ProofResult");
+
+      console.log(
+        `Relay ${relayId} mined in tx ${receipt.hash}: ProofResult ${proofResult?.args.result}`
+      );
+
+      return this.relayResult(
+        await Relay.findByIdAndUpdate(
+          relayId,
+          {
+            status: "confirmed",
+            txHash: receipt.hash,
+            blockNumber: receipt.blockNumber,
+            gasUsed: receipt.gasUsed.toString(),
+            costWei: receipt.fee.toString(),
+            proofResult: proofResult ? proofResult.args.result : null,
+            error: null,
+          },
+          { new: true }
+        )
+      );
+    } catch (error) {
+      console.error(`Relay ${relayId} failed:`, error.message);
+
+      // A mined tx costs gas even when it reverted
+      const current = await Relay.findById(relayId);
+      const mined = current.transactions.find((tx) => tx.status === "mined");
+      const receipt = mined
+        ? await signer.provider.getTransactionReceipt(mined.hash)
+        : null;
+
+      if (receipt?.status === 0) {
+        return this.relayResult(
+          await Relay.findByIdAndUpdate(
+            relayId,
+            {
+              status: "reverted",
+              txHash: receipt.hash,
+              blockNumber: receipt.blockNumber,
+              gasUsed: receipt.gasUsed.toString(),
+              costWei: receipt.fee.toString(),
+              error: error.message,
+            },
+            { new: true }
+          )
+        );
+      }
+
+      // A tx left pending may still be mined, so it keeps its reservation
+      const broadcast = current.transactions.some((tx) =>
+        ["pending", "replaced", "mined"].includes(tx.status)
+      );
+      await Relay.findByIdAndUpdate(relayId, {
+        error: error.message,
+        ...(finalAttempt
+          ? { status: "failed", costWei: broadcast ? null : "0" }
+          : {}),
+      });
+      throw error;
+    }
+  }
+
+  relayResult(relay) {
+    return {
+      relayId: relay._id.toString(),
+      circuitId: relay.circuitId,
+      chainId: relay.chainId,
+      network: relay.network,
+      wrapperAddress: relay.wrapperAddress,
+      status: relay.status,
+      jobId: relay.jobId,
+      from: relay.from,
+      txHash: relay.txHash,
+      blockNumber: relay.blockNumber,
+      gasUsed: relay.gasUsed,
+      cost: relay.costWei ? ethers.formatEther(relay.costWei) : null,
+      proofResult: relay.proofResult,
+      error: relay.error,
+      createdAt: relay.createdAt,
+    };
+  }
+}
+
+export default RelayService;
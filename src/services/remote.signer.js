@@ -0,0 +1,125 @@
+import { ethers } from "ethers";
+import axios from "axios";
+
+// Signer that keeps the key in a separate HTTP service (HSM/KMS gateway).
+//
+// Remote interface:
+//   GET  /address?chainId=            -> { address }
+//   POST /sign-transaction            { chainId, unsignedTransaction } -> { signedTransaction }
+//   POST /sign-message                { chainId, message }             -> { signature }
+//   POST /sign-typed-data             { chainId, domain, types, value } -> { signature }
+//
+// Every response is checked locally so a misbehaving signer cannot swap the
+// transaction or sign with a different key.
+class RemoteSigner extends ethers.AbstractSigner {
+  constructor({ url, authToken = null, chainId, timeout = 15000 }, provider) {
+    super(provider);
+    this.url = url.replace(/\/+$/, "");
+    this.authToken = authToken;
+    this.chainId = chainId;
+    this.timeout = timeout;
+    this.address = null;
+  }
+
+  connect(provider) {
+    return new RemoteSigner(
+      {
+        url: this.url,
+        authToken: this.authToken,
+        chainId: this.chainId,
+        timeout: this.timeout,
+      },
+      provider
+    );
+  }
+
+  async request(method, route, data) {
+    try {
+      const response = await axios({
+        method,
+        url: `${this.url}${route}`,
+        data,
+        params: method === "get" ? { chainId: this.chainId } : undefined,
+        timeout: this.timeout,
+        headers: this.authToken
+          ? { Authorization: `Bearer ${this.authToken}` }
+          : {},
+      });
+      return response.data;
+    } catch (error) {
+      const reason = error.response?.data?.error || error.message;
+      throw new Error(`Remote signer ${route} failed: ${reason}`);
+    }
+  }
+
+  async getAddress() {
+    if (!this.address) {
+      const { address } = await this.request("get", "/address");
+      this.address = ethers.getAddress(address);
+    }
+    return this.address;
+  }
+
+  async signTransaction(tx) {
+    const address = await this.getAddress();
+    const populated = await this.populateTransaction(tx);
+    delete populated.from;
+
+    const unsigned = ethers.Transaction.from(populated);
+    const { signedTransaction } = await this.request(
+      "post",
+      "/sign-transaction",
+      {
+        chainId: this.chainId,
+        unsignedTransaction: unsigned.unsignedSerialized,
+      }
+    );
+
+    const signed = ethers.Transaction.from(signedTransaction);
+    if (signed.unsignedHash !== unsigned.unsignedHash) {
+      throw new Error("Remote signer returned a different transaction");
+    }
+    if (signed.from !== address) {
+      throw new Error(
+        `Remote signer signed with ${signed.from}, expected ${address}`
+      );
+    }
+
+    return signed.serialized;
+  }
+
+  async signMessage(message) {
+    const address = await this.getAddress();
+    const payload =
+      typeof message === "string"
+        ? ethers.hexlify(ethers.toUtf8Bytes(message))
+        : ethers.hexlify(message);
+
+    const { signature } = await this.request("post", "/sign-message", {
+      chainId: this.chainId,
+      message: payload,
+    });
+
+    if (ethers.verifyMessage(ethers.getBytes(payload), signature) !== address) {
+      throw new Error("Remote signer returned an invalid message signature");
+    }
+    return signature;
+  }
+
+  async signTypedData(domain, types, value) {
+    const address = await this.getAddress();
+    const { signature } = await this.request("post", "/sign-typed-data", {
+      chainId: this.chainId,
+      domain,
+      types,
+      value,
+    });
+
+    if (ethers.verifyTypedData(domain, types, value, signature) !== address) {
+      throw new Error("Remote signer returned an invalid typed-data signature");
+    }
+    return signature;
+  }
+}
+
+export default RemoteSigner;
@@ -0,0 +1,92 @@
+import { ethers } from "ethers";
+import fs from "fs-extra";
+import { DEFAULT_SIGNER, getSignerProfile } from "../config/signers.js";
+import { getProvider } from "./chain.service.js";
+import RemoteSigner from "./remote.signer.js";
+
+// Signers are cached per profile and chain; keystore decryption is slow
+const signers = new Map();
+
+const readSecret = (envName, signerName) => {
+  const value = process.env[envName];
+  if (!value) {
+    throw new Error(
+      `Signer "${signerName}" expects environment variable ${envName} to be set`
+    );
+  }
+  return value;
+};
+
+const createSigner = async (profile, chain, provider) => {
+  switch (profile.type) {
+    case "privateKey":
+      return new ethers.Wallet(
+        readSecret(profile.keyEnv, profile.name),
+        provider
+      );
+
+    case "keystore": {
+      const json = await fs.readFile(profile.path, "utf8");
+      const wallet = await ethers.Wallet.fromEncryptedJson(
+        json,
+        readSecret(profile.passphraseEnv, profile.name)
+      );
+      return wallet.connect(provider);
+    }
+
+    case "mnemonic": {
+      const derivationPath =
+        profile.paths?.[chain.chainId] ||
+        profile.paths?.[chain.name] ||
+        profile.path ||
+        ethers.defaultPath;
+      const wallet = ethers.HDNodeWallet.fromPhrase(
+        readSecret(profile.mnemonicEnv, profile.name),
+        profile.passphraseEnv ? process.env[profile.passphraseEnv] : undefined,
+        derivationPath
+      );
+      return wallet.connect(provider);
+    }
+
+    case "remote":
+      return new RemoteSigner(
+        {
+          url: profile.url,
+          authToken: profile.authTokenEnv
+            ? process.env[profile.authTokenEnv] || null
+            : null,
+          chainId: chain.chainId,
+          timeout: profile.timeout,
+        },
+        provider
+      );
+
+    default:
+      throw new Error(`Unsupported signer type: ${profile.type}`);
+  }
+};
+
+// Per-job choice wins over the chain's configured signer
+export const resolveSignerName = (chain, requested = null) =>
+  requested || chain.signer || DEFAULT_SIGNER;
+
+export const getSigner = async (chain, requested = null) => {
+  const name = resolveSignerName(chain, requested);
+  const cacheKey = `${name}:${chain.chainId}`;
+
+  if (!signers.has(cacheKey)) {
+    const profile = getSignerProfile(name);
+    const pending = createSigner(profile, chain, getProvider(chain));
+    signers.set(cacheKey, pending);
+
+    try {
+      await pending;
+      console.log(`Signer "${name}" (${profile.type}) ready for ${chain.name}`);
+    } catch (error) {
+      signers.delete(cacheKey);
+      throw new Error(`Failed to load signer "${name}": ${error.message}`);
+    }
+  }
+
+  return signers.get(cacheKey);
+};
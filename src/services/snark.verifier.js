@@ -0,0 +1,166 @@
+import { bn254 } from "@noble/curves/bn254";
+
+// Off-chain verification of snarkjs proofs on BN254 (snarkjs' "bn128"),
+// with noble-curves' pure-JS pairing
+
+const { Fp2, Fp12, Fr } = bn254.fields;
+const G1 = bn254.G1.ProjectivePoint;
+const G2 = bn254.G2.ProjectivePoint;
+
+const checked = (point) => {
+  point.assertValidity();
+  return point;
+};
+
+// snarkjs points are projective [x, y, z] with decimal coordinates; G2
+// coordinates are Fp2 elements written [c0, c1]
+const g1Point = ([x, y, z = "1"]) =>
+  BigInt(z) === 0n
+    ? G1.ZERO
+    : checked(G1.fromAffine({ x: BigInt(x), y: BigInt(y) }));
+
+const g2Point = ([x, y, z = ["1", "0"]]) =>
+  BigInt(z[0]) === 0n && BigInt(z[1]) === 0n
+    ? G2.ZERO
+    : checked(
+        G2.fromAffine({
+          x: Fp2.fromBigTuple(x.map(BigInt)),
+          y: Fp2.fromBigTuple(y.map(BigInt)),
+        })
+      );
+
+// Groth16: e(-A, B) · e(alpha, beta) · e(vk_x, gamma) · e(C, delta) == 1,
+// with vk_x = IC[0] + Σ publicSignals[i] · IC[i + 1]
+export const verifyGroth16 = (vkey, proof, publicSignals) => {
+  if (vkey.IC.length !== publicSignals.length + 1) {
+    throw new Error(
+      `Verification key expects ${vkey.IC.length - 1} public signals, got ${
+        publicSignals.length
+      }`
+    );
+  }
+
+  const signals = publicSignals.map(BigInt);
+  // Out-of-field inputs are rejected, as the Solidity verifier does
+  if (signals.some((signal) => signal >= Fr.ORDER)) {
+    return false;
+  }
+
+  let vkX = g1Point(vkey.IC[0]);
+  signals.forEach((signal, index) => {
+    if (signal !== 0n) {
+      vkX = vkX.add(g1Point(vkey.IC[index + 1]).multiply(signal));
+    }
+  });
+
+  let pA;
+  let pB;
+  let pC;
+  try {
+    pA = g1Point(proof.pi_a);
+    pB = g2Point(proof.pi_b);
+    pC = g1Point(proof.pi_c);
+  } catch (error) {
+    // Points not on the curve cannot verify
+    return false;
+  }
+
+  const result = bn254.pairingBatch([
+    { g1: pA.negate(), g2: pB },
+    { g1: g1Point(vkey.vk_alpha_1), g2: g2Point(vkey.vk_beta_2) },
+    { g1: vkX, g2: g2Point(vkey.vk_gamma_2) },
+    { g1: pC, g2: g2Point(vkey.vk_delta_2) },
+  ]);
+
+  return Fp12.eql(result, Fp12.ONE);
+};
+
+// Field elements of a Groth16 key that the snarkjs Solidity verifier embeds
+// as constants, by name
+export const groth16KeyConstants = (vkey) => {
+  const constants = {
+    alphax: vkey.vk_alpha_1[0],
+    alphay: vkey.vk_alpha_1[1],
+  };
+
+  for (const name of ["beta", "gamma", "delta"]) {
+    const [x, y] = vkey[`vk_${name}_2`];
+    // The verifier stores G2 coordinates as [c1, c0]
+    constants[`${name}x1`] = x[1];
+    constants[`${name}x2`] = x[0];
+    constants[`${name}y1`] = y[1];
+    constants[`${name}y2`] = y[0];
+  }
+
+  vkey.IC.forEach(([x, y], index) => {
+    constants[`IC${index}x`] = x;
+    constants[`IC${index}y`] = y;
+  });
+
+  return Object.fromEntries(
+    Object.entries(constants).map(([name, value]) => [name, BigInt(value)])
+  );
+};
+
+// Whether runtime bytecode pushes `value` as a literal (PUSH1..PUSH32 with
+// the minimal big-endian encoding, as solc emits constants)
+export const bytecodeContainsConstant = (code, value) => {
+  let hex = value.toString(16);
+  if (hex.length % 2) hex = `0${hex}`;
+  const length = hex.length / 2;
+  if (length < 1 || length > 32) return false;
+
+  const push = (0x5f + length).toString(16);
+  const needle = `${push}${hex}`;
+  const haystack = code.toLowerCase().replace(/^0x/, "");
+
+  for (
+    let index = haystack.indexOf(needle);
+    index !== -1;
+    index = haystack.indexOf(needle, index + 1)
+  ) {
+    if (index % 2 === 0) return true;
+  }
+  return false;
+};
+
+// `uint256 constant <name> = <literal>;` declarations of a Solidity source,
+// by name
+export const parseSourceConstants = (source) => {
+  const code = source
+    .replace(/\/\*[\s\S]*?\*\//g, "")
+    .replace(/\/\/[^\n]*/g, "");
+  const pattern =
+    /\buint256\s+constant\s+(\w+)\s*=\s*(0x[0-9a-fA-F]+|\d+)\s*;/g;
+
+  return Object.fromEntries(
+    [...code.matchAll(pattern)].map(([, name, value]) => [name, BigInt(value)])
+  );
+};
+
+// Constants of a Groth16 key that a snarkjs verifier source gets wrong:
+// missing or different ones, and IC points the key does not have. Values
+// are decimal strings, null when absent on that side.
+export const diffGroth16Constants = (vkey, source) => {
+  const expected = groth16KeyConstants(vkey);
+  const actual = parseSourceConstants(source);
+  const diff = [];
+
+  for (const [name, value] of Object.entries(expected)) {
+    if (actual[name] !== value) {
+      diff.push({
+        name,
+        expected: value.toString(),
+        actual: name in actual ? actual[name].toString() : null,
+      });
+    }
+  }
+
+  for (const [name, value] of Object.entries(actual)) {
+    if (/^IC\d+[xy]$/.test(name) && !(name in expected)) {
+      diff.push({ name, expected: null, actual: value.toString() });
+    }
+  }
+
+  return diff;
+};
@@ -0,0 +1,129 @@
+import path from "path";
+import { fileURLToPath } from "url";
+import fs from "fs-extra";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Vendored Solidity libraries, laid out by import path
+// (e.g. <dir>/@openzeppelin/contracts/utils/Strings.sol)
+export const SOLIDITY_LIB_DIR =
+  process.env.SOLIDITY_LIB_DIR || path.join(__dirname, "../../solidity-lib");
+
+// Upper bound on the files one compilation may pull in
+const MAX_SOURCES = 500;
+
+// "@openzeppelin/=openzeppelin-contracts/" entries, as accepted by solc;
+// a string is split on commas and whitespace
+export const parseRemappings = (value) => {
+  const entries = Array.isArray(value)
+    ? value
+    : String(value || "").split(/[\s,]+/);
+
+  return entries.filter(Boolean).map((entry) => {
+    // Context-specific remappings ("context:prefix=target") are not supported
+    const separator = entry.indexOf("=");
+    if (separator <= 0 || entry.includes(":")) {
+      throw new Error(`Invalid remapping: ${entry}`);
+    }
+    return {
+      prefix: entry.slice(0, separator),
+      target: entry.slice(separator + 1),
+    };
+  });
+};
+
+export const DEFAULT_REMAPPINGS = parseRemappings(process.env.SOLC_REMAPPINGS);
+
+// Paths of the import directives of a source file
+export const findImports = (content) => {
+  const code = content
+    .replace(/\/\*[\s\S]*?\*\//g, "")
+    .replace(/\/\/[^\n]*/g, "");
+  const pattern = /\bimport\s+(?:[^"';]*?\s+from\s+)?["']([^"']+)["']/g;
+
+  return [...code.matchAll(pattern)].map((match) => match[1]);
+};
+
+// Source unit name of an import, following solc: relative paths are
+// resolved against the importing unit, anything else is taken as is
+export const resolveUnitName = (importPath, fromUnit) => {
+  if (!importPath.startsWith("./") && !importPath.startsWith("../")) {
+    return importPath;
+  }
+
+  const resolved = path.posix.normalize(
+    path.posix.join(path.posix.dirname(fromUnit), importPath)
+  );
+  if (resolved.startsWith("../")) {
+    throw new Error(
+      `Import ${importPath} in ${fromUnit} escapes the source root`
+    );
+  }
+  return resolved;
+};
+
+// Where to load a unit from: the longest matching remapping wins
+export const applyRemappings = (unitName, remappings = DEFAULT_REMAPPINGS) => {
+  const match = remappings
+    .filter(({ prefix }) => unitName.startsWith(prefix))
+    .sort((a, b) => b.prefix.length - a.prefix.length)[0];
+
+  return match ? match.target + unitName.slice(match.prefix.length) : unitName;
+};
+
+// Loader for the vendored library directory
+export const localLibraryLoader =
+  (libDir = SOLIDITY_LIB_DIR) =>
+  async (location) => {
+    const root = path.resolve(libDir);
+    const filePath = path.resolve(root, location);
+    if (!filePath.startsWith(`${root}${path.sep}`)) {
+      return null;
+    }
+    return (await fs.pathExists(filePath))
+      ? fs.readFile(filePath, "utf8")
+      : null;
+  };
+
+// Add every file imported (directly or not) by `sources` to a copy of it.
+// Loaders are tried in order with the remapped location of each missing
+// unit and return its content, or null when they do not have it.
+export const resolveSources = async (
+  sources,
+  { remappings = DEFAULT_REMAPPINGS, loaders = [] } = {}
+) => {
+  const resolved = { ...sources };
+  const queue = Object.keys(resolved);
+
+  while (queue.length) {
+    const unitName = queue.shift();
+
+    for (const importPath of findImports(resolved[unitName].content)) {
+      const dependency = resolveUnitName(importPath, unitName);
+      if (resolved[dependency]) continue;
+
+      const location = applyRemappings(dependency, remappings);
+      let content = null;
+      for (const load of loaders) {
+        content = await load(location);
+        if (content !== null && content !== undefined) break;
+      }
+
+      if (content === null || content === undefined) {
+        throw new Error(
+          `Cannot resolve import "${importPath}" in ${unitName} (looked up ${location})`
+        );
+      }
+
+      if (Object.keys(resolved).length >= MAX_SOURCES) {
+        throw new Error(`More than ${MAX_SOURCES} source files imported`);
+      }
+
+      resolved[dependency] = { content };
+      queue.push(dependency);
+    }
+  }
+
+  return resolved;
+};
@@ -0,0 +1,508 @@
+import { ethers } from "ethers";
+import { getFeeOverrides } from "./chain.service.js";
+import { getNonceManager } from "./nonce.manager.js";
+
+const MAX_NONCE_RETRIES = 3;
+
+// Nodes reject replacements that raise fees by less than 10%
+const MIN_FEE_BUMP_PERCENT = 10;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// The node already has a tx (mined or pending) for the nonce we sent
+const isNonceTakenError = (error) =>
+  error.code === "NONCE_EXPIRED" || error.code === "REPLACEMENT_UNDERPRICED";
+
+// Node messages refusing a signed tx as invalid
+const INVALID_TX_MESSAGE =
+  /invalid (sender|signature|transaction|chain id)|intrinsic gas too low|exceeds block gas limit|fee cap less than block base fee|max fee per gas less than block base fee|transaction type not supported|oversized data|exceeds the configured cap/i;
+
+// The node refused this exact signed tx, so it can never be mined. Anything
+// else (a timeout, a dropped connection, "already known") may have reached
+// the network after all.
+const isRejectedTxError = (error) =>
+  isNonceTakenError(error) ||
+  error.code === "INSUFFICIENT_FUNDS" ||
+  INVALID_TX_MESSAGE.test(
+    [error.error?.message, error.info?.error?.message, error.shortMessage]
+      .filter(Boolean)
+      .join(" ")
+  );
+
+const raise = (value, percent) => (value * BigInt(100 + percent)) / 100n;
+
+const max = (...values) =>
+  values
+    .filter((v) => v !== null && v !== undefined)
+    .reduce((a, b) => (a > b ? a : b));
+
+// Sends a transaction with a nonce from the shared nonce manager and watches
+// it until mined. When it stays pending past the chain's replacement timeout
+// it is re-signed with the same nonce and higher fees, so whichever of the
+// broadcast versions gets mined settles the nonce. `onConfirmation` is called
+// with (confirmations, required, receipt) as the mined tx gets confirmed.
+class TransactionSender {
+  constructor(
+    chain,
+    signer,
+    {
+      owner = null,
+      onConfirmation = null,
+      nonceManager = getNonceManager(),
+    } = {}
+  ) {
+    this.chain = chain;
+    this.signer = signer;
+    this.provider = signer.provider;
+    this.owner = owner;
+    this.onConfirmation = onConfirmation;
+    this.nonceManager = nonceManager;
+
+    const { gasPolicy } = chain;
+    this.replacementTimeoutMs =
+      gasPolicy.replacementTimeoutMs ||
+      Number(process.env.TX_REPLACEMENT_TIMEOUT_MS) ||
+      180000;
+    this.feeBumpPercent = Math.max(
+      gasPolicy.feeBumpPercent || Number(process.env.TX_FEE_BUMP_PERCENT) || 20,
+      MIN_FEE_BUMP_PERCENT
+    );
+    this.maxReplacements =
+      gasPolicy.maxReplacements ??
+      (Number(process.env.TX_MAX_REPLACEMENTS) || 5);
+    this.pollIntervalMs = Number(process.env.TX_POLL_INTERVAL_MS) || 5000;
+    // Wait for each confirmation at most this long
+    this.confirmationTimeoutMs =
+      gasPolicy.confirmationTimeoutMs ||
+      Number(process.env.TX_CONFIRMATION_TIMEOUT_MS) ||
+      this.replacementTimeoutMs;
+  }
+
+  // Returns { receipt, nonce, from, transactions }. `persist` receives the
+  // full list of versions whenever it changes; it runs before each broadcast
+  // so the signed tx is stored before it can reach the network.
+  async send(txRequest, { persist = null } = {}) {
+    const from = await this.signer.getAddress();
+    const fees = await getFeeOverrides(this.chain, this.provider);
+    const transactions = [];
+
+    await this.nonceManager.reconcile(this.chain.chainId, this.provider, from);
+    const nonce = await this.broadcastFirst(
+      txRequest,
+      fees,
+      from,
+      transactions,
+      persist
+    );
+
+    const receipt = await this.waitWithReplacement(
+      txRequest,
+      nonce,
+      from,
+      transactions,
+      persist
+    );
+
+    return { receipt, nonce, from, transactions };
+  }
+
+  // Continue with versions signed by an earlier attempt. Returns null when
+  // none of them can ever be mined (their nonce went to another tx), which
+  // is the only case where a fresh transaction may be sent.
+  async resume(saved, { persist = null } = {}) {
+    const transactions = saved.map((tx) => ({ ...tx }));
+    const latest = transactions[transactions.length - 1];
+    const parsed = ethers.Transaction.from(latest.signedTx);
+    const from = parsed.from;
+    const nonce = parsed.nonce;
+
+    console.log(
+      `Resuming tx with nonce ${nonce} from ${from} (${transactions.length} saved versions)`
+    );
+
+    const txRequest = {
+      to: parsed.to,
+      data: parsed.data,
+      value: parsed.value,
+      gasLimit: parsed.gasLimit,
+    };
+
+    // A mined version is settled by the wait below
+    if (!(await this.findReceipt(transactions))) {
+      const minedCount = await this.provider.getTransactionCount(
+        from,
+        "latest"
+      );
+      if (minedCount > nonce) {
+        if (!(await this.findReceipt(transactions))) {
+          for (const tx of transactions) {
+            tx.status = "dropped";
+          }
+          if (persist) await persist(transactions);
+          await this.nonceManager.confirm(this.chain.chainId, from, nonce);
+          console.warn(
+            `Saved txs for nonce ${nonce} were never mined; the nonce is used by another tx`
+          );
+          return null;
+        }
+      } else {
+        await this.rebroadcast(latest, nonce, from, transactions, persist);
+      }
+    }
+
+    const minedReceipt = await this.waitWithReplacement(
+      txRequest,
+      nonce,
+      from,
+      transactions,
+      persist
+    );
+
+    return { receipt: minedReceipt, nonce, from, transactions };
+  }
+
+  // Not mined and the nonce is still open: put the same signed bytes back
+  // on the network (this can never create a second contract)
+  async rebroadcast(latest, nonce, from, transactions, persist) {
+    await this.nonceManager.markBroadcast(
+      this.chain.chainId,
+      from,
+      nonce,
+      latest.hash,
+      this.owner
+    );
+    try {
+      await this.provider.broadcastTransaction(latest.signedTx);
+      console.log(`Rebroadcast saved tx ${latest.hash}`);
+    } catch (error) {
+      // Usually "already known"; the wait below decides what happened
+      console.warn(
+        `Rebroadcast of ${latest.hash} not accepted: ${
+          error.shortMessage || error.message
+        }`
+      );
+    }
+    if (latest.status === "signed") {
+      latest.status = "pending";
+      if (persist) await persist(transactions);
+    }
+  }
+
+  async sign(txRequest, nonce, fees) {
+    const populated = await this.signer.populateTransaction({
+      ...txRequest,
+      ...fees,
+      nonce,
+      chainId: this.chain.chainId,
+    });
+    const signedTx = await this.signer.signTransaction(populated);
+
+    return {
+      hash: ethers.keccak256(signedTx),
+      nonce,
+      signedTx,
+      type: fees.type,
+      gasPrice: fees.gasPrice?.toString() ?? null,
+      maxFeePerGas: fees.maxFeePerGas?.toString() ?? null,
+      maxPriorityFeePerGas: fees.maxPriorityFeePerGas?.toString() ?? null,
+      broadcastAt: null,
+      status: "signed",
+    };
+  }
+
+  // Sign, store, then broadcast one version of the transaction. Only a
+  // version the node refused is failed; one whose broadcast failed otherwise
+  // is kept pending, as the node may have taken it, until a receipt or the
+  // account nonce settles it.
+  async signAndBroadcast(txRequest, nonce, fees, transactions, persist) {
+    const entry = await this.sign(txRequest, nonce, fees);
+    transactions.push(entry);
+    if (persist) await persist(transactions);
+
+    try {
+      await this.provider.broadcastTransaction(entry.signedTx);
+    } catch (error) {
+      if (isRejectedTxError(error)) {
+        entry.status = "failed";
+        if (persist) await persist(transactions);
+        throw error;
+      }
+      console.warn(
+        `Broadcast of ${entry.hash} failed, treating it as sent: ${
+          error.shortMessage || error.message
+        }`
+      );
+    }
+
+    entry.status = "pending";
+    entry.broadcastAt = new Date();
+    if (persist) await persist(transactions);
+    return entry;
+  }
+
+  async broadcastFirst(txRequest, fees, from, transactions, persist) {
+    const { chainId } = this.chain;
+
+    for (let attempt = 0; ; attempt++) {
+      const nonce = await this.nonceManager.reserve(
+        chainId,
+        this.provider,
+        from,
+        this.owner
+      );
+
+      try {
+        const entry = await this.signAndBroadcast(
+          txRequest,
+          nonce,
+          fees,
+          transactions,
+          persist
+        );
+        await this.nonceManager.markBroadcast(
+          chainId,
+          from,
+          nonce,
+          entry.hash,
+          this.owner
+        );
+        console.log(`Broadcast tx ${entry.hash} with nonce ${nonce}`);
+        return nonce;
+      } catch (error) {
+        if (isNonceTakenError(error) && attempt < MAX_NONCE_RETRIES) {
+          // Someone else used this nonce; resync and take another one
+          console.warn(`Nonce ${nonce} already used: ${error.shortMessage}`);
+          await this.nonceManager.confirm(chainId, from, nonce);
+          await this.nonceManager.reconcile(chainId, this.provider, from);
+          continue;
+        }
+
+        // A version that may be on the network keeps the nonce
+        const sent = transactions.some(
+          (tx) =>
+            tx.nonce === nonce && !["signed", "failed"].includes(tx.status)
+        );
+        if (!sent) {
+          await this.nonceManager.release(chainId, from, nonce);
+        }
+        throw error;
+      }
+    }
+  }
+
+  // Higher fees for a replacement: at least the bump over the last attempt
+  // and never below what the network currently asks for
+  async bumpFees(previous) {
+    const network = await getFeeOverrides(this.chain, this.provider);
+    const cap = this.chain.gasPolicy.maxFeeGwei
+      ? ethers.parseUnits(String(this.chain.gasPolicy.maxFeeGwei), "gwei")
+      : null;
+
+    if (previous.type === 0) {
+      let gasPrice = max(
+        raise(BigInt(previous.gasPrice), this.feeBumpPercent),
+        network.gasPrice
+      );
+      if (cap && gasPrice > cap) gasPrice = cap;
+      if (gasPrice < raise(BigInt(previous.gasPrice), MIN_FEE_BUMP_PERCENT)) {
+        return null;
+      }
+      return { type: 0, gasPrice };
+    }
+
+    const maxPriorityFeePerGas = max(
+      raise(BigInt(previous.maxPriorityFeePerGas), this.feeBumpPercent),
+      network.maxPriorityFeePerGas
+    );
+    let maxFeePerGas = max(
+      raise(BigInt(previous.maxFeePerGas), this.feeBumpPercent),
+      network.maxFeePerGas,
+      maxPriorityFeePerGas
+    );
+    if (cap && maxFeePerGas > cap) maxFeePerGas = cap;
+
+    if (
+      maxFeePerGas <
+        raise(BigInt(previous.maxFeePerGas), MIN_FEE_BUMP_PERCENT) ||
+      maxPriorityFeePerGas > maxFeePerGas
+    ) {
+      return null;
+    }
+    return { type: 2, maxFeePerGas, maxPriorityFeePerGas };
+  }
+
+  // Resolves with the receipt of whichever broadcast version was mined, or
+  // null when none was mined before the deadline
+  async findReceipt(transactions) {
+    for (const tx of [...transactions].reverse()) {
+      if (tx.status === "failed") continue;
+      const receipt = await this.provider.getTransactionReceipt(tx.hash);
+      if (receipt) return receipt;
+    }
+    return null;
+  }
+
+  async waitForAny(transactions, nonce, from, deadline) {
+    while (Date.now() < deadline) {
+      const receipt = await this.findReceipt(transactions);
+      if (receipt) return receipt;
+
+      const minedCount = await this.provider.getTransactionCount(
+        from,
+        "latest"
+      );
+      if (minedCount > nonce) {
+        // The nonce is spent; it is ours if a receipt shows up now
+        const lateReceipt = await this.findReceipt(transactions);
+        if (lateReceipt) return lateReceipt;
+
+        await this.nonceManager.confirm(this.chain.chainId, from, nonce);
+        throw new Error(
+          `Nonce ${nonce} was consumed by a transaction not sent by this job`
+        );
+      }
+
+      await sleep(this.pollIntervalMs);
+    }
+
+    return null;
+  }
+
+  // Record which version landed, wait for the confirmation depth and free
+  // the nonce. Returns null when the receipt is not confirmed in time (a
+  // reorg dropped it, or the node stalled); its versions are pending again.
+  async settle(receipt, nonce, from, transactions, persist) {
+    for (const tx of transactions) {
+      if (tx.status !== "failed") {
+        tx.status = tx.hash === receipt.hash ? "mined" : "replaced";
+      }
+    }
+    if (persist) await persist(transactions);
+
+    // One confirmation at a time, so each can be reported
+    let confirmed = receipt;
+    for (let count = 1; count <= this.chain.confirmations; count++) {
+      try {
+        confirmed = await this.provider.waitForTransaction(
+          receipt.hash,
+          count,
+          this.confirmationTimeoutMs
+        );
+      } catch (error) {
+        if (error.code !== "TIMEOUT") throw error;
+        confirmed = null;
+      }
+      if (!confirmed) {
+        console.warn(
+          `Transaction ${receipt.hash} not confirmed ${count} time(s) within ${this.confirmationTimeoutMs}ms; waiting for nonce ${nonce} again`
+        );
+        for (const tx of transactions) {
+          if (["mined", "replaced"].includes(tx.status)) {
+            tx.status = "pending";
+          }
+        }
+        if (persist) await persist(transactions);
+        return null;
+      }
+      if (this.onConfirmation) {
+        await this.onConfirmation(count, this.chain.confirmations, confirmed);
+      }
+    }
+    await this.nonceManager.confirm(this.chain.chainId, from, nonce);
+
+    if (confirmed.status === 0) {
+      throw new Error(`Transaction ${confirmed.hash} reverted`);
+    }
+    return confirmed;
+  }
+
+  async waitWithReplacement(txRequest, nonce, from, transactions, persist) {
+    const { chainId } = this.chain;
+    let replacements = 0;
+    let unconfirmed = 0;
+    let lastFees = transactions.filter((tx) => tx.status !== "failed").pop();
+
+    for (;;) {
+      const receipt = await this.waitForAny(
+        transactions,
+        nonce,
+        from,
+        Date.now() + this.replacementTimeoutMs
+      );
+
+      if (receipt) {
+        const confirmed = await this.settle(
+          receipt,
+          nonce,
+          from,
+          transactions,
+          persist
+        );
+        if (confirmed) {
+          return confirmed;
+        }
+        // Back to waiting: a version mined again is settled, one left out of
+        // a block is replaced
+        if (++unconfirmed > this.maxReplacements) {
+          throw new Error(
+            `Transaction with nonce ${nonce} was mined but not confirmed after ${unconfirmed} attempts`
+          );
+        }
+        continue;
+      }
+
+      if (replacements >= this.maxReplacements) {
+        throw new Error(
+          `Transaction with nonce ${nonce} still pending after ${replacements} replacements (${transactions
+            .map((tx) => tx.hash)
+            .join(", ")})`
+        );
+      }
+
+      const fees = await this.bumpFees(lastFees);
+      if (!fees) {
+        console.warn(
+          `Cannot bump fees for nonce ${nonce} within the ${this.chain.gasPolicy.maxFeeGwei} gwei cap, waiting`
+        );
+        replacements++;
+        continue;
+      }
+
+      replacements++;
+      lastFees = {
+        type: fees.type,
+        gasPrice: fees.gasPrice?.toString(),
+        maxFeePerGas: fees.maxFeePerGas?.toString(),
+        maxPriorityFeePerGas: fees.maxPriorityFeePerGas?.toString(),
+      };
+      try {
+        const entry = await this.signAndBroadcast(
+          txRequest,
+          nonce,
+          fees,
+          transactions,
+          persist
+        );
+        await this.nonceManager.markBroadcast(
+          chainId,
+          from,
+          nonce,
+          entry.hash,
+          this.owner
+        );
+        console.log(
+          `Replaced stuck tx for nonce ${nonce} with ${entry.hash} (replacement ${replacements})`
+        );
+      } catch (error) {
+        // Refused (e.g. the nonce is already mined); the next wait sorts it out
+        console.warn(
+          `Replacement for nonce ${nonce} not accepted: ${
+            error.shortMessage || error.message
+          }`
+        );
+      }
+    }
+  }
+}
+
+export default TransactionSender;
@@ -0,0 +1,332 @@
+import crypto from "crypto";
+import { ethers } from "ethers";
+import Usage from "../models/usage.model.js";
+import Contract from "../models/contract.model.js";
+import Relay from "../models/relay.model.js";
+import { listChains } from "../config/chains.js";
+import { getRedisClient } from "../config/redis.js";
+import {
+  BUDGET_PERIODS,
+  getDeployBudget,
+  periodStart,
+  periodEnd,
+} from "../config/budgets.js";
+
+// error.code of deployments refused by addDeploymentJob, or by the worker
+// just before their tx is sent, and of relays over their tenant's budget
+export const BUDGET_EXCEEDED = "BUDGET_EXCEEDED";
+
+// Budget checks and the reservation they admit are serialized per tenant
+// and chain
+const BUDGET_LOCK_TTL_MS = 10000;
+
+const RELEASE_LOCK_SCRIPT = `
+if redis.call("GET", KEYS[1]) == ARGV[1] then
+  return redis.call("DEL", KEYS[1])
+end
+return 0
+`;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Usage amounts are decimal strings; aggregations sum them as Decimal128
+const toDecimal = (field) => ({ $toDecimal: `$${field}` });
+const decimalToBigInt = (value) => BigInt(value.toString());
+
+// The most a deployment's signed versions can cost: only one of them is
+// mined, at no more than its gas limit and fee cap
+export const maxTxCost = (transactions) =>
+  transactions
+    .filter((tx) => !["failed", "dropped"].includes(tx.status))
+    .reduce((max, tx) => {
+      const parsed = ethers.Transaction.from(tx.signedTx);
+      const cost =
+        parsed.gasLimit * (parsed.maxFeePerGas ?? parsed.gasPrice ?? 0n);
+      return cost > max ? cost : max;
+    }, 0n);
+
+// What a pending deployment can still cost: its reservation until a tx is
+// signed, then the dearest of its signed versions
+export const pendingCost = (contract) => {
+  const signed = maxTxCost(contract.transactions || []);
+  const reserved = BigInt(contract.reservedWei ?? 0);
+  return signed > reserved ? signed : reserved;
+};
+
+const usageEntry = (record) => ({
+  id: record._id,
+  tenant: record.tenant,
+  chainId: record.chainId,
+  network: record.network,
+  circuitId: record.circuitId,
+  contractId: record.contractId,
+  version: record.version,
+  kind: record.kind,
+  contractAddress: record.contractAddress,
+  jobId: record.jobId,
+  txHash: record.txHash,
+  blockNumber: record.blockNumber,
+  gasUsed: record.gasUsed,
+  gasPrice: record.gasPrice,
+  costWei: record.costWei,
+  cost: ethers.formatEther(record.costWei),
+  createdAt: record.createdAt,
+});
+
+class UsageService {
+  // Record the receipt of a deployment tx. Deployments that sent nothing
+  // (CREATE2 code already in place) are not recorded.
+  async recordDeployment(contract, chain, deployment, options = {}) {
+    if (!deployment.txHash || deployment.costWei == null) {
+      return null;
+    }
+
+    return Usage.findOneAndUpdate(
+      { chainId: chain.chainId, txHash: deployment.txHash },
+      {
+        $setOnInsert: {
+          tenant: options.tenant ?? null,
+          network: chain.name,
+          circuitId: contract.circuitId,
+          contractId: contract._id,
+          version: contract.version ?? null,
+          kind: contract.wrapper ? "wrapper" : "verifier",
+          contractAddress: deployment.contractAddress,
+          jobId: options.jobId ? String(options.jobId) : null,
+          blockNumber: deployment.blockNumber,
+          from: deployment.deployerAddress,
+          gasUsed: deployment.gasUsed,
+          gasPrice: deployment.gasPrice,
+          costWei: deployment.costWei,
+        },
+      },
+      { upsert: true, new: true }
+    );
+  }
+
+  // What a tenant spent on deployments on a chain since `since` (wei)
+  async spentSince(tenant, chainId, since) {
+    const [total] = await Usage.aggregate([
+      { $match: { tenant, chainId, createdAt: { $gte: since } } },
+      { $group: { _id: null, costWei: { $sum: toDecimal("costWei") } } },
+    ]);
+    return total ? decimalToBigInt(total.costWei) : 0n;
+  }
+
+  // What a tenant's relays on a chain since `since` cost once mined
+  // (`costWei`), and what the others may still cost (`reservedWei`). Relay
+  // txs are paid by the service's signer, so they count against the
+  // tenant's budget.
+  async relaysSince(tenant, chainId, since) {
+    const [total] = await Relay.aggregate([
+      { $match: { tenant, chainId, createdAt: { $gte: since } } },
+      {
+        $group: {
+          _id: null,
+          costWei: { $sum: toDecimal("costWei") },
+          reservedWei: {
+            $sum: {
+              $cond: [
+                { $eq: [{ $ifNull: ["$costWei", null] }, null] },
+                toDecimal("reservedWei"),
+                0,
+              ],
+            },
+          },
+        },
+      },
+    ]);
+    return {
+      costWei: total ? decimalToBigInt(total.costWei) : 0n,
+      reservedWei: total ? decimalToBigInt(total.reservedWei) : 0n,
+    };
+  }
+
+  // What a tenant's deployments on a chain that are reserved or sent but
+  // not recorded yet can still cost (wei). `exclude` is a contract record
+  // left out, e.g. the one about to send.
+  async inFlightWei(tenant, chainId, exclude = null) {
+    const contracts = await Contract.find(
+      {
+        tenant,
+        chainId,
+        status: "pending",
+        ...(exclude && { _id: { $ne: exclude } }),
+      },
+      { transactions: 1, reservedWei: 1 }
+    );
+    return contracts.reduce((sum, contract) => sum + pendingCost(contract), 0n);
+  }
+
+  // Spending against each configured budget period of a tenant on a chain,
+  // deployments and relays alike. Those in flight are reserved at their
+  // maximum cost, along with `options.reserveWei` (a tx about to be sent).
+  async budgetStatus(tenant, chain, now = new Date(), options = {}) {
+    const budget = getDeployBudget(tenant, chain);
+    const status = [];
+    let inFlight = null;
+
+    for (const period of BUDGET_PERIODS) {
+      if (budget[period] === null || budget[period] === undefined) {
+        continue;
+      }
+      if (inFlight === null) {
+        inFlight =
+          (await this.inFlightWei(tenant, chain.chainId, options.exclude)) +
+          (options.reserveWei ?? 0n);
+      }
+      const limit = ethers.parseEther(String(budget[period]));
+      const since = periodStart(period, now);
+      const relays = await this.relaysSince(tenant, chain.chainId, since);
+      const spent =
+        (await this.spentSince(tenant, chain.chainId, since)) + relays.costWei;
+      const reserved = inFlight + relays.reservedWei;
+      const used = spent + reserved;
+      status.push({
+        period,
+        budget: String(budget[period]),
+        spent: ethers.formatEther(spent),
+        reserved: ethers.formatEther(reserved),
+        remaining: ethers.formatEther(used < limit ? limit - used : 0n),
+        exceeded: used >= limit,
+        resetsAt: periodEnd(period, now),
+      });
+    }
+
+    return status;
+  }
+
+  // Throw (error.code BUDGET_EXCEEDED) when a tenant has used up a budget
+  // on a chain, counting what its deployments and relays in flight can still
+  // cost. This reserves nothing; txs about to be sent go through
+  // reserveWithinBudget.
+  async assertWithinBudget(tenant, chain, options = {}) {
+    const exceeded = (
+      await this.budgetStatus(tenant, chain, new Date(), options)
+    ).find((status) => status.exceeded);
+    if (!exceeded) {
+      return;
+    }
+
+    const error = new Error(
+      `${
+        exceeded.period === "daily" ? "Daily" : "Monthly"
+      } deployment budget of ${exceeded.budget} on ${
+        chain.name
+      } used up (spent ${exceeded.spent}, ${
+        exceeded.reserved
+      } reserved by deployments and relays in flight); it resets at ${exceeded.resetsAt.toISOString()}`
+    );
+    error.code = BUDGET_EXCEEDED;
+    error.budget = { chainId: chain.chainId, network: chain.name, ...exceeded };
+    throw error;
+  }
+
+  // Hold the budget lock of a tenant on a chain while `fn` runs
+  async withBudgetLock(tenant, chain, fn) {
+    const redis = getRedisClient();
+    const key = `budget:lock:${chain.chainId}:${tenant ?? ""}`;
+    const owner = crypto.randomUUID();
+    const deadline = Date.now() + BUDGET_LOCK_TTL_MS;
+
+    while (!(await redis.set(key, owner, "PX", BUDGET_LOCK_TTL_MS, "NX"))) {
+      if (Date.now() > deadline) {
+        throw new Error(`Budget lock of ${tenant ?? "no tenant"} is busy`);
+      }
+      await sleep(100);
+    }
+
+    try {
+      return await fn();
+    } finally {
+      await redis.eval(RELEASE_LOCK_SCRIPT, 1, key, owner);
+    }
+  }
+
+  // Check that a tx costing at most `reserveWei` fits a tenant's budgets on
+  // a chain and record it with `options.reserve`, under the budget lock so
+  // that concurrent txs can't both take the last of a budget. `reserve`
+  // must write something budgetStatus counts (a pending contract's
+  // reservedWei, a relay); its result is returned. Throws like
+  // assertWithinBudget.
+  async reserveWithinBudget(tenant, chain, reserveWei, options = {}) {
+    const { exclude = null, reserve } = options;
+    const budget = getDeployBudget(tenant, chain);
+    if (!BUDGET_PERIODS.some((period) => budget[period] != null)) {
+      return reserve();
+    }
+
+    return this.withBudgetLock(tenant, chain, async () => {
+      await this.assertWithinBudget(tenant, chain, { reserveWei, exclude });
+      return reserve();
+    });
+  }
+
+  // Deployment costs between `from` and `to`: totals per tenant and chain,
+  // and a page of the deployments themselves, newest first. `scope` limits
+  // the report to a tenant.
+  async report({ scope = {}, chainId = null, from, to, page = 1, limit = 50 }) {
+    const query = {
+      ...scope,
+      ...(chainId && { chainId }),
+      createdAt: { $gte: from, $lt: to },
+    };
+
+    const totals = await Usage.aggregate([
+      { $match: query },
+      {
+        $group: {
+          _id: { tenant: "$tenant", chainId: "$chainId" },
+          network: { $first: "$network" },
+          deployments: { $sum: 1 },
+          gasUsed: { $sum: toDecimal("gasUsed") },
+          costWei: { $sum: toDecimal("costWei") },
+        },
+      },
+      { $sort: { "_id.tenant": 1, "_id.chainId": 1 } },
+    ]);
+    const count = totals.reduce((sum, total) => sum + total.deployments, 0);
+
+    const deployments = await Usage.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    return {
+      totals: totals.map((total) => ({
+        tenant: total._id.tenant,
+        chainId: total._id.chainId,
+        network: total.network,
+        deployments: total.deployments,
+        gasUsed: decimalToBigInt(total.gasUsed).toString(),
+        costWei: decimalToBigInt(total.costWei).toString(),
+        cost: ethers.formatEther(decimalToBigInt(total.costWei)),
+      })),
+      deployments: deployments.map(usageEntry),
+      pagination: {
+        page,
+        limit,
+        total: count,
+        pages: Math.ceil(count / limit),
+      },
+    };
+  }
+
+  // Budget status of a tenant on every chain that has a budget for it
+  async budgets(tenant) {
+    const budgets = [];
+    for (const chain of listChains()) {
+      const status = await this.budgetStatus(tenant, chain);
+      if (status.length) {
+        budgets.push({
+          chainId: chain.chainId,
+          network: chain.name,
+          periods: status,
+        });
+      }
+    }
+    return budgets;
+  }
+}
+
+export default UsageService;
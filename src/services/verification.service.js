@@ -0,0 +1,283 @@
+import axios from "axios";
+import { ethers } from "ethers";
+import Contract from "../models/contract.model.js";
+import { getChain } from "../config/chains.js";
+import { getArtifact, toStandardJsonSources } from "./artifact.service.js";
+import { buildSolcSettings } from "./compiler.service.js";
+import WebhookService from "./webhook.service.js";
+
+const SOURCIFY_URL = process.env.SOURCIFY_URL || "https://sourcify.dev/server";
+
+// How often and how long to poll an explorer for the verification result
+const VERIFY_POLL_INTERVAL_MS =
+  Number(process.env.VERIFY_POLL_INTERVAL_MS) || 5000;
+const VERIFY_TIMEOUT_MS = Number(process.env.VERIFY_TIMEOUT_MS) || 300000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Explorers index new contracts with some delay; until then submissions
+// fail with this message and are retried
+const NOT_INDEXED = /unable to locate contract ?code/i;
+
+// Whether a chain has anywhere to verify sources on
+export const canVerify = (chain) =>
+  Boolean((chain.explorerApiUrl && chain.explorerApiKey) || chain.sourcify);
+
+class VerificationService {
+  // Verify a deployed contract's source on the chain's Etherscan-compatible
+  // explorer and on Sourcify. Each result is saved on the contract record
+  // under `verification`; targets already verified are skipped. Without a
+  // version, the latest deployed one is verified. onProgress("verifying",
+  // { explorer }) is called before each explorer.
+  async verifyContract(circuitId, chainId, version = null, options = {}) {
+    const progress = options.onProgress || (async () => {});
+    const chain = getChain(chainId);
+    const contract = await Contract.findOne({
+      circuitId,
+      chainId: chain.chainId,
+      ...(version ? { version } : { status: "deployed" }),
+    }).sort({ version: -1 });
+
+    if (!contract || contract.status !== "deployed") {
+      throw new Error(
+        `No deployed contract for circuitId ${circuitId} on ${chain.name}`
+      );
+    }
+
+    const artifact = contract.artifactKey
+      ? await getArtifact(contract.artifactKey)
+      : null;
+    if (!artifact) {
+      throw new Error(
+        `No compilation artifacts for circuitId ${circuitId} on ${chain.name}`
+      );
+    }
+
+    const compiled =
+      artifact.contracts.find((c) => c.contractName === contract.name) ||
+      artifact.contracts[0];
+
+    const input = {
+      address: contract.contractAddress,
+      sourceName: compiled.sourceName,
+      contractName: compiled.contractName,
+      metadata: compiled.metadata,
+      sources: toStandardJsonSources(artifact.sources),
+      compilerSettings: artifact.compilerSettings.toObject(),
+      constructorArgs: new ethers.Interface(compiled.abi).encodeDeploy(
+        contract.constructorArgs || []
+      ),
+    };
+
+    const results = {};
+
+    if (chain.explorerApiUrl && chain.explorerApiKey) {
+      await progress("verifying", { explorer: "etherscan" });
+      results.etherscan =
+        contract.verification?.etherscan?.status === "verified"
+          ? contract.verification.etherscan
+          : await this.verifyOnEtherscan(contract, chain, input);
+    }
+
+    if (chain.sourcify) {
+      await progress("verifying", { explorer: "sourcify" });
+      results.sourcify =
+        contract.verification?.sourcify?.status === "verified"
+          ? contract.verification.sourcify
+          : await this.verifyOnSourcify(contract, chain, input);
+    }
+
+    // Announce the explorers this run verified the source on
+    const verified = Object.keys(results).filter(
+      (target) =>
+        results[target].status === "verified" &&
+        contract.verification?.[target]?.status !== "verified"
+    );
+    if (verified.length) {
+      await new WebhookService().notify("deployment.verified", contract, {
+        explorers: verified,
+        verification: Object.fromEntries(
+          Object.entries(results).map(([target, { status }]) => [
+            target,
+            status,
+          ])
+        ),
+      });
+    }
+
+    return results;
+  }
+
+  async saveStatus(contractId, target, status) {
+    await Contract.findByIdAndUpdate(contractId, {
+      [`verification.${target}`]: { ...status, updatedAt: new Date() },
+    });
+    return status;
+  }
+
+  // Etherscan-style API call; V2 endpoints serve every chain and select it
+  // with `chainid`
+  async callExplorer(chain, params, method = "get") {
+    const query = { chainid: chain.chainId };
+    const body = { ...params, apikey: chain.explorerApiKey };
+
+    const response =
+      method === "post"
+        ? await axios.post(chain.explorerApiUrl, new URLSearchParams(body), {
+            params: query,
+          })
+        : await axios.get(chain.explorerApiUrl, {
+            params: { ...query, ...body },
+          });
+    return response.data;
+  }
+
+  // Submit the Standard JSON input, then poll checkverifystatus until the
+  // explorer reports a result
+  async verifyOnEtherscan(contract, chain, input) {
+    const url = chain.explorerUrl
+      ? `${chain.explorerUrl}/address/${input.address}#code`
+      : null;
+    const deadline = Date.now() + VERIFY_TIMEOUT_MS;
+
+    try {
+      const standardJson = {
+        language: "Solidity",
+        sources: input.sources,
+        settings: buildSolcSettings(input.compilerSettings),
+      };
+
+      let guid = null;
+      while (!guid) {
+        const submission = await this.callExplorer(
+          chain,
+          {
+            module: "contract",
+            action: "verifysourcecode",
+            codeformat: "solidity-standard-json-input",
+            sourceCode: JSON.stringify(standardJson),
+            contractaddress: input.address,
+            contractname: `${input.sourceName}:${input.contractName}`,
+            compilerversion: `v${input.compilerSettings.version}`,
+            // Etherscan's spelling
+            constructorArguements: input.constructorArgs.replace(/^0x/, ""),
+          },
+          "post"
+        );
+
+        if (submission.status === "1") {
+          guid = submission.result;
+        } else if (/already verified/i.test(submission.result)) {
+          return this.saveStatus(contract._id, "etherscan", {
+            status: "verified",
+            guid: null,
+            message: submission.result,
+            url,
+          });
+        } else if (
+          NOT_INDEXED.test(submission.result) &&
+          Date.now() < deadline
+        ) {
+          console.log(
+            `Explorer has not indexed ${input.address} yet, retrying submission`
+          );
+          await sleep(VERIFY_POLL_INTERVAL_MS);
+        } else {
+          throw new Error(submission.result || submission.message);
+        }
+      }
+
+      console.log(`Etherscan verification submitted: ${guid}`);
+      await this.saveStatus(contract._id, "etherscan", {
+        status: "submitted",
+        guid,
+        message: null,
+        url,
+      });
+
+      while (Date.now() < deadline) {
+        await sleep(VERIFY_POLL_INTERVAL_MS);
+
+        const check = await this.callExplorer(chain, {
+          module: "contract",
+          action: "checkverifystatus",
+          guid,
+        });
+
+        if (/pending/i.test(check.result)) {
+          continue;
+        }
+
+        const verified =
+          check.status === "1" || /already verified/i.test(check.result);
+        console.log(`Etherscan verification ${guid}: ${check.result}`);
+        return this.saveStatus(contract._id, "etherscan", {
+          status: verified ? "verified" : "failed",
+          guid,
+          message: check.result,
+          url,
+        });
+      }
+
+      return this.saveStatus(contract._id, "etherscan", {
+        status: "failed",
+        guid,
+        message: `No result after ${VERIFY_TIMEOUT_MS}ms`,
+        url,
+      });
+    } catch (error) {
+      console.error("Etherscan verification failed:", error.message);
+      return this.saveStatus(contract._id, "etherscan", {
+        status: "failed",
+        guid: null,
+        message: error.message,
+        url,
+      });
+    }
+  }
+
+  // Sourcify checks the metadata and sources against the on-chain bytecode
+  // synchronously
+  async verifyOnSourcify(contract, chain, input) {
+    const url = `${SOURCIFY_URL}/verify`;
+
+    try {
+      if (!input.metadata) {
+        throw new Error("Compiler metadata is missing from the artifacts");
+      }
+
+      const files = { "metadata.json": input.metadata };
+      for (const [name, { content }] of Object.entries(input.sources)) {
+        files[name] = content;
+      }
+
+      const response = await axios.post(url, {
+        address: input.address,
+        chain: String(chain.chainId),
+        files,
+      });
+      const [result] = response.data.result || [];
+
+      if (!result || !["perfect", "partial"].includes(result.status)) {
+        throw new Error(result?.message || "Sourcify did not verify the code");
+      }
+
+      console.log(`Sourcify verification: ${result.status} match`);
+      return this.saveStatus(contract._id, "sourcify", {
+        status: "verified",
+        match: result.status,
+        message: null,
+      });
+    } catch (error) {
+      const message = error.response?.data?.error || error.message;
+      console.error("Sourcify verification failed:", message);
+      return this.saveStatus(contract._id, "sourcify", {
+        status: "failed",
+        match: null,
+        message,
+      });
+    }
+  }
+}
+
+export default VerificationService;
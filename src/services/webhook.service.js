@@ -0,0 +1,370 @@
+import axios from "axios";
+import crypto from "crypto";
+import dns from "dns";
+import http from "http";
+import https from "https";
+import net from "net";
+import Contract from "../models/contract.model.js";
+import {
+  Webhook,
+  WebhookDelivery,
+  WEBHOOK_EVENTS,
+} from "../models/webhook.model.js";
+import { getChain } from "../config/chains.js";
+import { addWebhookJob } from "../queue/webhook.queue.js";
+
+const WEBHOOK_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+
+// Webhooks may not reach the service's own network: loopback, private,
+// link-local (cloud metadata), shared and reserved addresses. IPv4-mapped
+// and NAT64 (64:ff9b::/96) IPv6 addresses are checked as the IPv4 address
+// they embed; the local-use NAT64 prefix 64:ff9b:1::/48 is refused. Set
+// WEBHOOK_ALLOW_PRIVATE_URLS=true for receivers on localhost in development.
+const ALLOW_PRIVATE_URLS = process.env.WEBHOOK_ALLOW_PRIVATE_URLS === "true";
+
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, "ipv4");
+}
+for (const [address, prefix] of [
+  ["::", 128],
+  ["::1", 128],
+  ["64:ff9b:1::", 48],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, "ipv6");
+}
+
+const NAT64_ADDRESSES = new net.BlockList();
+NAT64_ADDRESSES.addSubnet("64:ff9b::", 96, "ipv6");
+
+// IPv4 address in the last 32 bits of a NAT64 address
+const nat64Embedded = (address) => {
+  const tail = address.slice(address.lastIndexOf(":") + 1);
+  if (net.isIPv4(tail)) {
+    return tail;
+  }
+  const groups = address.split(":");
+  const value =
+    (parseInt(groups[groups.length - 2] || "0", 16) << 16) +
+    parseInt(groups[groups.length - 1] || "0", 16);
+  return [24, 16, 8, 0].map((shift) => (value >>> shift) & 255).join(".");
+};
+
+export const isBlockedAddress = (address) => {
+  if (ALLOW_PRIVATE_URLS) {
+    return false;
+  }
+  if (net.isIPv6(address) && NAT64_ADDRESSES.check(address, "ipv6")) {
+    return BLOCKED_ADDRESSES.check(nat64Embedded(address), "ipv4");
+  }
+  return BLOCKED_ADDRESSES.check(
+    address,
+    net.isIPv6(address) ? "ipv6" : "ipv4"
+  );
+};
+
+// Resolve a webhook URL's host; throws when it does not resolve or when any
+// of its addresses is blocked
+const assertPublicHost = async (url) => {
+  if (ALLOW_PRIVATE_URLS) {
+    return;
+  }
+
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, "");
+  let addresses;
+  try {
+    addresses = net.isIP(host)
+      ? [{ address: host }]
+      : await dns.promises.lookup(host, { all: true });
+  } catch (error) {
+    throw new Error(`Webhook host ${host} does not resolve`);
+  }
+
+  const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+  if (blocked) {
+    throw new Error(
+      `Webhook host ${host} resolves to a private address (${blocked.address})`
+    );
+  }
+};
+
+// dns.lookup of delivery sockets, refusing blocked addresses: a host that
+// resolves elsewhere once it has been checked (DNS rebinding) is not reached
+const publicLookup = (hostname, options, callback) =>
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+    const addresses = Array.isArray(address) ? address : [{ address }];
+    const blocked = addresses.find((entry) => isBlockedAddress(entry.address));
+    if (blocked) {
+      return callback(
+        new Error(
+          `Webhook host ${hostname} resolves to a private address (${blocked.address})`
+        )
+      );
+    }
+    callback(null, address, family);
+  });
+
+const deliveryAgents = {
+  httpAgent: new http.Agent({ lookup: publicLookup }),
+  httpsAgent: new https.Agent({ lookup: publicLookup }),
+};
+
+// Signature over "<timestamp>.<body>", so a captured delivery cannot be
+// replayed with another timestamp
+export const signWebhookPayload = (secret, timestamp, body) =>
+  `sha256=${crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex")}`;
+
+export const generateWebhookSecret = () =>
+  `whsec_${crypto.randomBytes(24).toString("base64url")}`;
+
+// Webhook listing without the secret
+export const webhookSummary = (webhook) => ({
+  id: webhook._id,
+  tenant: webhook.tenant,
+  url: webhook.url,
+  events: webhook.events,
+  contractId: webhook.contractId,
+  description: webhook.description,
+  active: webhook.active,
+  createdAt: webhook.createdAt,
+});
+
+// Normalized { url, secret, events } of a webhook in a request; throws when
+// it is invalid or its host is private
+export const parseWebhookRequest = async (webhook) => {
+  const {
+    url,
+    secret,
+    events = [],
+  } = typeof webhook === "string" ? { url: webhook } : webhook || {};
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new Error(`Invalid webhook URL: ${url}`);
+  }
+  if (!["http:", "https:"].includes(parsed.protocol)) {
+    throw new Error(`Webhook URL must be http(s): ${url}`);
+  }
+  if (secret !== undefined && (typeof secret !== "string" || !secret)) {
+    throw new Error("Webhook secret must be a non-empty string");
+  }
+  if (
+    !Array.isArray(events) ||
+    events.some((event) => !WEBHOOK_EVENTS.includes(event))
+  ) {
+    throw new Error(
+      `Webhook events must be among ${WEBHOOK_EVENTS.join(", ")}`
+    );
+  }
+
+  await assertPublicHost(parsed.toString());
+
+  return { url: parsed.toString(), secret, events };
+};
+
+class WebhookService {
+  // Register webhooks for one contract record (from a deploy request).
+  // Returns them with their secrets, which are not shown again.
+  async subscribe(contract, webhooks) {
+    const created = [];
+    for (const { url, secret, events } of webhooks) {
+      const webhook = await Webhook.create({
+        tenant: contract.tenant,
+        url,
+        secret: secret || generateWebhookSecret(),
+        events,
+        contractId: contract._id,
+      });
+      created.push({ ...webhookSummary(webhook), secret: webhook.secret });
+    }
+    return created;
+  }
+
+  // Queue a delivery of `event` to every webhook subscribed to it: the
+  // tenant's and the contract record's own. `target` is a contract record
+  // or { circuitId, chainId, version } (the latest version when absent).
+  // Notifications never fail the caller; errors are only logged.
+  async notify(event, target, details = {}) {
+    try {
+      const contract = target._id
+        ? target
+        : await Contract.findOne({
+            circuitId: target.circuitId,
+            chainId: getChain(target.chainId).chainId,
+            ...(target.version && { version: target.version }),
+          }).sort({ version: -1 });
+      if (!contract) {
+        return [];
+      }
+
+      const webhooks = await Webhook.find({
+        active: true,
+        $or: [
+          { tenant: contract.tenant, contractId: null },
+          { contractId: contract._id },
+        ],
+      });
+      const subscribed = webhooks.filter(
+        (webhook) => !webhook.events.length || webhook.events.includes(event)
+      );
+      if (!subscribed.length) {
+        return [];
+      }
+
+      const payload = {
+        id: crypto.randomUUID(),
+        event,
+        createdAt: new Date().toISOString(),
+        data: {
+          circuitId: contract.circuitId,
+          chainId: contract.chainId,
+          network: contract.network,
+          version: contract.version ?? null,
+          contractId: String(contract._id),
+          tenant: contract.tenant ?? null,
+          status: contract.status,
+          contractAddress: contract.contractAddress ?? null,
+          txHash: contract.txHash ?? null,
+          blockNumber: contract.blockNumber ?? null,
+          ...details,
+          ...(details.jobId && { jobId: String(details.jobId) }),
+        },
+      };
+
+      const deliveries = [];
+      for (const webhook of subscribed) {
+        const delivery = await WebhookDelivery.create({
+          webhookId: webhook._id,
+          tenant: webhook.tenant,
+          event,
+          circuitId: contract.circuitId,
+          chainId: contract.chainId,
+          url: webhook.url,
+          payload,
+        });
+        deliveries.push(await this.enqueue(delivery));
+      }
+      return deliveries;
+    } catch (error) {
+      console.error(`Error queueing ${event} webhooks:`, error.message);
+      return [];
+    }
+  }
+
+  async enqueue(delivery) {
+    const jobId = await addWebhookJob(delivery._id);
+    return WebhookDelivery.findByIdAndUpdate(
+      delivery._id,
+      { jobId: String(jobId) },
+      { new: true }
+    );
+  }
+
+  // POST a delivery to its webhook. Throws on anything but a 2xx so the
+  // queue retries it; the last attempt marks it failed.
+  async deliver(deliveryId, { finalAttempt = true } = {}) {
+    const delivery = await WebhookDelivery.findById(deliveryId);
+    if (!delivery || delivery.status === "delivered") {
+      return delivery;
+    }
+
+    const webhook = await Webhook.findById(delivery.webhookId);
+    if (!webhook?.active) {
+      return WebhookDelivery.findByIdAndUpdate(
+        deliveryId,
+        { status: "failed", error: "Webhook is disabled" },
+        { new: true }
+      );
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    let responseStatus = null;
+    let error = null;
+    try {
+      // Hosts are checked again: their addresses may have changed since
+      // the webhook was registered
+      await assertPublicHost(webhook.url);
+      const response = await axios.post(webhook.url, body, {
+        ...deliveryAgents,
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "deploy-contract-webhooks",
+          "X-Webhook-Id": delivery.payload.id,
+          "X-Webhook-Event": delivery.event,
+          "X-Webhook-Timestamp": String(timestamp),
+          "X-Webhook-Signature": signWebhookPayload(
+            webhook.secret,
+            timestamp,
+            body
+          ),
+        },
+        timeout: WEBHOOK_TIMEOUT_MS,
+        maxRedirects: 0,
+        validateStatus: () => true,
+      });
+      responseStatus = response.status;
+      if (responseStatus < 200 || responseStatus >= 300) {
+        error = `Webhook answered HTTP ${responseStatus}`;
+      }
+    } catch (requestError) {
+      error = requestError.message;
+    }
+
+    const updated = await WebhookDelivery.findByIdAndUpdate(
+      deliveryId,
+      {
+        $inc: { attempts: 1 },
+        url: webhook.url,
+        lastAttemptAt: new Date(),
+        responseStatus,
+        error,
+        ...(error
+          ? { status: finalAttempt ? "failed" : "pending" }
+          : { status: "delivered", deliveredAt: new Date() }),
+      },
+      { new: true }
+    );
+
+    if (error) {
+      throw new Error(error);
+    }
+    return updated;
+  }
+
+  // Send a logged delivery again, with its original payload (and event id,
+  // so receivers can tell replays apart from new events)
+  async replay(delivery) {
+    const reset = await WebhookDelivery.findByIdAndUpdate(
+      delivery._id,
+      { status: "pending", error: null },
+      { new: true }
+    );
+    return this.enqueue(reset);
+  }
+}
+
+export default WebhookService;
@@ -0,0 +1,99 @@
+// Pieces shared by the wrapper templates
+
+// verifyProof of snarkjs' Solidity verifiers, per proof system
+const VERIFIERS = {
+  groth16: {
+    interfaceName: "IGroth16Verifier",
+    params: (nPublic) => [
+      "uint[2] calldata _pA",
+      "uint[2][2] calldata _pB",
+      "uint[2] calldata _pC",
+      `uint[${nPublic}] calldata _pubSignals`,
+    ],
+    args: ["_pA", "_pB", "_pC", "_pubSignals"],
+  },
+  plonk: {
+    interfaceName: "IPlonkVerifier",
+    params: (nPublic) => [
+      "uint256[24] calldata _proof",
+      `uint256[${nPublic}] calldata _pubSignals`,
+    ],
+    args: ["_proof", "_pubSignals"],
+  },
+  fflonk: {
+    interfaceName: "IFflonkVerifier",
+    params: (nPublic) => [
+      "bytes32[24] calldata _proof",
+      `uint256[${nPublic}] calldata _pubSignals`,
+    ],
+    args: ["_proof", "_pubSignals"],
+  },
+};
+
+// Solidity snippets for a wrapper around a verifier of `proofSystem` taking
+// `nPublic` public signals: the file preamble with the verifier interface,
+// the verifier address variable, the proof parameters of the entrypoint and
+// the verifyProof call
+export const verifierParts = (nPublic, proofSystem = "groth16") => {
+  const verifier = VERIFIERS[proofSystem];
+  if (!verifier) {
+    throw new Error(`Unsupported proof system: ${proofSystem}`);
+  }
+
+  const params = verifier.params(nPublic);
+  const address = `s_${proofSystem}VerifierAddress`;
+
+  return {
+    preamble: `// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.13;
+
+/// @notice Interface for the ${proofSystem} verifier
+interface ${verifier.interfaceName} {
+    function verifyProof(
+        ${params.join(",\n        ")}
+    ) external view returns (bool);
+}
+`,
+    address,
+    params: params.join(",\n        "),
+    call: `${verifier.interfaceName}(${address}).verifyProof(
+            ${verifier.args.join(",\n            ")}
+        )`,
+  };
+};
+
+// Parameter picking one of the public signals as the nullifier
+export const nullifierIndexParam = {
+  name: "nullifierIndex",
+  type: "uint256",
+  description: "Index of the public signal used as nullifier",
+  default: 0,
+  check: (value, { nPublic }) =>
+    BigInt(value) < BigInt(nPublic)
+      ? null
+      : `must be lower than the number of public signals (${nPublic})`,
+};
+
+// Parameter picking the public signal that holds the recipient's address.
+// Claims must come from that address, so a proof seen in the mempool can't
+// be front-run by another sender.
+export const recipientIndexParam = {
+  name: "recipientIndex",
+  type: "uint256",
+  description:
+    "Index of the public signal holding the recipient address, which must send the proof",
+  check: (value, { nPublic, params }) =>
+    BigInt(value) >= BigInt(nPublic)
+      ? `must be lower than the number of public signals (${nPublic})`
+      : value === params.nullifierIndex
+      ? "must differ from nullifierIndex"
+      : null,
+};
+
+// Solidity checks of recipientIndex for a wrapper's constructor; pass
+// `nullifier: false` for wrappers without a nullifierIndex
+export const recipientIndexChecks = (nPublic, { nullifier = true } = {}) =>
+  nullifier
+    ? `require(recipientIndex < ${nPublic}, "recipientIndex out of range");
+        require(recipientIndex != nullifierIndex, "recipientIndex is nullifierIndex");`
+    : `require(recipientIndex < ${nPublic}, "recipientIndex out of range");`;
@@ -0,0 +1,187 @@
+import {
+  verifierParts,
+  nullifierIndexParam,
+  recipientIndexParam,
+  recipientIndexChecks,
+} from "./common.js";
+
+// 1.0.0 paid any sender of a valid proof, so a proof seen in the mempool
+// could be front-run. Kept so wrappers deployed from it still build and
+// verify; new wrappers use 2.0.0.
+export const erc20ClaimV1 = {
+  name: "erc20-claim",
+  version: "1.0.0",
+  deprecated: "Proofs are not bound to their sender; use 2.0.0",
+  contractName: "ProofGatedERC20Claim",
+  description:
+    "Transfers a fixed amount of an ERC-20 token to the sender of each valid proof, once per nullifier. The contract must be funded with the token.",
+  entrypoint: "claim",
+  relayable: false,
+  params: [
+    {
+      name: "token",
+      type: "address",
+      description: "ERC-20 token paid out",
+    },
+    {
+      name: "amount",
+      type: "uint256",
+      description: "Amount paid per claim, in the token's smallest unit",
+      check: (value) => (BigInt(value) > 0n ? null : "must be positive"),
+    },
+    nullifierIndexParam,
+  ],
+  source: (nPublic, proofSystem) => {
+    const v = verifierParts(nPublic, proofSystem);
+    return `${v.preamble}
+interface IERC20 {
+    function transfer(address to, uint256 amount) external returns (bool);
+}
+
+contract ProofGatedERC20Claim {
+    address public ${v.address};
+    address public immutable i_token;
+    uint256 public immutable i_amount;
+    uint256 public immutable i_nullifierIndex;
+    mapping(uint256 => bool) public s_usedNullifiers;
+
+    event ProofResult(bool result);
+    event Claimed(address indexed recipient, uint256 indexed nullifier, uint256 amount);
+
+    error InvalidProof();
+    error NullifierAlreadyUsed(uint256 nullifier);
+    error TransferFailed();
+
+    constructor(
+        address verifierAddress,
+        address token,
+        uint256 amount,
+        uint256 nullifierIndex
+    ) {
+        require(nullifierIndex < ${nPublic}, "nullifierIndex out of range");
+        ${v.address} = verifierAddress;
+        i_token = token;
+        i_amount = amount;
+        i_nullifierIndex = nullifierIndex;
+    }
+
+    /// @notice Claim the token amount with a proof
+    function claim(
+        ${v.params}
+    ) external returns (bool) {
+        uint256 nullifier = _pubSignals[i_nullifierIndex];
+        if (s_usedNullifiers[nullifier]) revert NullifierAlreadyUsed(nullifier);
+
+        bool result = ${v.call};
+        emit ProofResult(result);
+        if (!result) revert InvalidProof();
+
+        s_usedNullifiers[nullifier] = true;
+
+        // Tolerates tokens that return nothing from transfer
+        (bool ok, bytes memory data) = i_token.call(
+            abi.encodeWithSelector(IERC20.transfer.selector, msg.sender, i_amount)
+        );
+        if (!ok || (data.length != 0 && !abi.decode(data, (bool)))) {
+            revert TransferFailed();
+        }
+
+        emit Claimed(msg.sender, nullifier, i_amount);
+        return true;
+    }
+}`;
+  },
+};
+
+// Pays a fixed ERC-20 amount, held by the wrapper, once per nullifier
+export default {
+  name: "erc20-claim",
+  version: "2.0.0",
+  contractName: "ProofGatedERC20Claim",
+  description:
+    "Transfers a fixed amount of an ERC-20 token to the sender of each valid proof, who must be the recipient the proof commits to, once per nullifier. The contract must be funded with the token.",
+  entrypoint: "claim",
+  relayable: false,
+  params: [
+    {
+      name: "token",
+      type: "address",
+      description: "ERC-20 token paid out",
+    },
+    {
+      name: "amount",
+      type: "uint256",
+      description: "Amount paid per claim, in the token's smallest unit",
+      check: (value) => (BigInt(value) > 0n ? null : "must be positive"),
+    },
+    nullifierIndexParam,
+    recipientIndexParam,
+  ],
+  source: (nPublic, proofSystem) => {
+    const v = verifierParts(nPublic, proofSystem);
+    return `${v.preamble}
+interface IERC20 {
+    function transfer(address to, uint256 amount) external returns (bool);
+}
+
+contract ProofGatedERC20Claim {
+    address public ${v.address};
+    address public immutable i_token;
+    uint256 public immutable i_amount;
+    uint256 public immutable i_nullifierIndex;
+    uint256 public immutable i_recipientIndex;
+    mapping(uint256 => bool) public s_usedNullifiers;
+
+    event Claimed(address indexed recipient, uint256 indexed nullifier, uint256 amount);
+
+    error InvalidProof();
+    error NullifierAlreadyUsed(uint256 nullifier);
+    error NotProofRecipient();
+    error TransferFailed();
+
+    constructor(
+        address verifierAddress,
+        address token,
+        uint256 amount,
+        uint256 nullifierIndex,
+        uint256 recipientIndex
+    ) {
+        require(nullifierIndex < ${nPublic}, "nullifierIndex out of range");
+        ${recipientIndexChecks(nPublic)}
+        ${v.address} = verifierAddress;
+        i_token = token;
+        i_amount = amount;
+        i_nullifierIndex = nullifierIndex;
+        i_recipientIndex = recipientIndex;
+    }
+
+    /// @notice Claim the token amount with a proof
+    function claim(
+        ${v.params}
+    ) external returns (bool) {
+        // The proof is bound to its recipient
+        if (_pubSignals[i_recipientIndex] != uint256(uint160(msg.sender))) {
+            revert NotProofRecipient();
+        }
+
+        uint256 nullifier = _pubSignals[i_nullifierIndex];
+        if (s_usedNullifiers[nullifier]) revert NullifierAlreadyUsed(nullifier);
+
+        if (!${v.call}) revert InvalidProof();
+
+        s_usedNullifiers[nullifier] = true;
+
+        // Tolerates tokens that return nothing from transfer
+        (bool ok, bytes memory data) = i_token.call(
+            abi.encodeWithSelector(IERC20.transfer.selector, msg.sender, i_amount)
+        );
+        if (!ok || (data.length != 0 && !abi.decode(data, (bool)))) {
+            revert TransferFailed();
+        }
+
+        emit Claimed(msg.sender, nullifier, i_amount);
+        return true;
+    }
+}`;
+  },
+};
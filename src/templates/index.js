@@ -0,0 +1,115 @@
+import { ethers } from "ethers";
+import verifyAtBlockChain from "./verify-at-blockchain.js";
+import nullifierRegistry from "./nullifier-registry.js";
+import erc20Claim, { erc20ClaimV1 } from "./erc20-claim.js";
+import nftMint, { nftMintV1 } from "./nft-mint.js";
+import signalRegistry, { signalRegistryV1 } from "./signal-registry.js";
+
+// Wrapper contracts deployable in front of a snarkjs verifier. A template is
+// identified by name and version; `params` are its constructor arguments
+// after the verifier address, typed as ABI types. `relayable` templates
+// grant nothing to msg.sender, so the relayer may submit proofs to them.
+// Superseded versions stay registered so the wrappers deployed from them can
+// still be rebuilt and verified; `deprecated` ones are refused for new
+// wrappers.
+const TEMPLATES = [
+  verifyAtBlockChain,
+  nullifierRegistry,
+  erc20ClaimV1,
+  erc20Claim,
+  nftMintV1,
+  nftMint,
+  signalRegistryV1,
+  signalRegistry,
+];
+
+export const DEFAULT_WRAPPER_TEMPLATE = verifyAtBlockChain.name;
+
+const compareVersions = (a, b) => {
+  const left = a.split(".").map(Number);
+  const right = b.split(".").map(Number);
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const diff = (left[i] || 0) - (right[i] || 0);
+    if (diff) return diff;
+  }
+  return 0;
+};
+
+export const listTemplates = () =>
+  TEMPLATES.map(({ params, source, ...template }) => ({
+    ...template,
+    params: params.map(({ check, ...param }) => param),
+  }));
+
+// A template by name, at the given version or the latest one; null when
+// there is none
+export const getTemplate = (name, version = null) =>
+  TEMPLATES.filter(
+    (template) =>
+      template.name === name && (!version || template.version === version)
+  ).sort((a, b) => compareVersions(b.version, a.version))[0] || null;
+
+// Check request params against a template's, filling in defaults. Values are
+// normalized to checksummed addresses and decimal strings.
+export const resolveTemplateParams = (template, params = {}, { nPublic }) => {
+  if (!params || typeof params !== "object" || Array.isArray(params)) {
+    throw new Error("params must be an object");
+  }
+
+  const known = template.params.map(({ name }) => name);
+  const unknown = Object.keys(params).filter((name) => !known.includes(name));
+  if (unknown.length) {
+    throw new Error(
+      `Unknown params for ${template.name}: ${unknown.join(", ")}`
+    );
+  }
+
+  const resolved = {};
+  for (const param of template.params) {
+    const value = params[param.name] ?? param.default;
+    if (value === undefined || value === null || value === "") {
+      throw new Error(`${param.name} is required`);
+    }
+
+    try {
+      ethers.AbiCoder.defaultAbiCoder().encode([param.type], [value]);
+    } catch (error) {
+      throw new Error(`${param.name} must be a valid ${param.type}`);
+    }
+
+    const normalized =
+      param.type === "address"
+        ? ethers.getAddress(value)
+        : param.type.startsWith("uint") || param.type.startsWith("int")
+        ? BigInt(value).toString()
+        : value;
+
+    const invalid = param.check?.(normalized, { nPublic, params: resolved });
+    if (invalid) {
+      throw new Error(`${param.name} ${invalid}`);
+    }
+    resolved[param.name] = normalized;
+  }
+
+  return resolved;
+};
+
+// Source, contract name and constructor arguments of a wrapper for a
+// `proofSystem` verifier taking `nPublic` public signals
+export const buildWrapper = (
+  template,
+  { nPublic, proofSystem = "groth16", verifierAddress, params }
+) => {
+  if (!Number.isInteger(nPublic) || nPublic < 1) {
+    throw new Error(`Invalid number of public signals: ${nPublic}`);
+  }
+
+  return {
+    source: template.source(nPublic, proofSystem),
+    contractName: template.contractName,
+    constructorArgs: [
+      verifierAddress,
+      ...template.params.map(({ name }) => params[name]),
+    ],
+  };
+};
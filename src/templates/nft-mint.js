@@ -0,0 +1,149 @@
+import {
+  verifierParts,
+  nullifierIndexParam,
+  recipientIndexParam,
+  recipientIndexChecks,
+} from "./common.js";
+
+// 1.0.0 minted to any sender of a valid proof, so a proof seen in the
+// mempool could be front-run. Kept so wrappers deployed from it still build
+// and verify; new wrappers use 2.0.0.
+export const nftMintV1 = {
+  name: "nft-mint",
+  version: "1.0.0",
+  deprecated: "Proofs are not bound to their sender; use 2.0.0",
+  contractName: "ProofGatedNFTMint",
+  description:
+    "Mints one token of an NFT collection to the sender of each valid proof, once per nullifier. The collection must expose mint(address) and allow the wrapper to call it.",
+  entrypoint: "mint",
+  relayable: false,
+  params: [
+    {
+      name: "collection",
+      type: "address",
+      description: "NFT contract exposing mint(address to) returns (uint256)",
+    },
+    nullifierIndexParam,
+  ],
+  source: (nPublic, proofSystem) => {
+    const v = verifierParts(nPublic, proofSystem);
+    return `${v.preamble}
+interface IMintableNFT {
+    function mint(address to) external returns (uint256);
+}
+
+contract ProofGatedNFTMint {
+    address public ${v.address};
+    address public immutable i_collection;
+    uint256 public immutable i_nullifierIndex;
+    mapping(uint256 => bool) public s_usedNullifiers;
+
+    event ProofResult(bool result);
+    event Minted(address indexed recipient, uint256 indexed nullifier, uint256 tokenId);
+
+    error InvalidProof();
+    error NullifierAlreadyUsed(uint256 nullifier);
+
+    constructor(
+        address verifierAddress,
+        address collection,
+        uint256 nullifierIndex
+    ) {
+        require(nullifierIndex < ${nPublic}, "nullifierIndex out of range");
+        ${v.address} = verifierAddress;
+        i_collection = collection;
+        i_nullifierIndex = nullifierIndex;
+    }
+
+    /// @notice Mint a token with a proof
+    function mint(
+        ${v.params}
+    ) external returns (uint256 tokenId) {
+        uint256 nullifier = _pubSignals[i_nullifierIndex];
+        if (s_usedNullifiers[nullifier]) revert NullifierAlreadyUsed(nullifier);
+
+        bool result = ${v.call};
+        emit ProofResult(result);
+        if (!result) revert InvalidProof();
+
+        s_usedNullifiers[nullifier] = true;
+        tokenId = IMintableNFT(i_collection).mint(msg.sender);
+        emit Minted(msg.sender, nullifier, tokenId);
+    }
+}`;
+  },
+};
+
+// Mints from an NFT collection that grants the wrapper its minter role
+export default {
+  name: "nft-mint",
+  version: "2.0.0",
+  contractName: "ProofGatedNFTMint",
+  description:
+    "Mints one token of an NFT collection to the sender of each valid proof, who must be the recipient the proof commits to, once per nullifier. The collection must expose mint(address) and allow the wrapper to call it.",
+  entrypoint: "mint",
+  relayable: false,
+  params: [
+    {
+      name: "collection",
+      type: "address",
+      description: "NFT contract exposing mint(address to) returns (uint256)",
+    },
+    nullifierIndexParam,
+    recipientIndexParam,
+  ],
+  source: (nPublic, proofSystem) => {
+    const v = verifierParts(nPublic, proofSystem);
+    return `${v.preamble}
+interface IMintableNFT {
+    function mint(address to) external returns (uint256);
+}
+
+contract ProofGatedNFTMint {
+    address public ${v.address};
+    address public immutable i_collection;
+    uint256 public immutable i_nullifierIndex;
+    uint256 public immutable i_recipientIndex;
+    mapping(uint256 => bool) public s_usedNullifiers;
+
+    event Minted(address indexed recipient, uint256 indexed nullifier, uint256 tokenId);
+
+    error InvalidProof();
+    error NullifierAlreadyUsed(uint256 nullifier);
+    error NotProofRecipient();
+
+    constructor(
+        address verifierAddress,
+        address collection,
+        uint256 nullifierIndex,
+        uint256 recipientIndex
+    ) {
+        require(nullifierIndex < ${nPublic}, "nullifierIndex out of range");
+        ${recipientIndexChecks(nPublic)}
+        ${v.address} = verifierAddress;
+        i_collection = collection;
+        i_nullifierIndex = nullifierIndex;
+        i_recipientIndex = recipientIndex;
+    }
+
+    /// @notice Mint a token with a proof
+    function mint(
+        ${v.params}
+    ) external returns (uint256 tokenId) {
+        // The proof is bound to its recipient
+        if (_pubSignals[i_recipientIndex] != uint256(uint160(msg.sender))) {
+            revert NotProofRecipient();
+        }
+
+        uint256 nullifier = _pubSignals[i_nullifierIndex];
+        if (s_usedNullifiers[nullifier]) revert NullifierAlreadyUsed(nullifier);
+
+        if (!${v.call}) revert InvalidProof();
+
+        s_usedNullifiers[nullifier] = true;
+        tokenId = IMintableNFT(i_collection).mint(msg.sender);
+        emit Minted(msg.sender, nullifier, tokenId);
+    }
+}`;
+  },
+};
@@ -0,0 +1,48 @@
+import { verifierParts, nullifierIndexParam } from "./common.js";
+
+// Accepts each nullifier once, recording it when its proof verifies
+export default {
+  name: "nullifier-registry",
+  version: "1.0.0",
+  contractName: "NullifierRegistry",
+  description: "Records the nullifier of every valid proof and rejects reuse",
+  entrypoint: "submitProof",
+  relayable: true,
+  params: [nullifierIndexParam],
+  source: (nPublic, proofSystem) => {
+    const v = verifierParts(nPublic, proofSystem);
+    return `${v.preamble}
+contract NullifierRegistry {
+    address public ${v.address};
+    uint256 public immutable i_nullifierIndex;
+    mapping(uint256 => bool) public s_usedNullifiers;
+
+    event ProofResult(bool result);
+    event NullifierUsed(uint256 indexed nullifier, address indexed sender);
+
+    error NullifierAlreadyUsed(uint256 nullifier);
+
+    constructor(address verifierAddress, uint256 nullifierIndex) {
+        require(nullifierIndex < ${nPublic}, "nullifierIndex out of range");
+        ${v.address} = verifierAddress;
+        i_nullifierIndex = nullifierIndex;
+    }
+
+    /// @notice Submit a proof; its nullifier is spent when it verifies
+    function submitProof(
+        ${v.params}
+    ) public returns (bool) {
+        uint256 nullifier = _pubSignals[i_nullifierIndex];
+        if (s_usedNullifiers[nullifier]) revert NullifierAlreadyUsed(nullifier);
+
+        bool result = ${v.call};
+        if (result) {
+            s_usedNullifiers[nullifier] = true;
+            emit NullifierUsed(nullifier, msg.sender);
+        }
+        emit ProofResult(result);
+        return result;
+    }
+}`;
+  },
+};
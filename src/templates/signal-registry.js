@@ -0,0 +1,114 @@
+import {
+  verifierParts,
+  recipientIndexParam,
+  recipientIndexChecks,
+} from "./common.js";
+
+// 1.0.0 stored the signals of any valid proof under its sender, so a proof
+// seen in the mempool could be recorded for another address. Kept so
+// wrappers deployed from it still build and verify; new wrappers use 2.0.0.
+export const signalRegistryV1 = {
+  name: "signal-registry",
+  version: "1.0.0",
+  deprecated: "Proofs are not bound to their sender; use 2.0.0",
+  contractName: "SignalRegistry",
+  description:
+    "Stores the public signals of each sender's latest valid proof, readable with getSignals(address)",
+  entrypoint: "submitProof",
+  relayable: false,
+  params: [],
+  source: (nPublic, proofSystem) => {
+    const v = verifierParts(nPublic, proofSystem);
+    return `${v.preamble}
+contract SignalRegistry {
+    address public ${v.address};
+    mapping(address => uint256[${nPublic}]) private s_signals;
+    mapping(address => uint256) public s_verifiedAt;
+
+    event ProofResult(bool result);
+    event SignalsRecorded(address indexed user, uint256[${nPublic}] signals);
+
+    error InvalidProof();
+
+    constructor(address verifierAddress) {
+        ${v.address} = verifierAddress;
+    }
+
+    /// @notice Submit a proof; its public signals are stored for the sender
+    function submitProof(
+        ${v.params}
+    ) public returns (bool) {
+        bool result = ${v.call};
+        emit ProofResult(result);
+        if (!result) revert InvalidProof();
+
+        s_signals[msg.sender] = _pubSignals;
+        s_verifiedAt[msg.sender] = block.number;
+        emit SignalsRecorded(msg.sender, _pubSignals);
+        return true;
+    }
+
+    /// @notice Public signals of the latest valid proof of a user
+    function getSignals(address user) external view returns (uint256[${nPublic}] memory) {
+        return s_signals[user];
+    }
+}`;
+  },
+};
+
+// Keeps the public signals of each sender's latest valid proof
+export default {
+  name: "signal-registry",
+  version: "2.0.0",
+  contractName: "SignalRegistry",
+  description:
+    "Stores the public signals of each sender's latest valid proof, readable with getSignals(address). The sender must be the recipient the proof commits to.",
+  entrypoint: "submitProof",
+  relayable: false,
+  params: [recipientIndexParam],
+  source: (nPublic, proofSystem) => {
+    const v = verifierParts(nPublic, proofSystem);
+    return `${v.preamble}
+contract SignalRegistry {
+    address public ${v.address};
+    uint256 public immutable i_recipientIndex;
+    mapping(address => uint256[${nPublic}]) private s_signals;
+    mapping(address => uint256) public s_verifiedAt;
+
+    event ProofResult(bool result);
+    event SignalsRecorded(address indexed user, uint256[${nPublic}] signals);
+
+    error InvalidProof();
+    error NotProofRecipient();
+
+    constructor(address verifierAddress, uint256 recipientIndex) {
+        ${recipientIndexChecks(nPublic, { nullifier: false })}
+        ${v.address} = verifierAddress;
+        i_recipientIndex = recipientIndex;
+    }
+
+    /// @notice Submit a proof; its public signals are stored for the sender
+    function submitProof(
+        ${v.params}
+    ) public returns (bool) {
+        // The proof is bound to its recipient
+        if (_pubSignals[i_recipientIndex] != uint256(uint160(msg.sender))) {
+            revert NotProofRecipient();
+        }
+
+        if (!${v.call}) revert InvalidProof();
+        emit ProofResult(true);
+
+        s_signals[msg.sender] = _pubSignals;
+        s_verifiedAt[msg.sender] = block.number;
+        emit SignalsRecorded(msg.sender, _pubSignals);
+        return true;
+    }
+
+    /// @notice Public signals of the latest valid proof of a user
+    function getSignals(address user) external view returns (uint256[${nPublic}] memory) {
+        return s_signals[user];
+    }
+}`;
+  },
+};
@@ -0,0 +1,35 @@
+import { verifierParts } from "./common.js";
+
+// Forwards proofs to the verifier and emits the result
+export default {
+  name: "verify-at-blockchain",
+  version: "1.0.0",
+  contractName: "VerifyAtBlockChain",
+  description: "Emits ProofResult for every submitted proof",
+  entrypoint: "submitProof",
+  relayable: true,
+  params: [],
+  source: (nPublic, proofSystem) => {
+    const v = verifierParts(nPublic, proofSystem);
+    return `${v.preamble}
+contract VerifyAtBlockChain {
+    address public ${v.address};
+
+    event ProofResult(bool result);
+
+    constructor(address verifierAddress) {
+        ${v.address} = verifierAddress;
+    }
+
+    /// @notice Submit a proof to the verifier contract
+    /// @dev Passes the proof and public inputs to the verifier
+    function submitProof(
+        ${v.params}
+    ) public returns (bool) {
+        bool result = ${v.call};
+        emit ProofResult(result);
+        return result;
+    }
+}`;
+  },
+};
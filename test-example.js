@@ -2,6 +2,11 @@ import axios from "axios";
 
 const API_BASE = "http://localhost:3000/api";
 
+// API key for the API routes (see Authentication in the README)
+if (process.env.API_KEY) {
+  axios.defaults.headers.common["X-API-Key"] = process.env.API_KEY;
+}
+
 // Test configuration with artifacts
 const testContract = {
   circuitId: "test_circuit_001",
@@ -30,8 +35,10 @@ async function testAPI() {
 
     // 2. Deploy the contract
     console.log("2. Deploying contract...");
+    // WEBHOOK_URL gets the deployment's events instead of polling below
     const deployResponse = await axios.post(`${API_BASE}/deploy`, {
       circuitId: testContract.circuitId,
+      ...(process.env.WEBHOOK_URL && { webhooks: [process.env.WEBHOOK_URL] }),
     });
     const jobId = deployResponse.data.data.jobId;
     console.log("✅ Deployment job queued. Job ID:", jobId);
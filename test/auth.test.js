@@ -0,0 +1,209 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+
+const SECRET = "test-jwt-secret";
+process.env.JWT_SECRET = SECRET;
+process.env.AUTH_ENABLED = "true";
+
+const { signJwt, verifyJwt } = await import("../src/services/auth.service.js");
+const { authenticate, requireRole, tenantScope } = await import(
+  "../src/middleware/auth.js"
+);
+
+const segment = (value) =>
+  Buffer.from(JSON.stringify(value)).toString("base64url");
+
+// A token with any header and claims, signed with `secret`
+const craftToken = (
+  claims,
+  { header = { alg: "HS256" }, secret = SECRET } = {}
+) => {
+  const input = `${segment(header)}.${segment(claims)}`;
+  const signature = crypto
+    .createHmac("sha256", secret)
+    .update(input)
+    .digest("base64url");
+  return `${input}.${signature}`;
+};
+
+const now = () => Math.floor(Date.now() / 1000);
+
+const fakeRequest = ({ headers = {}, query = {}, path = "/deploy" } = {}) => ({
+  get: (name) => headers[name],
+  query,
+  path,
+});
+
+const fakeResponse = () => ({
+  statusCode: null,
+  body: null,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  },
+});
+
+// Run a middleware; resolves with whether it called next()
+const run = async (middleware, req, res) => {
+  let nextCalled = false;
+  await middleware(req, res, (error) => {
+    if (error) throw error;
+    nextCalled = true;
+  });
+  return nextCalled;
+};
+
+describe("JWTs", () => {
+  it("carry the identity they were signed for", () => {
+    const { token, expiresAt } = signJwt({
+      subject: "ci",
+      tenant: "acme",
+      role: "deployer",
+    });
+
+    assert.ok(expiresAt > new Date());
+    assert.deepEqual(verifyJwt(token), {
+      method: "jwt",
+      subject: "ci",
+      tenant: "acme",
+      role: "deployer",
+    });
+  });
+
+  it("refuse claims changed after signing", () => {
+    const { token } = signJwt({
+      subject: "ci",
+      tenant: "acme",
+      role: "read-only",
+    });
+    const [header, , signature] = token.split(".");
+    const escalated = `${header}.${segment({
+      sub: "ci",
+      tenant: "acme",
+      role: "admin",
+      exp: now() + 60,
+    })}.${signature}`;
+
+    assert.throws(() => verifyJwt(escalated), /Invalid token signature/);
+  });
+
+  it("refuse other keys and algorithms", () => {
+    const claims = { tenant: "acme", role: "admin", exp: now() + 60 };
+
+    assert.throws(
+      () => verifyJwt(craftToken(claims, { secret: "other" })),
+      /Invalid token signature/
+    );
+    assert.throws(
+      () => verifyJwt(craftToken(claims, { header: { alg: "none" } })),
+      /Malformed token/
+    );
+    assert.throws(() => verifyJwt("not.a-token"), /Malformed token/);
+  });
+
+  it("refuse expired and not yet valid tokens", () => {
+    assert.throws(
+      () =>
+        verifyJwt(
+          craftToken({ tenant: "acme", role: "admin", exp: now() - 1 })
+        ),
+      /Token expired/
+    );
+    assert.throws(
+      () =>
+        verifyJwt(
+          craftToken({ tenant: "acme", role: "admin", nbf: now() + 60 })
+        ),
+      /Token not yet valid/
+    );
+  });
+
+  it("need a tenant and a known role", () => {
+    assert.throws(
+      () => verifyJwt(craftToken({ tenant: "acme", role: "root" })),
+      /Token has no tenant or role/
+    );
+    assert.throws(
+      () => verifyJwt(craftToken({ role: "admin" })),
+      /Token has no tenant or role/
+    );
+  });
+});
+
+describe("authenticate", () => {
+  it("sets req.auth from a bearer token", async () => {
+    const { token } = signJwt({ subject: "ci", tenant: "acme", role: "admin" });
+    const req = fakeRequest({ headers: { Authorization: `Bearer ${token}` } });
+
+    assert.equal(await run(authenticate, req, fakeResponse()), true);
+    assert.equal(req.auth.tenant, "acme");
+    assert.deepEqual(tenantScope(req), { tenant: "acme" });
+  });
+
+  it("answers 401 without a valid credential", async () => {
+    for (const headers of [{}, { Authorization: "Bearer nope" }]) {
+      const res = fakeResponse();
+      assert.equal(
+        await run(authenticate, fakeRequest({ headers }), res),
+        false
+      );
+      assert.equal(res.statusCode, 401);
+    }
+  });
+
+  it("takes a token from the query string for job streams only", async () => {
+    const { token } = signJwt({
+      subject: "ui",
+      tenant: "acme",
+      role: "read-only",
+    });
+    const query = { access_token: token };
+
+    const stream = fakeRequest({ query, path: "/deploy/status/1/stream" });
+    assert.equal(await run(authenticate, stream, fakeResponse()), true);
+    assert.equal(stream.auth.role, "read-only");
+
+    const res = fakeResponse();
+    assert.equal(await run(authenticate, fakeRequest({ query }), res), false);
+    assert.equal(res.statusCode, 401);
+  });
+});
+
+describe("requireRole", () => {
+  const as = (role) => {
+    const req = fakeRequest();
+    req.auth = { method: "jwt", subject: null, tenant: "acme", role };
+    return req;
+  };
+
+  it("admits the role and those above it", async () => {
+    for (const role of ["deployer", "admin"]) {
+      assert.equal(
+        await run(requireRole("deployer"), as(role), fakeResponse()),
+        true,
+        role
+      );
+    }
+  });
+
+  it("answers 403 to roles below it", async () => {
+    const res = fakeResponse();
+
+    assert.equal(await run(requireRole("admin"), as("deployer"), res), false);
+    assert.equal(res.statusCode, 403);
+    assert.equal(res.body.error, "The admin role is required");
+  });
+
+  it("admits anonymous requests when authentication is off", async () => {
+    const req = fakeRequest();
+    req.auth = null;
+
+    assert.equal(await run(requireRole("admin"), req, fakeResponse()), true);
+    assert.deepEqual(tenantScope(req), {});
+  });
+});
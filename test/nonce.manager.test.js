@@ -0,0 +1,167 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import RedisMock from "ioredis-mock";
+import NonceManager from "../src/services/nonce.manager.js";
+
+const CHAIN_ID = 137;
+const ADDRESS = "0x00000000000000000000000000000000000000aA";
+
+// Account whose mined and pending tx counts the test sets
+const fakeProvider = (latest, pending = latest) => ({
+  latest,
+  pending,
+  async getTransactionCount(address, blockTag) {
+    return blockTag === "latest" ? this.latest : this.pending;
+  },
+  async getTransaction() {
+    return null;
+  },
+});
+
+describe("NonceManager", () => {
+  let redis;
+  let manager;
+  let keys;
+
+  beforeEach(async () => {
+    redis = new RedisMock();
+    await redis.flushall();
+    manager = new NonceManager(redis);
+    keys = manager.keys(CHAIN_ID, ADDRESS);
+  });
+
+  it("starts from the pending count and hands out consecutive nonces", async () => {
+    const provider = fakeProvider(7);
+
+    assert.equal(await manager.reserve(CHAIN_ID, provider, ADDRESS, "a"), 7);
+    assert.equal(await manager.reserve(CHAIN_ID, provider, ADDRESS, "b"), 8);
+    assert.equal(await redis.get(keys.next), "9");
+
+    const inflight = await redis.hgetall(keys.inflight);
+    assert.deepEqual(Object.keys(inflight).sort(), ["7", "8"]);
+    assert.equal(JSON.parse(inflight[8]).owner, "b");
+  });
+
+  it("reuses released nonces, lowest first", async () => {
+    const provider = fakeProvider(0);
+    for (let i = 0; i < 3; i++) {
+      await manager.reserve(CHAIN_ID, provider, ADDRESS);
+    }
+
+    await manager.release(CHAIN_ID, ADDRESS, 2);
+    await manager.release(CHAIN_ID, ADDRESS, 1);
+
+    assert.equal(await manager.reserve(CHAIN_ID, provider, ADDRESS), 1);
+    assert.equal(await manager.reserve(CHAIN_ID, provider, ADDRESS), 2);
+    assert.equal(await manager.reserve(CHAIN_ID, provider, ADDRESS), 3);
+  });
+
+  it("forgets confirmed nonces", async () => {
+    const provider = fakeProvider(4);
+    const nonce = await manager.reserve(CHAIN_ID, provider, ADDRESS);
+    await manager.markBroadcast(CHAIN_ID, ADDRESS, nonce, "0xabc");
+    await manager.confirm(CHAIN_ID, ADDRESS, nonce);
+
+    assert.deepEqual(await redis.hgetall(keys.inflight), {});
+  });
+
+  it("releases reservations that were never broadcast as gaps", async () => {
+    const provider = fakeProvider(5);
+    await manager.reserve(CHAIN_ID, provider, ADDRESS);
+    await manager.reserve(CHAIN_ID, provider, ADDRESS);
+    await manager.markBroadcast(CHAIN_ID, ADDRESS, 5, "0xfive");
+    // Nonce 6 was reserved by a worker that crashed long ago
+    await redis.hset(
+      keys.inflight,
+      6,
+      JSON.stringify({ owner: "gone", txHash: null, reservedAt: 0 })
+    );
+
+    const result = await manager.reconcile(CHAIN_ID, provider, ADDRESS);
+
+    assert.deepEqual(result.gaps, [6]);
+    assert.deepEqual(result.inflight, [5]);
+    assert.equal(await manager.reserve(CHAIN_ID, provider, ADDRESS), 6);
+  });
+
+  it("forgets nonces below the mined count", async () => {
+    const provider = fakeProvider(0);
+    await manager.reserve(CHAIN_ID, provider, ADDRESS);
+    await manager.reserve(CHAIN_ID, provider, ADDRESS);
+    await manager.release(CHAIN_ID, ADDRESS, 0);
+    await manager.markBroadcast(CHAIN_ID, ADDRESS, 1, "0xone");
+
+    provider.latest = provider.pending = 2;
+    const result = await manager.reconcile(CHAIN_ID, provider, ADDRESS);
+
+    assert.deepEqual(result.gaps, []);
+    assert.deepEqual(await redis.hgetall(keys.inflight), {});
+    assert.deepEqual(await redis.zrange(keys.released, 0, -1), []);
+    assert.equal(await manager.reserve(CHAIN_ID, provider, ADDRESS), 2);
+  });
+
+  it("skips past nonces used by another sender", async () => {
+    const provider = fakeProvider(3);
+    await manager.reserve(CHAIN_ID, provider, ADDRESS);
+    await manager.confirm(CHAIN_ID, ADDRESS, 3);
+
+    provider.latest = provider.pending = 10;
+    const result = await manager.reconcile(CHAIN_ID, provider, ADDRESS);
+
+    assert.equal(result.next, 10);
+    assert.equal(await manager.reserve(CHAIN_ID, provider, ADDRESS), 10);
+  });
+
+  it("does not release a gap claimed since it was inspected", async () => {
+    await redis.set(keys.next, 3);
+    const stale = JSON.stringify({
+      owner: "gone",
+      txHash: null,
+      reservedAt: 0,
+    });
+    await redis.hset(
+      keys.inflight,
+      2,
+      JSON.stringify({ owner: "new", txHash: null, reservedAt: Date.now() })
+    );
+
+    const released = await redis.releaseGapNonce(
+      keys.next,
+      keys.released,
+      keys.inflight,
+      2,
+      stale
+    );
+
+    assert.equal(released, 0);
+    assert.deepEqual(await redis.zrange(keys.released, 0, -1), []);
+    assert.equal(JSON.parse(await redis.hget(keys.inflight, 2)).owner, "new");
+  });
+
+  it("does not release a gap twice", async () => {
+    await redis.set(keys.next, 3);
+
+    const args = [keys.next, keys.released, keys.inflight, 1, ""];
+    assert.equal(await redis.releaseGapNonce(...args), 1);
+    assert.equal(await redis.releaseGapNonce(...args), 0);
+    assert.deepEqual(await redis.zrange(keys.released, 0, -1), ["1"]);
+  });
+
+  it("skips a reconcile while another one holds the lock", async () => {
+    const provider = fakeProvider(0);
+    await redis.set(keys.lock, "other", "PX", 30000);
+
+    assert.equal(await manager.reconcile(CHAIN_ID, provider, ADDRESS), null);
+    assert.equal(await redis.get(keys.lock), "other");
+  });
+
+  it("releases only its own reconcile lock", async () => {
+    const provider = fakeProvider(0);
+    await manager.reconcile(CHAIN_ID, provider, ADDRESS);
+    assert.equal(await redis.get(keys.lock), null);
+
+    await redis.set(keys.lock, "other");
+    assert.equal(await redis.releaseNonceLock(keys.lock, "mine"), 0);
+    assert.equal(await redis.get(keys.lock), "other");
+  });
+});
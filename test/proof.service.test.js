@@ -0,0 +1,185 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { ethers } from "ethers";
+import {
+  toGroth16Calldata,
+  toPlonkCalldata,
+  toFflonkCalldata,
+  toProofCalldata,
+  proofVerifierAbi,
+  validateProof,
+} from "../src/services/proof.service.js";
+
+const GROTH16_PROOF = {
+  protocol: "groth16",
+  pi_a: ["1", "2", "1"],
+  pi_b: [
+    ["3", "4"],
+    ["5", "6"],
+    ["1", "0"],
+  ],
+  pi_c: ["7", "8", "1"],
+};
+
+// Points numbered in snarkjs' order, then evaluations
+const PLONK_PROOF = {
+  protocol: "plonk",
+  ...Object.fromEntries(
+    ["A", "B", "C", "Z", "T1", "T2", "T3", "Wxi", "Wxiw"].map((name, i) => [
+      name,
+      [String(2 * i + 1), String(2 * i + 2), "1"],
+    ])
+  ),
+  ...Object.fromEntries(
+    ["eval_a", "eval_b", "eval_c", "eval_s1", "eval_s2", "eval_zw"].map(
+      (name, i) => [name, String(19 + i)]
+    )
+  ),
+};
+
+const FFLONK_EVALUATIONS = [
+  "ql",
+  "qr",
+  "qm",
+  "qo",
+  "qc",
+  "s1",
+  "s2",
+  "s3",
+  "a",
+  "b",
+  "c",
+  "z",
+  "zw",
+  "t1w",
+  "t2w",
+  "inv",
+];
+
+const FFLONK_PROOF = {
+  protocol: "fflonk",
+  polynomials: Object.fromEntries(
+    ["C1", "C2", "W1", "W2"].map((name, i) => [
+      name,
+      [String(2 * i + 1), String(2 * i + 2), "1"],
+    ])
+  ),
+  evaluations: Object.fromEntries(
+    FFLONK_EVALUATIONS.map((name, i) => [name, String(9 + i)])
+  ),
+};
+
+const range = (from, to) =>
+  Array.from({ length: to - from + 1 }, (_, i) => BigInt(from + i));
+
+describe("proof calldata", () => {
+  it("swaps the Fp2 coordinates of Groth16's pi_b for the EVM", () => {
+    assert.deepEqual(toGroth16Calldata(GROTH16_PROOF, ["9", "0x0a"]), {
+      _pA: [1n, 2n],
+      _pB: [
+        [4n, 3n],
+        [6n, 5n],
+      ],
+      _pC: [7n, 8n],
+      _pubSignals: [9n, 10n],
+    });
+  });
+
+  it("lays out PLONK proofs as 24 words in snarkjs' order", () => {
+    const { _proof, _pubSignals } = toPlonkCalldata(PLONK_PROOF, ["1"]);
+
+    assert.deepEqual(_proof, range(1, 24));
+    assert.deepEqual(_pubSignals, [1n]);
+  });
+
+  it("lays out FFLONK proofs as 24 bytes32 words", () => {
+    const { _proof } = toFflonkCalldata(FFLONK_PROOF, ["1"]);
+
+    assert.deepEqual(
+      _proof,
+      range(1, 24).map((word) => ethers.toBeHex(word, 32))
+    );
+  });
+
+  it("encodes against each verifier's verifyProof", () => {
+    for (const [proofSystem, proof] of [
+      ["groth16", GROTH16_PROOF],
+      ["plonk", PLONK_PROOF],
+      ["fflonk", FFLONK_PROOF],
+    ]) {
+      const verifier = new ethers.Interface(proofVerifierAbi(proofSystem, 2));
+      const calldata = toProofCalldata(proofSystem, proof, ["1", "2"]);
+      const data = verifier.encodeFunctionData(
+        "verifyProof",
+        Object.values(calldata)
+      );
+
+      // Static arrays only: the selector and 32-byte words
+      const words = proofSystem === "groth16" ? 10 : 26;
+      assert.equal(ethers.dataLength(data), 4 + 32 * words, proofSystem);
+    }
+  });
+
+  it("refuses unknown proof systems", () => {
+    assert.throws(
+      () => toProofCalldata("marlin", {}, []),
+      /Unsupported proof system: marlin/
+    );
+  });
+});
+
+describe("validateProof", () => {
+  it("accepts well-formed proofs", () => {
+    assert.equal(validateProof("groth16", GROTH16_PROOF, ["1"]), null);
+    assert.equal(validateProof("plonk", PLONK_PROOF, ["1"]), null);
+    assert.equal(validateProof("fflonk", FFLONK_PROOF, ["1"]), null);
+  });
+
+  it("refuses a proof of another system", () => {
+    assert.equal(
+      validateProof("plonk", GROTH16_PROOF, ["1"]),
+      "Expected a plonk proof, got groth16"
+    );
+  });
+
+  it("names the value that is not a uint256", () => {
+    assert.equal(
+      validateProof("groth16", GROTH16_PROOF, ["1", "-2"]),
+      "publicSignals[1] is not an unsigned integer: -2"
+    );
+    assert.equal(
+      validateProof(
+        "plonk",
+        { ...PLONK_PROOF, T2: [(2n ** 256n).toString(), "1"] },
+        ["1"]
+      ),
+      `T2[0] is not an unsigned integer: ${2n ** 256n}`
+    );
+    assert.equal(
+      validateProof(
+        "fflonk",
+        {
+          ...FFLONK_PROOF,
+          evaluations: { ...FFLONK_PROOF.evaluations, inv: "x" },
+        },
+        ["1"]
+      ),
+      "evaluations.inv is not an unsigned integer: x"
+    );
+  });
+
+  it("requires Groth16's three points", () => {
+    const { pi_c, ...proof } = GROTH16_PROOF;
+    assert.equal(
+      validateProof("groth16", proof, ["1"]),
+      "proof must have pi_a, pi_b and pi_c"
+    );
+  });
+
+  it("requires an array of public signals", () => {
+    assert.equal(
+      validateProof("groth16", GROTH16_PROOF, "1"),
+      "publicSignals must be an array"
+    );
+  });
+});
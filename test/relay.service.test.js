@@ -0,0 +1,60 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  RELAY_POLICY_LIMITS,
+  relayPolicyError,
+  resolveRelayPolicy,
+} from "../src/services/relay.service.js";
+
+// A wrapper record with relayPolicy overrides
+const wrapper = (overrides) => ({
+  circuitId: "wrapper-1",
+  relayPolicy: { toObject: () => overrides },
+});
+
+describe("relay policy limits", () => {
+  it("let tenants tighten the defaults", () => {
+    assert.equal(relayPolicyError("maxRequests", 1), null);
+    assert.equal(relayPolicyError("windowMs", 7 * 86400000), null);
+    assert.equal(relayPolicyError("spendCap", "0.01"), null);
+    assert.equal(relayPolicyError("enabled", false), null);
+    assert.equal(relayPolicyError("spendCap", null), null);
+  });
+
+  it("refuse values past the operator's limits", () => {
+    assert.equal(
+      relayPolicyError("maxRequests", RELAY_POLICY_LIMITS.maxRequests + 1),
+      `maxRequests must be at most ${RELAY_POLICY_LIMITS.maxRequests}`
+    );
+    assert.equal(
+      relayPolicyError("windowMs", 1000),
+      `windowMs must be at least ${RELAY_POLICY_LIMITS.minWindowMs}`
+    );
+    assert.equal(
+      relayPolicyError("spendCap", "1000"),
+      `spendCap must be at most ${RELAY_POLICY_LIMITS.spendCap}`
+    );
+    assert.equal(
+      relayPolicyError("spendWindowMs", 1),
+      `spendWindowMs must be at least ${RELAY_POLICY_LIMITS.minSpendWindowMs}`
+    );
+  });
+
+  it("apply a wrapper's overrides within the limits", () => {
+    const policy = resolveRelayPolicy(
+      wrapper({ maxRequests: 5, spendCap: "0.01", windowMs: null })
+    );
+
+    assert.equal(policy.maxRequests, 5);
+    assert.equal(policy.spendCap, "0.01");
+    assert.equal(policy.windowMs, resolveRelayPolicy(wrapper({})).windowMs);
+  });
+
+  it("ignore overrides stored past the limits", () => {
+    const policy = resolveRelayPolicy(
+      wrapper({ maxRequests: 1e9, spendCap: "1000", spendWindowMs: 1 })
+    );
+
+    assert.deepEqual(policy, resolveRelayPolicy(wrapper({})));
+  });
+});
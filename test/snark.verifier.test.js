@@ -0,0 +1,153 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { bn254 } from "@noble/curves/bn254";
+import {
+  verifyGroth16,
+  groth16KeyConstants,
+  bytecodeContainsConstant,
+  parseSourceConstants,
+  diffGroth16Constants,
+} from "../src/services/snark.verifier.js";
+
+const { Fr } = bn254.fields;
+const G1 = bn254.G1.ProjectivePoint;
+const G2 = bn254.G2.ProjectivePoint;
+
+// snarkjs' JSON encoding of points
+const g1 = (scalar) => {
+  const { x, y } = G1.BASE.multiply(scalar).toAffine();
+  return [x.toString(), y.toString(), "1"];
+};
+const g2 = (scalar) => {
+  const { x, y } = G2.BASE.multiply(scalar).toAffine();
+  return [
+    [x.c0.toString(), x.c1.toString()],
+    [y.c0.toString(), y.c1.toString()],
+    ["1", "0"],
+  ];
+};
+
+// A Groth16 key and a proof that satisfies it, built from known scalars:
+// with A = r, B = s and vk_x = x, C = (r·s - alpha·beta - x·gamma) / delta
+const ALPHA = 11n;
+const BETA = 13n;
+const GAMMA = 17n;
+const DELTA = 19n;
+const IC = [23n, 29n, 31n];
+
+const VKEY = {
+  protocol: "groth16",
+  curve: "bn128",
+  nPublic: IC.length - 1,
+  vk_alpha_1: g1(ALPHA),
+  vk_beta_2: g2(BETA),
+  vk_gamma_2: g2(GAMMA),
+  vk_delta_2: g2(DELTA),
+  IC: IC.map(g1),
+};
+
+const prove = (publicSignals, r = 37n, s = 41n) => {
+  const x = publicSignals.reduce(
+    (sum, signal, index) => Fr.add(sum, Fr.mul(BigInt(signal), IC[index + 1])),
+    IC[0]
+  );
+  const c = Fr.div(
+    Fr.sub(Fr.sub(Fr.mul(r, s), Fr.mul(ALPHA, BETA)), Fr.mul(x, GAMMA)),
+    DELTA
+  );
+  return {
+    protocol: "groth16",
+    curve: "bn128",
+    pi_a: g1(r),
+    pi_b: g2(s),
+    pi_c: g1(c),
+  };
+};
+
+const SIGNALS = ["5", "7"];
+
+describe("verifyGroth16", () => {
+  it("accepts a valid proof", () => {
+    assert.equal(verifyGroth16(VKEY, prove(SIGNALS), SIGNALS), true);
+  });
+
+  it("rejects a proof of other public signals", () => {
+    assert.equal(verifyGroth16(VKEY, prove(SIGNALS), ["5", "8"]), false);
+  });
+
+  it("rejects a tampered proof", () => {
+    const proof = { ...prove(SIGNALS), pi_c: g1(43n) };
+    assert.equal(verifyGroth16(VKEY, proof, SIGNALS), false);
+  });
+
+  it("reads G2 coordinates in snarkjs' [c0, c1] order", () => {
+    const proof = prove(SIGNALS);
+    const swapped = {
+      ...proof,
+      pi_b: [
+        [proof.pi_b[0][1], proof.pi_b[0][0]],
+        [proof.pi_b[1][1], proof.pi_b[1][0]],
+        proof.pi_b[2],
+      ],
+    };
+    assert.equal(verifyGroth16(VKEY, swapped, SIGNALS), false);
+  });
+
+  it("rejects points off the curve", () => {
+    const proof = { ...prove(SIGNALS), pi_a: ["1", "3", "1"] };
+    assert.equal(verifyGroth16(VKEY, proof, SIGNALS), false);
+  });
+
+  it("rejects public signals outside the scalar field", () => {
+    const signals = [(5n + Fr.ORDER).toString(), "7"];
+    assert.equal(verifyGroth16(VKEY, prove(SIGNALS), signals), false);
+  });
+
+  it("refuses a public signal count the key does not take", () => {
+    assert.throws(
+      () => verifyGroth16(VKEY, prove(SIGNALS), ["5"]),
+      /expects 2 public signals, got 1/
+    );
+  });
+});
+
+describe("groth16KeyConstants", () => {
+  it("names G2 coordinates the way the Solidity verifier stores them", () => {
+    const constants = groth16KeyConstants(VKEY);
+
+    assert.equal(constants.alphax, BigInt(VKEY.vk_alpha_1[0]));
+    assert.equal(constants.betax1, BigInt(VKEY.vk_beta_2[0][1]));
+    assert.equal(constants.betax2, BigInt(VKEY.vk_beta_2[0][0]));
+    assert.equal(constants.deltay1, BigInt(VKEY.vk_delta_2[1][1]));
+    assert.equal(constants.IC2y, BigInt(VKEY.IC[2][1]));
+  });
+
+  it("finds the constants a verifier source gets wrong", () => {
+    const source = Object.entries(groth16KeyConstants(VKEY))
+      .filter(([name]) => name !== "gammax1")
+      .map(([name, value]) => `uint256 constant ${name} = ${value};`)
+      .concat("uint256 constant IC3x = 1;")
+      .join("\n");
+
+    assert.equal(Object.keys(parseSourceConstants(source)).length, 20);
+    assert.deepEqual(diffGroth16Constants(VKEY, source), [
+      {
+        name: "gammax1",
+        expected: VKEY.vk_gamma_2[0][1],
+        actual: null,
+      },
+      { name: "IC3x", expected: null, actual: "1" },
+    ]);
+  });
+});
+
+describe("bytecodeContainsConstant", () => {
+  it("finds a constant pushed with its minimal encoding", () => {
+    assert.equal(bytecodeContainsConstant("0x6001610100", 256n), true);
+    assert.equal(bytecodeContainsConstant("0x6001610100", 1n), true);
+  });
+
+  it("ignores matches that do not start on a byte boundary", () => {
+    assert.equal(bytecodeContainsConstant("0x0610100", 256n), false);
+  });
+});
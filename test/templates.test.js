@@ -0,0 +1,196 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  getTemplate,
+  listTemplates,
+  resolveTemplateParams,
+  buildWrapper,
+} from "../src/templates/index.js";
+
+const TOKEN = "0x5fbdb2315678afecb367f032d93f642f64180aa3";
+const VERIFIER = "0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512";
+
+describe("getTemplate", () => {
+  it("returns the latest version unless one is pinned", () => {
+    assert.equal(getTemplate("erc20-claim").version, "2.0.0");
+    assert.equal(getTemplate("erc20-claim", "1.0.0").version, "1.0.0");
+    assert.equal(getTemplate("erc20-claim", "3.0.0"), null);
+    assert.equal(getTemplate("no-such-template"), null);
+  });
+
+  it("keeps superseded versions, marked deprecated", () => {
+    for (const name of ["erc20-claim", "nft-mint", "signal-registry"]) {
+      assert.ok(getTemplate(name, "1.0.0").deprecated, name);
+      assert.equal(getTemplate(name).deprecated, undefined, name);
+    }
+  });
+
+  it("lists templates without their source and checks", () => {
+    const claim = listTemplates().find(
+      (template) =>
+        template.name === "erc20-claim" && template.version === "2.0.0"
+    );
+
+    assert.equal(claim.source, undefined);
+    assert.deepEqual(
+      claim.params.map((param) => Object.keys(param).includes("check")),
+      [false, false, false, false]
+    );
+  });
+});
+
+describe("resolveTemplateParams", () => {
+  const claim = getTemplate("erc20-claim");
+
+  it("normalizes values and fills in defaults", () => {
+    assert.deepEqual(
+      resolveTemplateParams(
+        claim,
+        { token: TOKEN, amount: "0x10", recipientIndex: 1 },
+        { nPublic: 2 }
+      ),
+      {
+        token: "0x5FbDB2315678afecb367f032d93F642f64180aa3",
+        amount: "16",
+        nullifierIndex: "0",
+        recipientIndex: "1",
+      }
+    );
+  });
+
+  it("requires params without a default", () => {
+    assert.throws(
+      () =>
+        resolveTemplateParams(
+          claim,
+          { token: TOKEN, amount: "1" },
+          { nPublic: 2 }
+        ),
+      /recipientIndex is required/
+    );
+  });
+
+  it("refuses unknown params", () => {
+    assert.throws(
+      () =>
+        resolveTemplateParams(
+          getTemplate("nullifier-registry"),
+          { nullifierIndex: 0, recipient: 1 },
+          { nPublic: 2 }
+        ),
+      /Unknown params for nullifier-registry: recipient/
+    );
+  });
+
+  it("refuses values that do not encode as their ABI type", () => {
+    assert.throws(
+      () =>
+        resolveTemplateParams(
+          claim,
+          { token: "0x1234", amount: "1", recipientIndex: 1 },
+          { nPublic: 2 }
+        ),
+      /token must be a valid address/
+    );
+    assert.throws(
+      () =>
+        resolveTemplateParams(
+          claim,
+          { token: TOKEN, amount: "-1", recipientIndex: 1 },
+          { nPublic: 2 }
+        ),
+      /amount must be a valid uint256/
+    );
+  });
+
+  it("runs each param's own check", () => {
+    assert.throws(
+      () =>
+        resolveTemplateParams(
+          claim,
+          { token: TOKEN, amount: "0", recipientIndex: 1 },
+          { nPublic: 2 }
+        ),
+      /amount must be positive/
+    );
+  });
+
+  it("keeps signal indexes within the public signals", () => {
+    assert.throws(
+      () =>
+        resolveTemplateParams(
+          claim,
+          { token: TOKEN, amount: "1", nullifierIndex: 2, recipientIndex: 1 },
+          { nPublic: 2 }
+        ),
+      /nullifierIndex must be lower than the number of public signals \(2\)/
+    );
+    assert.throws(
+      () =>
+        resolveTemplateParams(
+          getTemplate("signal-registry"),
+          { recipientIndex: 3 },
+          { nPublic: 3 }
+        ),
+      /recipientIndex must be lower than the number of public signals \(3\)/
+    );
+  });
+
+  it("keeps the recipient apart from the nullifier", () => {
+    assert.throws(
+      () =>
+        resolveTemplateParams(
+          getTemplate("nft-mint"),
+          { collection: TOKEN, nullifierIndex: 1, recipientIndex: 1 },
+          { nPublic: 2 }
+        ),
+      /recipientIndex must differ from nullifierIndex/
+    );
+  });
+
+  it("takes an object only", () => {
+    assert.throws(
+      () => resolveTemplateParams(claim, [], { nPublic: 2 }),
+      /params must be an object/
+    );
+  });
+});
+
+describe("buildWrapper", () => {
+  it("puts the verifier first in the constructor arguments", () => {
+    const template = getTemplate("nft-mint");
+    const params = resolveTemplateParams(
+      template,
+      { collection: TOKEN, recipientIndex: 1 },
+      { nPublic: 2 }
+    );
+
+    const wrapper = buildWrapper(template, {
+      nPublic: 2,
+      proofSystem: "plonk",
+      verifierAddress: VERIFIER,
+      params,
+    });
+
+    assert.equal(wrapper.contractName, "ProofGatedNFTMint");
+    assert.deepEqual(wrapper.constructorArgs, [
+      VERIFIER,
+      "0x5FbDB2315678afecb367f032d93F642f64180aa3",
+      "0",
+      "1",
+    ]);
+    assert.match(wrapper.source, /uint256\[24\] calldata _proof/);
+  });
+
+  it("refuses a verifier without public signals", () => {
+    assert.throws(
+      () =>
+        buildWrapper(getTemplate("verify-at-blockchain"), {
+          nPublic: 0,
+          verifierAddress: VERIFIER,
+          params: {},
+        }),
+      /Invalid number of public signals: 0/
+    );
+  });
+});
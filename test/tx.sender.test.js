@@ -0,0 +1,346 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { ethers } from "ethers";
+import TransactionSender from "../src/services/tx.sender.js";
+
+const gwei = (value) => ethers.parseUnits(String(value), "gwei");
+
+const wallet = new ethers.Wallet(
+  "0x0123456789012345678901234567890123456789012345678901234567890123"
+);
+
+const TX_REQUEST = {
+  to: "0x000000000000000000000000000000000000dEaD",
+  data: "0x",
+  gasLimit: 21000n,
+};
+
+const testChain = (gasPolicy = {}) => ({
+  chainId: 1337,
+  name: "test",
+  confirmations: 1,
+  gasPolicy: {
+    type: "eip1559",
+    maxFeeGwei: null,
+    minPriorityFeeGwei: null,
+    replacementTimeoutMs: 30,
+    confirmationTimeoutMs: 30,
+    feeBumpPercent: 20,
+    maxReplacements: 3,
+    ...gasPolicy,
+  },
+});
+
+// A node that mines the txs the test picks
+const fakeProvider = () => ({
+  feeData: {
+    gasPrice: gwei(10),
+    maxFeePerGas: gwei(10),
+    maxPriorityFeePerGas: gwei(1),
+  },
+  broadcast: [],
+  receipts: new Map(),
+  minedCount: 0,
+  broadcastError: null,
+  onBroadcast: null,
+  async getFeeData() {
+    return this.feeData;
+  },
+  async broadcastTransaction(signedTx) {
+    if (this.broadcastError) throw this.broadcastError;
+    const hash = ethers.keccak256(signedTx);
+    this.broadcast.push(hash);
+    this.onBroadcast?.(hash);
+  },
+  async getTransactionReceipt(hash) {
+    return this.receipts.get(hash) || null;
+  },
+  async getTransactionCount() {
+    return this.minedCount;
+  },
+  async waitForTransaction(hash) {
+    return this.receipts.get(hash) || null;
+  },
+  mine(hash) {
+    this.receipts.set(hash, { hash, status: 1, blockNumber: 1 });
+    this.minedCount++;
+  },
+});
+
+const fakeNonceManager = () => ({
+  calls: [],
+  next: 0,
+  async reconcile() {},
+  async reserve() {
+    this.calls.push(["reserve", this.next]);
+    return this.next++;
+  },
+  async markBroadcast(chainId, from, nonce) {
+    this.calls.push(["markBroadcast", nonce]);
+  },
+  async confirm(chainId, from, nonce) {
+    this.calls.push(["confirm", nonce]);
+  },
+  async release(chainId, from, nonce) {
+    this.calls.push(["release", nonce]);
+  },
+});
+
+const createSender = (chain, provider, nonceManager) => {
+  const signer = {
+    provider,
+    getAddress: async () => wallet.address,
+    populateTransaction: async (tx) => tx,
+    signTransaction: (tx) => wallet.signTransaction(tx),
+  };
+  const sender = new TransactionSender(chain, signer, { nonceManager });
+  sender.pollIntervalMs = 5;
+  return sender;
+};
+
+describe("TransactionSender", () => {
+  let provider;
+  let nonceManager;
+
+  beforeEach(() => {
+    provider = fakeProvider();
+    nonceManager = fakeNonceManager();
+  });
+
+  describe("bumpFees", () => {
+    it("raises EIP-1559 fees by the bump percentage", async () => {
+      const sender = createSender(testChain(), provider, nonceManager);
+
+      const fees = await sender.bumpFees({
+        type: 2,
+        maxFeePerGas: gwei(100).toString(),
+        maxPriorityFeePerGas: gwei(2).toString(),
+      });
+
+      assert.deepEqual(fees, {
+        type: 2,
+        maxFeePerGas: gwei(120),
+        maxPriorityFeePerGas: gwei("2.4"),
+      });
+    });
+
+    it("follows the network when it asks for more than the bump", async () => {
+      const sender = createSender(testChain(), provider, nonceManager);
+      provider.feeData = {
+        gasPrice: gwei(300),
+        maxFeePerGas: gwei(300),
+        maxPriorityFeePerGas: gwei(5),
+      };
+
+      const fees = await sender.bumpFees({
+        type: 2,
+        maxFeePerGas: gwei(100).toString(),
+        maxPriorityFeePerGas: gwei(2).toString(),
+      });
+
+      assert.equal(fees.maxFeePerGas, gwei(300));
+      assert.equal(fees.maxPriorityFeePerGas, gwei(5));
+    });
+
+    it("raises legacy gas prices", async () => {
+      const sender = createSender(
+        testChain({ type: "legacy" }),
+        provider,
+        nonceManager
+      );
+
+      const fees = await sender.bumpFees({
+        type: 0,
+        gasPrice: gwei(50).toString(),
+      });
+
+      assert.deepEqual(fees, { type: 0, gasPrice: gwei(60) });
+    });
+
+    it("gives up when the fee cap leaves less than the minimum bump", async () => {
+      const sender = createSender(
+        testChain({ maxFeeGwei: 105 }),
+        provider,
+        nonceManager
+      );
+
+      const fees = await sender.bumpFees({
+        type: 2,
+        maxFeePerGas: gwei(100).toString(),
+        maxPriorityFeePerGas: gwei(2).toString(),
+      });
+
+      assert.equal(fees, null);
+    });
+
+    it("never bumps by less than the minimum nodes accept", () => {
+      const sender = createSender(
+        testChain({ feeBumpPercent: 1 }),
+        provider,
+        nonceManager
+      );
+
+      assert.equal(sender.feeBumpPercent, 10);
+    });
+  });
+
+  describe("signAndBroadcast", () => {
+    it("fails a version the node refused", async () => {
+      const sender = createSender(testChain(), provider, nonceManager);
+      provider.broadcastError = Object.assign(new Error("rejected"), {
+        code: "SERVER_ERROR",
+        info: { error: { message: "intrinsic gas too low" } },
+      });
+      const transactions = [];
+
+      await assert.rejects(
+        sender.signAndBroadcast(
+          TX_REQUEST,
+          0,
+          { type: 0, gasPrice: gwei(1) },
+          transactions,
+          null
+        ),
+        /rejected/
+      );
+      assert.equal(transactions[0].status, "failed");
+    });
+
+    it("keeps a version pending when the broadcast may have gone through", async () => {
+      const sender = createSender(testChain(), provider, nonceManager);
+      provider.broadcastError = Object.assign(new Error("socket hang up"), {
+        code: "NETWORK_ERROR",
+      });
+      const transactions = [];
+
+      const entry = await sender.signAndBroadcast(
+        TX_REQUEST,
+        0,
+        { type: 0, gasPrice: gwei(1) },
+        transactions,
+        null
+      );
+
+      assert.equal(entry.status, "pending");
+      assert.deepEqual(transactions, [entry]);
+    });
+
+    it("stores the signed tx before broadcasting it", async () => {
+      const sender = createSender(testChain(), provider, nonceManager);
+      const stored = [];
+
+      await sender.signAndBroadcast(
+        TX_REQUEST,
+        0,
+        { type: 0, gasPrice: gwei(1) },
+        [],
+        async (transactions) =>
+          stored.push([transactions[0].status, provider.broadcast.length])
+      );
+
+      assert.deepEqual(stored[0], ["signed", 0]);
+      assert.deepEqual(stored.at(-1), ["pending", 1]);
+    });
+  });
+
+  describe("send", () => {
+    it("replaces a stuck tx with higher fees and settles the one mined", async () => {
+      const sender = createSender(testChain(), provider, nonceManager);
+      // Only the replacement gets mined
+      provider.onBroadcast = (hash) => {
+        if (provider.broadcast.length === 2) provider.mine(hash);
+      };
+
+      const { receipt, nonce, transactions } = await sender.send(TX_REQUEST);
+
+      assert.equal(nonce, 0);
+      assert.equal(receipt.hash, provider.broadcast[1]);
+      assert.deepEqual(
+        transactions.map((tx) => tx.status),
+        ["replaced", "mined"]
+      );
+      assert.equal(
+        BigInt(transactions[1].maxFeePerGas),
+        (BigInt(transactions[0].maxFeePerGas) * 120n) / 100n
+      );
+      assert.equal(
+        ethers.Transaction.from(transactions[1].signedTx).nonce,
+        ethers.Transaction.from(transactions[0].signedTx).nonce
+      );
+      assert.deepEqual(nonceManager.calls.at(-1), ["confirm", 0]);
+    });
+
+    it("gives up after the maximum number of replacements", async () => {
+      const sender = createSender(
+        testChain({ maxReplacements: 2 }),
+        provider,
+        nonceManager
+      );
+
+      await assert.rejects(
+        sender.send(TX_REQUEST),
+        /still pending after 2 replacements/
+      );
+      assert.equal(provider.broadcast.length, 3);
+    });
+
+    it("takes another nonce when the reserved one is already used", async () => {
+      const sender = createSender(testChain(), provider, nonceManager);
+      let refused = false;
+      const broadcast = provider.broadcastTransaction.bind(provider);
+      provider.broadcastTransaction = async (signedTx) => {
+        if (!refused) {
+          refused = true;
+          throw Object.assign(new Error("nonce too low"), {
+            code: "NONCE_EXPIRED",
+          });
+        }
+        return broadcast(signedTx);
+      };
+      provider.onBroadcast = (hash) => provider.mine(hash);
+
+      const { nonce, transactions } = await sender.send(TX_REQUEST);
+
+      assert.equal(nonce, 1);
+      assert.deepEqual(
+        transactions.map((tx) => [tx.nonce, tx.status]),
+        [
+          [0, "failed"],
+          [1, "mined"],
+        ]
+      );
+    });
+
+    it("waits again when a mined tx is not confirmed in time", async () => {
+      const sender = createSender(testChain(), provider, nonceManager);
+      provider.onBroadcast = (hash) => provider.mine(hash);
+      let waits = 0;
+      provider.waitForTransaction = async (hash) => {
+        if (++waits === 1) {
+          throw Object.assign(new Error("timeout"), { code: "TIMEOUT" });
+        }
+        return provider.receipts.get(hash);
+      };
+
+      const { receipt, transactions } = await sender.send(TX_REQUEST);
+
+      assert.equal(waits, 2);
+      assert.equal(receipt.hash, provider.broadcast[0]);
+      assert.deepEqual(
+        transactions.map((tx) => tx.status),
+        ["mined"]
+      );
+    });
+
+    it("throws when the mined tx reverted", async () => {
+      const sender = createSender(testChain(), provider, nonceManager);
+      provider.onBroadcast = (hash) => {
+        provider.mine(hash);
+        provider.receipts.get(hash).status = 0;
+      };
+
+      await assert.rejects(sender.send(TX_REQUEST), /reverted/);
+      assert.deepEqual(nonceManager.calls.at(-1), ["confirm", 0]);
+    });
+  });
+});
@@ -0,0 +1,251 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { ethers } from "ethers";
+import UsageService, {
+  BUDGET_EXCEEDED,
+  maxTxCost,
+  pendingCost,
+} from "../src/services/usage.service.js";
+import { periodStart, periodEnd } from "../src/config/budgets.js";
+
+const ether = (value) => ethers.parseEther(String(value));
+const gwei = (value) => ethers.parseUnits(String(value), "gwei");
+
+const wallet = new ethers.Wallet(
+  "0x0123456789012345678901234567890123456789012345678901234567890123"
+);
+
+const signed = async (fees, status = "pending") => ({
+  status,
+  signedTx: await wallet.signTransaction({
+    to: wallet.address,
+    nonce: 0,
+    chainId: 1337,
+    gasLimit: 100000n,
+    ...fees,
+  }),
+});
+
+const testChain = (deployBudget) => ({
+  chainId: 1337,
+  name: "test",
+  deployBudget: { daily: null, monthly: null, ...deployBudget },
+});
+
+const NOW = new Date("2026-03-15T12:00:00Z");
+
+describe("maxTxCost", () => {
+  it("is the dearest version at its gas limit and fee cap", async () => {
+    const transactions = [
+      await signed({
+        type: 2,
+        maxFeePerGas: gwei(10),
+        maxPriorityFeePerGas: 1n,
+      }),
+      await signed({ type: 0, gasPrice: gwei(30) }, "replaced"),
+      await signed({
+        type: 2,
+        maxFeePerGas: gwei(20),
+        maxPriorityFeePerGas: 1n,
+      }),
+    ];
+
+    assert.equal(maxTxCost(transactions), 100000n * gwei(30));
+  });
+
+  it("leaves out versions that can no longer be mined", async () => {
+    const transactions = [
+      await signed({ type: 0, gasPrice: gwei(10) }),
+      await signed({ type: 0, gasPrice: gwei(50) }, "failed"),
+      await signed({ type: 0, gasPrice: gwei(40) }, "dropped"),
+    ];
+
+    assert.equal(maxTxCost(transactions), 100000n * gwei(10));
+    assert.equal(maxTxCost([]), 0n);
+  });
+});
+
+describe("pendingCost", () => {
+  it("is the reservation until a version is signed", () => {
+    assert.equal(pendingCost({ transactions: [], reservedWei: "5000" }), 5000n);
+    assert.equal(pendingCost({ transactions: [], reservedWei: null }), 0n);
+  });
+
+  it("follows replacements dearer than the reservation", async () => {
+    const contract = {
+      transactions: [await signed({ type: 0, gasPrice: gwei(10) })],
+      reservedWei: (100000n * gwei(5)).toString(),
+    };
+    assert.equal(pendingCost(contract), 100000n * gwei(10));
+
+    contract.reservedWei = (100000n * gwei(15)).toString();
+    assert.equal(pendingCost(contract), 100000n * gwei(15));
+  });
+});
+
+describe("periods", () => {
+  it("start and end on UTC days and months", () => {
+    assert.deepEqual(
+      periodStart("daily", NOW),
+      new Date("2026-03-15T00:00:00Z")
+    );
+    assert.deepEqual(periodEnd("daily", NOW), new Date("2026-03-16T00:00:00Z"));
+    assert.deepEqual(
+      periodStart("monthly", NOW),
+      new Date("2026-03-01T00:00:00Z")
+    );
+    assert.deepEqual(
+      periodEnd("monthly", new Date("2026-12-31T23:59:59Z")),
+      new Date("2027-01-01T00:00:00Z")
+    );
+  });
+});
+
+describe("UsageService budgets", () => {
+  let usage;
+  let spentSince;
+  let locks;
+
+  // Deployments spent 0.3 and relays 0.1 in every period, with 0.05 of
+  // relays and 0.2 of deployments in flight
+  beforeEach(() => {
+    usage = new UsageService();
+    spentSince = [];
+    locks = [];
+    usage.spentSince = async (tenant, chainId, since) => {
+      spentSince.push(since);
+      return ether("0.3");
+    };
+    usage.relaysSince = async () => ({
+      costWei: ether("0.1"),
+      reservedWei: ether("0.05"),
+    });
+    usage.inFlightWei = async () => ether("0.2");
+    usage.withBudgetLock = async (tenant, chain, fn) => {
+      locks.push(tenant);
+      return fn();
+    };
+  });
+
+  it("adds up spending and reservations per period", async () => {
+    usage.spentSince = async (tenant, chainId, since) => {
+      spentSince.push(since);
+      return since.getUTCDate() === 1 ? ether(2) : ether("0.3");
+    };
+
+    const status = await usage.budgetStatus(
+      "acme",
+      testChain({ daily: "1", monthly: "3" }),
+      NOW
+    );
+
+    assert.deepEqual(spentSince, [
+      new Date("2026-03-15T00:00:00Z"),
+      new Date("2026-03-01T00:00:00Z"),
+    ]);
+    assert.deepEqual(
+      status.map(({ period, spent, reserved, remaining, exceeded }) => ({
+        period,
+        spent,
+        reserved,
+        remaining,
+        exceeded,
+      })),
+      [
+        {
+          period: "daily",
+          spent: "0.4",
+          reserved: "0.25",
+          remaining: "0.35",
+          exceeded: false,
+        },
+        {
+          period: "monthly",
+          spent: "2.1",
+          reserved: "0.25",
+          remaining: "0.65",
+          exceeded: false,
+        },
+      ]
+    );
+  });
+
+  it("skips unlimited periods", async () => {
+    const status = await usage.budgetStatus(
+      "acme",
+      testChain({ monthly: "3" }),
+      NOW
+    );
+
+    assert.deepEqual(
+      status.map((period) => period.period),
+      ["monthly"]
+    );
+    assert.deepEqual(await usage.budgetStatus("acme", testChain(), NOW), []);
+  });
+
+  it("is exceeded once spending and reservations reach the budget", async () => {
+    const [daily] = await usage.budgetStatus(
+      "acme",
+      testChain({ daily: "1" }),
+      NOW,
+      { reserveWei: ether("0.35") }
+    );
+
+    assert.equal(daily.reserved, "0.6");
+    assert.equal(daily.remaining, "0.0");
+    assert.equal(daily.exceeded, true);
+  });
+
+  it("throws BUDGET_EXCEEDED with the period over budget", async () => {
+    await assert.rejects(
+      usage.assertWithinBudget("acme", testChain({ monthly: "0.6" })),
+      (error) => {
+        assert.equal(error.code, BUDGET_EXCEEDED);
+        assert.equal(error.budget.period, "monthly");
+        assert.match(error.message, /Monthly deployment budget of 0\.6/);
+        return true;
+      }
+    );
+  });
+
+  it("reserves under the budget lock when the tx fits", async () => {
+    let reserved = 0;
+    const result = await usage.reserveWithinBudget(
+      "acme",
+      testChain({ daily: "1" }),
+      ether("0.3"),
+      { reserve: async () => ++reserved }
+    );
+
+    assert.equal(result, 1);
+    assert.deepEqual(locks, ["acme"]);
+  });
+
+  it("reserves nothing when the tx does not fit", async () => {
+    let reserved = 0;
+    await assert.rejects(
+      usage.reserveWithinBudget(
+        "acme",
+        testChain({ daily: "1" }),
+        ether("0.4"),
+        { reserve: async () => ++reserved }
+      ),
+      { code: BUDGET_EXCEEDED }
+    );
+
+    assert.equal(reserved, 0);
+  });
+
+  it("takes no lock without a budget", async () => {
+    const result = await usage.reserveWithinBudget(
+      "acme",
+      testChain(),
+      ether(100),
+      { reserve: async () => "reserved" }
+    );
+
+    assert.equal(result, "reserved");
+    assert.deepEqual(locks, []);
+  });
+});
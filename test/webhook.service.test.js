@@ -0,0 +1,149 @@
+import { describe, it, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import webhookQueue from "../src/queue/webhook.queue.js";
+import {
+  signWebhookPayload,
+  generateWebhookSecret,
+  isBlockedAddress,
+  parseWebhookRequest,
+} from "../src/services/webhook.service.js";
+
+after(() => webhookQueue.close());
+
+describe("signWebhookPayload", () => {
+  const body = JSON.stringify({ event: "deployment.confirmed" });
+
+  it("is the HMAC-SHA256 of the timestamp and body", () => {
+    const expected = crypto
+      .createHmac("sha256", "whsec_test")
+      .update(`1700000000.${body}`)
+      .digest("hex");
+
+    assert.equal(
+      signWebhookPayload("whsec_test", 1700000000, body),
+      `sha256=${expected}`
+    );
+  });
+
+  it("changes with the timestamp, the body and the secret", () => {
+    const signature = signWebhookPayload("whsec_test", 1700000000, body);
+
+    assert.notEqual(
+      signWebhookPayload("whsec_test", 1700000001, body),
+      signature
+    );
+    assert.notEqual(
+      signWebhookPayload("whsec_test", 1700000000, `${body} `),
+      signature
+    );
+    assert.notEqual(
+      signWebhookPayload("whsec_other", 1700000000, body),
+      signature
+    );
+  });
+
+  it("signs with fresh secrets", () => {
+    const secret = generateWebhookSecret();
+
+    assert.match(secret, /^whsec_[\w-]{32}$/);
+    assert.notEqual(generateWebhookSecret(), secret);
+  });
+});
+
+describe("isBlockedAddress", () => {
+  it("blocks loopback, private, link-local and reserved IPv4", () => {
+    for (const address of [
+      "0.0.0.0",
+      "127.0.0.1",
+      "10.1.2.3",
+      "100.64.0.1",
+      "169.254.169.254",
+      "172.16.0.1",
+      "172.31.255.255",
+      "192.168.1.1",
+      "198.18.0.1",
+      "224.0.0.1",
+      "255.255.255.255",
+    ]) {
+      assert.equal(isBlockedAddress(address), true, address);
+    }
+  });
+
+  it("blocks the same ranges in IPv6", () => {
+    for (const address of [
+      "::",
+      "::1",
+      "fd00::1",
+      "fe80::1",
+      "ff02::1",
+      "::ffff:127.0.0.1",
+      "::ffff:a9fe:a9fe",
+    ]) {
+      assert.equal(isBlockedAddress(address), true, address);
+    }
+  });
+
+  it("checks NAT64 addresses as the IPv4 address they embed", () => {
+    assert.equal(isBlockedAddress("64:ff9b::a9fe:a9fe"), true);
+    assert.equal(isBlockedAddress("64:ff9b::169.254.169.254"), true);
+    assert.equal(isBlockedAddress("64:ff9b::a00:1"), true);
+    assert.equal(isBlockedAddress("64:ff9b::808:808"), false);
+    assert.equal(isBlockedAddress("64:ff9b:1::808:808"), true);
+  });
+
+  it("lets public addresses through", () => {
+    for (const address of [
+      "8.8.8.8",
+      "172.32.0.1",
+      "100.128.0.1",
+      "2606:4700:4700::1111",
+      "::ffff:8.8.8.8",
+    ]) {
+      assert.equal(isBlockedAddress(address), false, address);
+    }
+  });
+});
+
+describe("parseWebhookRequest", () => {
+  it("normalizes a public webhook", async () => {
+    assert.deepEqual(
+      await parseWebhookRequest({
+        url: "https://8.8.8.8/hook",
+        secret: "s3cret",
+        events: ["deployment.confirmed"],
+      }),
+      {
+        url: "https://8.8.8.8/hook",
+        secret: "s3cret",
+        events: ["deployment.confirmed"],
+      }
+    );
+  });
+
+  it("refuses hosts on private addresses", async () => {
+    await assert.rejects(
+      parseWebhookRequest("http://169.254.169.254/latest/meta-data"),
+      /resolves to a private address \(169\.254\.169\.254\)/
+    );
+    await assert.rejects(
+      parseWebhookRequest("http://[::ffff:127.0.0.1]:8080/"),
+      /resolves to a private address/
+    );
+  });
+
+  it("refuses other schemes and unknown events", async () => {
+    await assert.rejects(
+      parseWebhookRequest("file:///etc/passwd"),
+      /must be http\(s\)/
+    );
+    await assert.rejects(
+      parseWebhookRequest({ url: "https://8.8.8.8/", events: ["nope"] }),
+      /Webhook events must be among/
+    );
+    await assert.rejects(
+      parseWebhookRequest({ url: "https://8.8.8.8/", secret: "" }),
+      /secret must be a non-empty string/
+    );
+  });
+});